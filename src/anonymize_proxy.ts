@@ -3,6 +3,9 @@ import type http from 'node:http';
 import type net from 'node:net';
 import { URL } from 'node:url';
 
+import type { BypassList } from './bypass';
+import { createBypassCheck } from './bypass';
+import { readEnvProxy } from './env_proxy';
 import { Server, SOCKS_PROTOCOLS } from './server';
 import { nodeify } from './utils/nodeify';
 
@@ -10,23 +13,32 @@ import { nodeify } from './utils/nodeify';
 const anonymizedProxyUrlToServer: Record<string, Server> = {};
 
 export interface AnonymizeProxyOptions {
-    url: string;
+    // Required unless `useEnvProxy` is set.
+    url?: string;
     port: number;
     ignoreProxyCertificate?: boolean;
+    // Targets that the local proxy server connects to directly, in the `NO_PROXY` syntax.
+    bypass?: BypassList;
+    // If `url` is not set, forward to the proxies from the `HTTP_PROXY`, `HTTPS_PROXY`, `ALL_PROXY` and `NO_PROXY` environment variables.
+    useEnvProxy?: boolean;
 }
 
 /**
  * Parses and validates a HTTP proxy URL. If the proxy requires authentication,
  * or if it is an HTTPS proxy and `ignoreProxyCertificate` is `true`, then the function
  * starts an open local proxy server that forwards to the upstream proxy.
+ * The server is also started if `bypass` is set, to connect to the bypassed targets directly,
+ * and if `useEnvProxy` is set without `url`, as the environment variables can give different proxies for HTTP and HTTPS.
  */
 export const anonymizeProxy = async (
     options: string | AnonymizeProxyOptions,
     callback?: (error: Error | null) => void,
 ): Promise<string> => {
-    let proxyUrl: string;
+    let proxyUrl: string | undefined;
     let port = 0;
     let ignoreProxyCertificate = false;
+    let bypass: BypassList | undefined;
+    let useEnvProxy = false;
 
     if (typeof options === 'string') {
         proxyUrl = options;
@@ -43,16 +55,32 @@ export const anonymizeProxy = async (
         if (options.ignoreProxyCertificate !== undefined) {
             ignoreProxyCertificate = options.ignoreProxyCertificate;
         }
-    }
 
-    const parsedProxyUrl = new URL(proxyUrl);
-    if (!['http:', 'https:', ...SOCKS_PROTOCOLS].includes(parsedProxyUrl.protocol)) {
-        throw new Error(`Invalid "proxyUrl" provided: URL must have one of the following protocols: "http", "https", ${SOCKS_PROTOCOLS.map((p) => `"${p.replace(':', '')}"`).join(', ')} (was "${parsedProxyUrl}")`);
+        if (options.bypass?.length) {
+            // Validate the entries before returning the URL.
+            createBypassCheck(options.bypass);
+            bypass = options.bypass;
+        }
+
+        useEnvProxy = !proxyUrl && !!options.useEnvProxy;
     }
 
-    // If upstream proxy requires no password or if there is no need to ignore HTTPS proxy cert errors, return it directly
-    if (!parsedProxyUrl.username && !parsedProxyUrl.password && (!ignoreProxyCertificate || parsedProxyUrl.protocol !== 'https:')) {
-        return nodeify(Promise.resolve(proxyUrl), callback);
+    if (useEnvProxy) {
+        const { httpProxyUrl, httpsProxyUrl } = readEnvProxy();
+        if (!httpProxyUrl && !httpsProxyUrl) {
+            throw new Error('The "useEnvProxy" option is set, but none of the HTTP_PROXY, HTTPS_PROXY and ALL_PROXY environment variables is set');
+        }
+    } else {
+        const parsedProxyUrl = new URL(proxyUrl!);
+        if (!['http:', 'https:', ...SOCKS_PROTOCOLS].includes(parsedProxyUrl.protocol)) {
+            throw new Error(`Invalid "proxyUrl" provided: URL must have one of the following protocols: "http", "https", ${SOCKS_PROTOCOLS.map((p) => `"${p.replace(':', '')}"`).join(', ')} (was "${parsedProxyUrl}")`);
+        }
+
+        // If upstream proxy requires no password, there is no need to ignore HTTPS proxy cert errors and no target bypasses it, return it directly
+        const needsCertificateIgnored = ignoreProxyCertificate && parsedProxyUrl.protocol === 'https:';
+        if (!parsedProxyUrl.username && !parsedProxyUrl.password && !needsCertificateIgnored && !bypass) {
+            return nodeify(Promise.resolve(proxyUrl!), callback);
+        }
     }
 
     let server: Server & { port: number };
@@ -63,6 +91,8 @@ export const anonymizeProxy = async (
                 // verbose: true,
                 port,
                 host: '127.0.0.1',
+                bypass,
+                useEnvProxy,
                 prepareRequestFunction: () => {
                     return {
                         requestAuthentication: false,
@@ -0,0 +1,70 @@
+import net from 'node:net';
+
+import { createCidrCheck } from './utils/create_cidr_check';
+
+/**
+ * Targets that don't go through the upstream proxy, in the syntax of the `NO_PROXY` environment variable:
+ * a comma-separated string or an array of domains (matching also their subdomains, e.g. `example.com` or `.example.com`),
+ * IP addresses, CIDR ranges (e.g. `10.0.0.0/8`), any of them with a port (e.g. `example.com:8080` or `[::1]:8080`), or `*` for all targets.
+ */
+export type BypassList = string | string[];
+
+type BypassCheck = (hostname: string, port: number) => boolean;
+
+const normalizeHostname = (hostname: string): string => {
+    const unbracketed = hostname[0] === '[' ? hostname.slice(1, -1) : hostname;
+    return unbracketed.toLowerCase().replace(/\.$/, '');
+};
+
+// Splits `host:port`, where IPv6 addresses with a port must be in brackets.
+const splitPort = (entry: string): { host: string; port?: number } => {
+    const bracketed = entry.match(/^\[(.+)\](?::(\d+))?$/);
+    if (bracketed) {
+        return { host: bracketed[1], port: bracketed[2] ? Number(bracketed[2]) : undefined };
+    }
+
+    const withPort = entry.match(/^([^:]+):(\d+)$/);
+    if (withPort) {
+        return { host: withPort[1], port: Number(withPort[2]) };
+    }
+
+    return { host: entry };
+};
+
+const createEntryCheck = (entry: string): BypassCheck => {
+    if (entry === '*') {
+        return () => true;
+    }
+
+    const { host, port } = splitPort(entry);
+    const isPortMatching = (targetPort: number) => port === undefined || port === targetPort;
+
+    if (host.includes('/') || net.isIP(host)) {
+        const isInRange = createCidrCheck([host], '"bypass" provided');
+        return (hostname, targetPort) => isPortMatching(targetPort) && net.isIP(hostname) !== 0 && isInRange(hostname);
+    }
+
+    // The domains match their subdomains too, with or without the leading dot or wildcard.
+    const domain = normalizeHostname(host.replace(/^\*?\./, ''));
+    if (!domain || domain.includes('*')) {
+        throw new Error(`Invalid "bypass" provided: "${entry}" is not a valid domain`);
+    }
+
+    return (hostname, targetPort) => isPortMatching(targetPort) && (hostname === domain || hostname.endsWith(`.${domain}`));
+};
+
+/**
+ * Creates a function that returns true if the target should bypass the upstream proxy.
+ * Throws if any of the entries is invalid.
+ */
+export const createBypassCheck = (bypass: BypassList): BypassCheck => {
+    const entries = (Array.isArray(bypass) ? bypass : bypass.split(/[\s,]+/))
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+    const checks = entries.map(createEntryCheck);
+
+    return (hostname, port) => {
+        const normalized = normalizeHostname(hostname);
+        return checks.some((check) => check(normalized, port));
+    };
+};
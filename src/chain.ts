@@ -3,10 +3,17 @@ import type dns from 'node:dns';
 import type { EventEmitter } from 'node:events';
 import http from 'node:http';
 import https from 'node:https';
+import net from 'node:net';
+import tls from 'node:tls';
 import type { URL } from 'node:url';
 
+import { LOOP_DETECTION_HEADER } from './loop_detection';
+import { RequestError } from './request_error';
 import type { Socket } from './socket';
-import { badGatewayStatusCodes, createCustomStatusHttpResponse, errorCodeToStatusCode } from './statuses';
+import { createTunnelEstablishedResponse, createTunnelFailedResponse } from './socks_handshake';
+import { badGatewayStatusCodes, errorCodeToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { setTunnelTimeouts, startConnectTimeout, startResponseHeadersTimeout } from './timeouts';
 import type { SocketWithPreviousStats } from './utils/count_target_bytes';
 import { countTargetBytes } from './utils/count_target_bytes';
 import { getBasicAuthorizationHeader } from './utils/get_basic';
@@ -18,6 +25,7 @@ interface Options {
     localAddress?: string;
     family?: number;
     lookup?: typeof dns['lookup'];
+    createConnection?: http.RequestOptions['createConnection'];
 }
 
 export interface HandlerOpts {
@@ -29,6 +37,13 @@ export interface HandlerOpts {
     customTag?: unknown;
     httpAgent?: http.Agent;
     httpsAgent?: https.Agent;
+    loopDetectionIds?: string[];
+    proxyProtocolHeader?: Buffer;
+    // Returns true if the failure was handled by passing the request to another upstream proxy.
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    // Called once the connection to the upstream proxy is established.
+    onUpstreamProxyConnected?: () => void;
+    timeouts?: TimeoutOptions;
 }
 
 interface ChainOpts {
@@ -85,26 +100,87 @@ export const chain = (
         options.headers['proxy-authorization'] = getBasicAuthorizationHeader(proxy);
     }
 
+    if (handlerOpts.loopDetectionIds) {
+        options.headers[LOOP_DETECTION_HEADER] = handlerOpts.loopDetectionIds.join(', ');
+    }
+
+    const { proxyProtocolHeader } = handlerOpts;
+    if (proxyProtocolHeader) {
+        // The header is specific to the client, so the connection can't come from an agent pool.
+        options.createConnection = (connectionOptions) => {
+            const socket = net.connect(connectionOptions as net.NetConnectOpts);
+            socket.write(proxyProtocolHeader);
+
+            if (proxy.protocol !== 'https:') {
+                return socket;
+            }
+
+            return tls.connect({
+                ...connectionOptions as tls.ConnectionOptions,
+                socket,
+                servername: net.isIP(proxy.hostname) ? undefined : proxy.hostname,
+            });
+        };
+    }
+
     const client = proxy.protocol === 'https:'
         ? https.request(proxy.origin, {
             ...options,
             rejectUnauthorized: !handlerOpts.ignoreUpstreamProxyCertificate,
-            agent: handlerOpts.httpsAgent,
+            agent: proxyProtocolHeader ? undefined : handlerOpts.httpsAgent,
         })
         : http.request(proxy.origin, {
             ...options,
-            agent: handlerOpts.httpAgent,
+            agent: proxyProtocolHeader ? undefined : handlerOpts.httpAgent,
         });
 
+    const clearConnectTimeout = startConnectTimeout(sourceSocket, client, handlerOpts.timeouts?.connectTimeoutMillis);
+    const clearResponseHeadersTimeout = startResponseHeadersTimeout(sourceSocket, client, handlerOpts.timeouts?.responseHeadersTimeoutMillis);
+
+    const onSourceError = () => {
+        client.destroy();
+    };
+
+    // In case the client ends the socket too early
+    const onSourceClose = () => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
+        client.destroy();
+    };
+
+    // Each attempt of the failover calls chain() again, which adds its own listeners to the source socket.
+    const failOver = (error: NodeJS.ErrnoException): boolean => {
+        if (!handlerOpts.onUpstreamProxyError?.(error)) {
+            return false;
+        }
+
+        sourceSocket.removeListener('error', onSourceError);
+        sourceSocket.removeListener('close', onSourceClose);
+        return true;
+    };
+
     client.once('socket', (targetSocket: SocketWithPreviousStats) => {
         // Socket can be re-used by multiple requests.
         // That's why we need to track the previous stats.
         targetSocket.previousBytesRead = targetSocket.bytesRead;
         targetSocket.previousBytesWritten = targetSocket.bytesWritten;
         countTargetBytes(sourceSocket, targetSocket);
+
+        // The upstream proxy works, even if it closes the connection later because the target is not reachable.
+        if (targetSocket.connecting) {
+            targetSocket.once('connect', () => {
+                clearConnectTimeout();
+                handlerOpts.onUpstreamProxyConnected?.();
+            });
+        } else {
+            clearConnectTimeout();
+            handlerOpts.onUpstreamProxyConnected?.();
+        }
     });
 
     client.on('connect', (response, targetSocket, clientHead) => {
+        clearResponseHeadersTimeout();
+
         if (sourceSocket.readyState !== 'open') {
             // Sanity check, should never reach.
             targetSocket.destroy();
@@ -117,24 +193,18 @@ export const chain = (
             sourceSocket.destroy();
         });
 
-        sourceSocket.on('error', (error) => {
-            server.log(proxyChainId, `Chain Source Socket Error: ${error.stack}`);
-
-            targetSocket.destroy();
-        });
-
         if (response.statusCode !== 200) {
             server.log(proxyChainId, `Failed to authenticate upstream proxy: ${response.statusCode}`);
 
-            if (isPlain) {
-                sourceSocket.end();
-            } else {
-                const { statusCode } = response;
-                const status = statusCode === 401 || statusCode === 407
-                    ? badGatewayStatusCodes.AUTH_FAILED
-                    : badGatewayStatusCodes.NON_200;
+            const { statusCode } = response;
+            const status = statusCode === 401 || statusCode === 407
+                ? badGatewayStatusCodes.AUTH_FAILED
+                : badGatewayStatusCodes.NON_200;
 
-                sourceSocket.end(createCustomStatusHttpResponse(status, `UPSTREAM${statusCode}`));
+            // Unless the next upstream proxy takes care of the client.
+            const error = new RequestError(`Upstream proxy responded with status code ${statusCode}`, status);
+            if (!failOver(error)) {
+                sourceSocket.end(isPlain ? '' : createTunnelFailedResponse(sourceSocket, status, `UPSTREAM${statusCode}`));
             }
 
             targetSocket.end();
@@ -150,6 +220,12 @@ export const chain = (
             return;
         }
 
+        sourceSocket.on('error', (error) => {
+            server.log(proxyChainId, `Chain Source Socket Error: ${error.stack}`);
+
+            targetSocket.destroy();
+        });
+
         if (clientHead.length > 0) {
             // See comment above
             targetSocket.unshift(clientHead);
@@ -163,7 +239,9 @@ export const chain = (
             head: clientHead,
         });
 
-        sourceSocket.write(isPlain ? '' : `HTTP/1.1 200 Connection Established\r\n\r\n`);
+        sourceSocket.write(isPlain ? '' : createTunnelEstablishedResponse(sourceSocket));
+
+        setTunnelTimeouts(sourceSocket, targetSocket, handlerOpts.timeouts);
 
         sourceSocket.pipe(targetSocket);
         targetSocket.pipe(sourceSocket);
@@ -190,28 +268,35 @@ export const chain = (
     });
 
     client.on('error', (error: NodeJS.ErrnoException) => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
+
         server.log(proxyChainId, `Failed to connect to upstream proxy: ${error.stack}`);
 
         // The end socket may get connected after the client to proxy one gets disconnected.
         if (sourceSocket.readyState === 'open') {
+            if (failOver(error)) {
+                return;
+            }
+
             if (isPlain) {
                 sourceSocket.end();
             } else {
-                const statusCode = errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
-                const response = createCustomStatusHttpResponse(statusCode, error.code ?? 'Upstream Closed Early');
+                // The response headers timeout already has a status code.
+                const response = error.name === 'RequestError'
+                    ? createTunnelFailedResponse(sourceSocket, (error as RequestError).statusCode, '')
+                    : createTunnelFailedResponse(
+                        sourceSocket,
+                        errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR,
+                        error.code ?? 'Upstream Closed Early',
+                    );
                 sourceSocket.end(response);
             }
         }
     });
 
-    sourceSocket.on('error', () => {
-        client.destroy();
-    });
-
-    // In case the client ends the socket too early
-    sourceSocket.on('close', () => {
-        client.destroy();
-    });
+    sourceSocket.on('error', onSourceError);
+    sourceSocket.on('close', onSourceClose);
 
     client.end();
 };
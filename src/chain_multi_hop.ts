@@ -0,0 +1,129 @@
+import type { Buffer } from 'node:buffer';
+import type dns from 'node:dns';
+import type { EventEmitter } from 'node:events';
+import type net from 'node:net';
+import type { URL } from 'node:url';
+
+import { LOOP_DETECTION_HEADER } from './loop_detection';
+import type { RequestError } from './request_error';
+import type { Socket } from './socket';
+import { createTunnelEstablishedResponse, createTunnelFailedResponse } from './socks_handshake';
+import { badGatewayStatusCodes, errorCodeToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { setTunnelTimeouts } from './timeouts';
+import { openUpstreamChainTunnel } from './upstream_tunnel';
+import { countTargetBytes } from './utils/count_target_bytes';
+
+export interface HandlerOpts {
+    upstreamProxyChainParsed: URL[];
+    ignoreUpstreamProxyCertificate: boolean;
+    localAddress?: string;
+    ipFamily?: number;
+    dnsLookup?: typeof dns['lookup'];
+    loopDetectionIds?: string[];
+    timeouts?: TimeoutOptions;
+}
+
+interface ChainMultiHopOpts {
+    request: { url?: string };
+    sourceSocket: Socket;
+    head?: Buffer;
+    handlerOpts: HandlerOpts;
+    server: EventEmitter & { log: (connectionId: unknown, str: string) => void };
+}
+
+/**
+ * Passes the traffic through a chain of upstream proxies, each one reached through a tunnel opened by the previous one.
+ * HTTP/HTTPS proxies are asked for a tunnel by CONNECT, SOCKS proxies by SOCKS CONNECT.
+ * Client -> Apify -> Upstream 1 -> ... -> Upstream N -> Web
+ * Client <- Apify <- Upstream 1 <- ... <- Upstream N <- Web
+ */
+export const chainMultiHop = async (
+    {
+        request,
+        sourceSocket,
+        head,
+        handlerOpts,
+        server,
+    }: ChainMultiHopOpts,
+): Promise<void> => {
+    const { proxyChainId } = sourceSocket;
+
+    if (head && head.length > 0) {
+        // See comment in chain.ts
+        sourceSocket.unshift(head);
+    }
+
+    let targetSocket: net.Socket;
+
+    try {
+        targetSocket = await openUpstreamChainTunnel(handlerOpts.upstreamProxyChainParsed, {
+            target: request.url!,
+            headers: handlerOpts.loopDetectionIds && { [LOOP_DETECTION_HEADER]: handlerOpts.loopDetectionIds.join(', ') },
+            ignoreProxyCertificate: handlerOpts.ignoreUpstreamProxyCertificate,
+            localAddress: handlerOpts.localAddress,
+            family: handlerOpts.ipFamily,
+            lookup: handlerOpts.dnsLookup,
+            timeouts: handlerOpts.timeouts,
+            sourceSocket,
+        });
+    } catch (error) {
+        const { code, name, stack } = error as NodeJS.ErrnoException;
+        server.log(proxyChainId, `Failed to open tunnel through upstream proxy chain ${stack}`);
+
+        // Errors reported by the upstream proxies already have a status code.
+        const statusCode = name === 'RequestError'
+            ? (error as RequestError).statusCode
+            : errorCodeToStatusCode[code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
+
+        if (sourceSocket.writable) {
+            sourceSocket.end(createTunnelFailedResponse(sourceSocket, statusCode, ''));
+        }
+        return;
+    }
+
+    if (sourceSocket.destroyed) {
+        targetSocket.destroy();
+        return;
+    }
+
+    sourceSocket.write(createTunnelEstablishedResponse(sourceSocket));
+
+    countTargetBytes(sourceSocket, targetSocket);
+    setTunnelTimeouts(sourceSocket, targetSocket, handlerOpts.timeouts);
+
+    sourceSocket.pipe(targetSocket);
+    targetSocket.pipe(sourceSocket);
+
+    // Once target socket closes forcibly, the source socket gets paused.
+    // We need to enable flowing, otherwise the socket would remain open indefinitely.
+    // Nothing would consume the data, we just want to close the socket.
+    targetSocket.on('close', () => {
+        sourceSocket.resume();
+
+        if (sourceSocket.writable) {
+            sourceSocket.end();
+        }
+    });
+
+    // Same here.
+    sourceSocket.on('close', () => {
+        targetSocket.resume();
+
+        if (targetSocket.writable) {
+            targetSocket.end();
+        }
+    });
+
+    targetSocket.on('error', (error) => {
+        server.log(proxyChainId, `Chain Multi-Hop Destination Socket Error: ${error.stack}`);
+
+        sourceSocket.destroy();
+    });
+
+    sourceSocket.on('error', (error) => {
+        server.log(proxyChainId, `Chain Multi-Hop Source Socket Error: ${error.stack}`);
+
+        targetSocket.destroy();
+    });
+};
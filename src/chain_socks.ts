@@ -1,18 +1,32 @@
 import type { Buffer } from 'node:buffer';
+import type dns from 'node:dns';
 import type { EventEmitter } from 'node:events';
 import type http from 'node:http';
-import type net from 'node:net';
+import net from 'node:net';
 import { URL } from 'node:url';
 
 import { SocksClient, type SocksClientError, type SocksProxy } from 'socks';
 
 import type { Socket } from './socket';
-import { createCustomStatusHttpResponse, socksErrorMessageToStatusCode } from './statuses';
+import { createTunnelEstablishedResponse, createTunnelFailedResponse } from './socks_handshake';
+import { badGatewayStatusCodes, errorCodeToStatusCode, socksErrorMessageToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { setTunnelTimeouts } from './timeouts';
+import { resolveSocksTarget, socksProtocolResolvesLocally, socksProtocolToVersionNumber } from './upstream_tunnel';
 import { countTargetBytes } from './utils/count_target_bytes';
 
 export interface HandlerOpts {
     upstreamProxyUrlParsed: URL;
     customTag?: unknown;
+    localAddress?: string;
+    ipFamily?: number;
+    dnsLookup?: typeof dns['lookup'];
+    proxyProtocolHeader?: Buffer;
+    // Returns true if the failure was handled by passing the request to another upstream proxy.
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    // Called once the upstream proxy responds.
+    onUpstreamProxyConnected?: () => void;
+    timeouts?: TimeoutOptions;
 }
 
 interface ChainSocksOpts {
@@ -23,16 +37,6 @@ interface ChainSocksOpts {
     handlerOpts: HandlerOpts;
 }
 
-const socksProtocolToVersionNumber = (protocol: string): 4 | 5 => {
-    switch (protocol) {
-        case 'socks4:':
-        case 'socks4a:':
-            return 4;
-        default:
-            return 5;
-    }
-};
-
 /**
  * Tunnels CONNECT requests through a SOCKS upstream proxy.
  *
@@ -79,6 +83,39 @@ export const chainSocks = async ({
         host: url.hostname,
     };
 
+    if (destination.host[0] === '[') {
+        destination.host = destination.host.slice(1, -1);
+    }
+
+    // The `socks4` and `socks5` proxies get the address of the target, the other ones resolve the hostname themselves.
+    const { protocol } = handlerOpts.upstreamProxyUrlParsed;
+    if (socksProtocolResolvesLocally(protocol)) {
+        try {
+            destination.host = await resolveSocksTarget(protocol, destination.host, { family: handlerOpts.ipFamily, lookup: handlerOpts.dnsLookup });
+        } catch (error) {
+            const { code, message } = error as NodeJS.ErrnoException;
+            server.log(proxyChainId, `Failed to resolve SOCKS target ${destination.host}: ${message}`);
+
+            sourceSocket.end(createTunnelFailedResponse(sourceSocket, errorCodeToStatusCode[code!] ?? badGatewayStatusCodes.NOT_FOUND, message));
+            return;
+        }
+    }
+
+    // The connection is opened here, so that the PROXY protocol header can precede the SOCKS handshake,
+    // and the bytes of the handshake are counted like the CONNECT request to HTTP upstream proxies.
+    const proxySocket = net.connect({
+        host: proxy.host,
+        port: proxy.port,
+        localAddress: handlerOpts.localAddress,
+        family: handlerOpts.ipFamily,
+        lookup: handlerOpts.dnsLookup,
+    });
+    countTargetBytes(sourceSocket, proxySocket);
+
+    if (handlerOpts.proxyProtocolHeader) {
+        proxySocket.write(handlerOpts.proxyProtocolHeader);
+    }
+
     let targetSocket: net.Socket;
 
     try {
@@ -86,18 +123,32 @@ export const chainSocks = async ({
             proxy,
             command: 'connect',
             destination,
+            existing_socket: proxySocket,
+            timeout: handlerOpts.timeouts?.connectTimeoutMillis,
         });
         targetSocket = client.socket;
+        handlerOpts.onUpstreamProxyConnected?.();
 
-        sourceSocket.write(`HTTP/1.1 200 Connection Established\r\n\r\n`);
+        sourceSocket.write(createTunnelEstablishedResponse(sourceSocket));
     } catch (error) {
         const socksError = error as SocksClientError;
         server.log(proxyChainId, `Failed to connect to upstream SOCKS proxy ${socksError.stack}`);
-        sourceSocket.end(createCustomStatusHttpResponse(socksErrorMessageToStatusCode(socksError.message), socksError.message));
+        proxySocket.destroy();
+
+        const statusCode = socksErrorMessageToStatusCode(socksError.message);
+        if (statusCode === badGatewayStatusCodes.TIMEOUT) {
+            sourceSocket.closeReason = 'connectTimeout';
+        }
+
+        if (handlerOpts.onUpstreamProxyError?.(socksError)) {
+            return;
+        }
+
+        sourceSocket.end(createTunnelFailedResponse(sourceSocket, statusCode, socksError.message));
         return;
     }
 
-    countTargetBytes(sourceSocket, targetSocket);
+    setTunnelTimeouts(sourceSocket, targetSocket, handlerOpts.timeouts);
 
     sourceSocket.pipe(targetSocket);
     targetSocket.pipe(sourceSocket);
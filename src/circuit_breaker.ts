@@ -0,0 +1,149 @@
+import type { URL } from 'node:url';
+
+import { errorCodeToStatusCode } from './statuses';
+
+export interface CircuitBreakerOptions {
+    // Number of consecutive connection failures after which the circuit opens. By default 5.
+    failureThreshold?: number;
+    // How long the requests fail fast before the upstream proxy is probed again. By default 30 seconds.
+    coolDownMillis?: number;
+    // Number of probe connections let through at once after the cool-down. By default 1.
+    probeCount?: number;
+}
+
+/**
+ * A connection to the upstream proxy let through by the circuit breaker, which must be settled exactly once.
+ */
+export interface CircuitAttempt {
+    succeeded: () => void;
+    failed: (error: NodeJS.ErrnoException) => void;
+    // The connection ended without telling anything about the upstream proxy.
+    release: () => void;
+}
+
+type CircuitState = 'closed' | 'open' | 'half-open';
+
+interface Circuit {
+    state: CircuitState;
+    consecutiveFailures: number;
+    openedAt: number;
+    probesInFlight: number;
+}
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOL_DOWN_MILLIS = 30_000;
+const DEFAULT_PROBE_COUNT = 1;
+
+// SOCKS client errors have the code only in the message, e.g. "connect ECONNREFUSED 127.0.0.1:1080".
+const getErrorCode = (error: NodeJS.ErrnoException): string | undefined => error.code ?? /\bE[A-Z]+\b/.exec(error.message)?.[0];
+
+/**
+ * Only connection errors open the circuit, i.e. the ones that are converted to 59x status codes by `errorCodeToStatusCode`.
+ */
+export const isCircuitBreakerFailure = (error: NodeJS.ErrnoException): boolean => {
+    const code = getErrorCode(error);
+    return code !== undefined && errorCodeToStatusCode[code] !== undefined;
+};
+
+/**
+ * Returns the upstream proxy the circuit belongs to, without the credentials.
+ */
+export const getCircuitKey = (upstreamProxyUrl: URL): string => `${upstreamProxyUrl.protocol}//${upstreamProxyUrl.host}`;
+
+/**
+ * Tracks connection failures per upstream proxy. Once an upstream proxy fails `failureThreshold` times in a row,
+ * its circuit opens and the connections to it fail fast for `coolDownMillis`.
+ * Then `probeCount` connections are let through: if one of them succeeds the circuit closes, otherwise it opens again.
+ */
+export class CircuitBreaker {
+    private readonly failureThreshold: number;
+
+    private readonly coolDownMillis: number;
+
+    private readonly probeCount: number;
+
+    private readonly circuits = new Map<string, Circuit>();
+
+    constructor(
+        options: CircuitBreakerOptions,
+        private readonly onStateChange: (key: string, isOpen: boolean, error?: NodeJS.ErrnoException) => void,
+    ) {
+        this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+        this.coolDownMillis = options.coolDownMillis ?? DEFAULT_COOL_DOWN_MILLIS;
+        this.probeCount = options.probeCount ?? DEFAULT_PROBE_COUNT;
+    }
+
+    /**
+     * Returns null if the circuit of the upstream proxy is open and the connection should fail fast.
+     */
+    tryAcquire(key: string): CircuitAttempt | null {
+        let circuit = this.circuits.get(key);
+        if (!circuit) {
+            circuit = { state: 'closed', consecutiveFailures: 0, openedAt: 0, probesInFlight: 0 };
+            this.circuits.set(key, circuit);
+        }
+
+        if (circuit.state === 'open') {
+            if (Date.now() - circuit.openedAt < this.coolDownMillis) {
+                return null;
+            }
+
+            circuit.state = 'half-open';
+        }
+
+        const isProbe = circuit.state === 'half-open';
+        if (isProbe) {
+            if (circuit.probesInFlight >= this.probeCount) {
+                return null;
+            }
+
+            circuit.probesInFlight++;
+        }
+
+        const currentCircuit = circuit;
+        let settled = false;
+
+        const settle = (callback: () => void) => {
+            if (settled) {
+                return;
+            }
+
+            settled = true;
+            if (isProbe) {
+                currentCircuit.probesInFlight--;
+            }
+
+            callback();
+        };
+
+        return {
+            succeeded: () => settle(() => {
+                const wasClosed = currentCircuit.state === 'closed';
+
+                currentCircuit.state = 'closed';
+                currentCircuit.consecutiveFailures = 0;
+
+                if (!wasClosed) {
+                    this.onStateChange(key, false);
+                }
+            }),
+            failed: (error) => settle(() => {
+                if (!isCircuitBreakerFailure(error)) {
+                    return;
+                }
+
+                currentCircuit.consecutiveFailures++;
+
+                const shouldOpen = currentCircuit.state === 'half-open'
+                    || (currentCircuit.state === 'closed' && currentCircuit.consecutiveFailures >= this.failureThreshold);
+
+                if (shouldOpen) {
+                    currentCircuit.state = 'open';
+                    currentCircuit.openedAt = Date.now();
+                    this.onStateChange(key, true, error);
+                }
+            }),
+            release: () => settle(() => undefined),
+        };
+    }
+}
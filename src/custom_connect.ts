@@ -1,8 +1,10 @@
 import type http from 'node:http';
-import type net from 'node:net';
 import { promisify } from 'node:util';
 
-export const customConnect = async (socket: net.Socket, server: http.Server): Promise<void> => {
+import type { Socket } from './socket';
+import { createTunnelEstablishedResponse } from './socks_handshake';
+
+export const customConnect = async (socket: Socket, server: http.Server): Promise<void> => {
     // `countTargetBytes(socket, socket)` is incorrect here since `socket` is not a target.
     // We would have to create a new stream and pipe traffic through that,
     // however this would also increase CPU usage.
@@ -10,7 +12,7 @@ export const customConnect = async (socket: net.Socket, server: http.Server): Pr
     // (whether any additional sockets are used).
 
     const asyncWrite = promisify(socket.write).bind(socket);
-    await asyncWrite('HTTP/1.1 200 Connection Established\r\n\r\n');
+    await asyncWrite(createTunnelEstablishedResponse(socket));
     server.emit('connection', socket);
 
     return new Promise((resolve) => {
@@ -1,16 +1,27 @@
 import type { Buffer } from 'node:buffer';
 import type dns from 'node:dns';
 import type { EventEmitter } from 'node:events';
-import net from 'node:net';
+import type net from 'node:net';
 import { URL } from 'node:url';
 
+import type { HappyEyeballsOptions, TargetConnectedInfo } from './happy_eyeballs';
+import { connectHappyEyeballs } from './happy_eyeballs';
 import type { Socket } from './socket';
+import { createTunnelEstablishedResponse, createTunnelFailedResponse } from './socks_handshake';
+import { badGatewayStatusCodes } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { setTunnelTimeouts, startConnectTimeout } from './timeouts';
 import { countTargetBytes } from './utils/count_target_bytes';
 
 export interface HandlerOpts {
     localAddress?: string;
     ipFamily?: number;
     dnsLookup?: typeof dns['lookup'];
+    proxyProtocolHeader?: Buffer;
+    timeouts?: TimeoutOptions;
+    happyEyeballs?: HappyEyeballsOptions;
+    // Called with the address the connection was made to.
+    onTargetConnected?: (target: TargetConnectedInfo) => void;
 }
 
 interface DirectOpts {
@@ -50,44 +61,100 @@ export const direct = (
         sourceSocket.unshift(head);
     }
 
+    const { proxyChainId } = sourceSocket;
+
+    let targetSocket: net.Socket | undefined;
+
+    function onTargetError(error: NodeJS.ErrnoException, connected: boolean) {
+        server.log(proxyChainId, `Direct Destination Socket Error: ${error.stack}`);
+
+        // Let the client know that the connection timed out, other errors just close the connection.
+        if (!connected && error.code === 'ETIMEDOUT' && sourceSocket.writable) {
+            sourceSocket.end(createTunnelFailedResponse(sourceSocket, badGatewayStatusCodes.TIMEOUT, ''));
+            return;
+        }
+
+        sourceSocket.destroy();
+    }
+
+    function onConnected(socket: net.Socket, target: TargetConnectedInfo) {
+        targetSocket = socket;
+
+        handlerOpts.onTargetConnected?.(target);
+
+        try {
+            sourceSocket.write(createTunnelEstablishedResponse(sourceSocket));
+        } catch (error) {
+            sourceSocket.destroy(error as Error);
+        }
+
+        setTunnelTimeouts(sourceSocket, targetSocket, handlerOpts.timeouts);
+        countTargetBytes(sourceSocket, targetSocket);
+
+        // The header must be the very first data the target receives.
+        if (handlerOpts.proxyProtocolHeader) {
+            targetSocket.write(handlerOpts.proxyProtocolHeader);
+        }
+
+        sourceSocket.pipe(targetSocket);
+        targetSocket.pipe(sourceSocket);
+
+        // Once target socket closes forcibly, the source socket gets paused.
+        // We need to enable flowing, otherwise the socket would remain open indefinitely.
+        // Nothing would consume the data, we just want to close the socket.
+        targetSocket.on('close', () => {
+            sourceSocket.resume();
+
+            if (sourceSocket.writable) {
+                sourceSocket.end();
+            }
+        });
+
+        targetSocket.on('error', (error: NodeJS.ErrnoException) => onTargetError(error, true));
+    }
+
     const options = {
         port: Number(url.port),
         host: url.hostname,
         localAddress: handlerOpts.localAddress,
         family: handlerOpts.ipFamily,
         lookup: handlerOpts.dnsLookup,
+        ...handlerOpts.happyEyeballs,
     };
 
     if (options.host[0] === '[') {
         options.host = options.host.slice(1, -1);
     }
 
-    const targetSocket = net.createConnection(options, () => {
-        try {
-            sourceSocket.write(`HTTP/1.1 200 Connection Established\r\n\r\n`);
-        } catch (error) {
-            sourceSocket.destroy(error as Error);
-        }
-    });
-
-    countTargetBytes(sourceSocket, targetSocket);
+    // Set right after the connection starts, the callback is never called synchronously.
+    let clearConnectTimeout: () => void = () => undefined;
 
-    sourceSocket.pipe(targetSocket);
-    targetSocket.pipe(sourceSocket);
+    // All addresses of the target are tried, so that a single unreachable address doesn't fail the tunnel.
+    const connection = connectHappyEyeballs(options, (error, socket, target) => {
+        clearConnectTimeout();
 
-    // Once target socket closes forcibly, the source socket gets paused.
-    // We need to enable flowing, otherwise the socket would remain open indefinitely.
-    // Nothing would consume the data, we just want to close the socket.
-    targetSocket.on('close', () => {
-        sourceSocket.resume();
+        if (error) {
+            onTargetError(error, false);
+            return;
+        }
 
-        if (sourceSocket.writable) {
-            sourceSocket.end();
+        if (sourceSocket.destroyed) {
+            socket!.destroy();
+            return;
         }
+
+        onConnected(socket!, target!);
     });
 
-    // Same here.
+    clearConnectTimeout = startConnectTimeout(sourceSocket, connection, handlerOpts.timeouts?.connectTimeoutMillis);
+
+    // Same here, pending connection attempts are just stopped.
     sourceSocket.on('close', () => {
+        if (!targetSocket) {
+            connection.destroy();
+            return;
+        }
+
         targetSocket.resume();
 
         if (targetSocket.writable) {
@@ -95,17 +162,13 @@ export const direct = (
         }
     });
 
-    const { proxyChainId } = sourceSocket;
-
-    targetSocket.on('error', (error) => {
-        server.log(proxyChainId, `Direct Destination Socket Error: ${error.stack}`);
-
-        sourceSocket.destroy();
-    });
-
     sourceSocket.on('error', (error) => {
         server.log(proxyChainId, `Direct Source Socket Error: ${error.stack}`);
 
-        targetSocket.destroy();
+        if (targetSocket) {
+            targetSocket.destroy();
+        } else {
+            connection.destroy();
+        }
     });
 };
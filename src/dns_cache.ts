@@ -0,0 +1,263 @@
+import dns from 'node:dns';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+
+import { parseHostsFile } from './utils/parse_hosts_file';
+import type { LookupCallback, LookupOptionsArgument } from './utils/reply_to_lookup';
+import { parseLookupArguments, replyToLookup } from './utils/reply_to_lookup';
+
+export interface DnsCacheOptions {
+    // Upper limit of the TTL of the DNS records. By default 5 minutes.
+    maxTtlMillis?: number;
+    // How long the hostnames that don't exist are remembered. By default 1 second, 0 disables the negative cache.
+    negativeTtlMillis?: number;
+    // How long the addresses from the hosts file or the fallback lookup are cached, as they have no TTL. By default 1 minute.
+    // Also how long the resolver is skipped after it fails to reach the DNS servers.
+    fallbackTtlMillis?: number;
+    // Maximum number of cached hostnames, the least recently used ones are removed. By default 10 000.
+    maxEntries?: number;
+    // Resolves the A and AAAA records with their TTL. By default a new `dns.promises.Resolver`.
+    resolver?: Pick<dns.promises.Resolver, 'resolve4' | 'resolve6'>;
+    // Used if the resolver finds no records or can't reach the DNS servers. By default `dns.lookup`.
+    fallbackLookup?: typeof dns['lookup'];
+    // Its hostnames are resolved without querying the resolver, like `dns.lookup()` does. By default `/etc/hosts`,
+    // or `%SystemRoot%\System32\drivers\etc\hosts` on Windows. `null` disables it.
+    hostsFile?: string | null;
+}
+
+export interface DnsCacheStats {
+    // Lookups answered from the cache, including the ones that waited for a pending lookup of the same hostname.
+    hits: number;
+    // Lookups that had to query the resolver.
+    misses: number;
+}
+
+interface DnsCacheEntry {
+    // IPv4 addresses go first.
+    addresses: dns.LookupAddress[];
+    // Set for hostnames that don't exist.
+    error?: NodeJS.ErrnoException;
+    expiresAt: number;
+}
+
+const DEFAULT_MAX_TTL_MILLIS = 5 * 60_000;
+const DEFAULT_NEGATIVE_TTL_MILLIS = 1_000;
+const DEFAULT_FALLBACK_TTL_MILLIS = 60_000;
+const DEFAULT_MAX_ENTRIES = 10_000;
+
+const DEFAULT_HOSTS_FILE = process.platform === 'win32'
+    ? path.join(process.env.SystemRoot ?? 'C:\\Windows', 'System32', 'drivers', 'etc', 'hosts')
+    : '/etc/hosts';
+
+// The resolver errors meaning that the DNS servers can't be reached, rather than that the hostname has no records.
+const RESOLVER_UNREACHABLE_CODES = new Set<string>([dns.CONNREFUSED, dns.TIMEOUT]);
+
+/**
+ * Caches the results of DNS lookups, honoring the TTL of the DNS records.
+ * `lookup` is compatible with `dns.lookup()`, so it can be passed as `dnsLookup` to the server:
+ *
+ * ```
+ * const dnsCache = new DnsCache();
+ * const server = new Server({ dnsLookup: dnsCache.lookup });
+ * ```
+ *
+ * Concurrent lookups of the same hostname share one query, and hostnames that don't exist are cached for `negativeTtlMillis`.
+ * Like `dns.lookup()`, the hostnames from the hosts file are resolved without querying the DNS servers.
+ * If the resolver can't reach them, it's skipped in favor of `fallbackLookup` for `fallbackTtlMillis`.
+ */
+export class DnsCache {
+    readonly stats: DnsCacheStats = { hits: 0, misses: 0 };
+
+    private readonly maxTtlMillis: number;
+
+    private readonly negativeTtlMillis: number;
+
+    private readonly fallbackTtlMillis: number;
+
+    private readonly maxEntries: number;
+
+    private readonly resolver: Pick<dns.promises.Resolver, 'resolve4' | 'resolve6'>;
+
+    private readonly fallbackLookup: typeof dns['lookup'];
+
+    private readonly hostsFile: string | null;
+
+    // Reloaded when the hosts file is modified.
+    private hosts?: { mtimeMs: number; addresses: Map<string, dns.LookupAddress[]> };
+
+    private resolverUnreachableUntil = 0;
+
+    // Ordered from the least recently used.
+    private readonly entries = new Map<string, DnsCacheEntry>();
+
+    private readonly pending = new Map<string, Promise<DnsCacheEntry>>();
+
+    constructor(options: DnsCacheOptions = {}) {
+        this.maxTtlMillis = options.maxTtlMillis ?? DEFAULT_MAX_TTL_MILLIS;
+        this.negativeTtlMillis = options.negativeTtlMillis ?? DEFAULT_NEGATIVE_TTL_MILLIS;
+        this.fallbackTtlMillis = options.fallbackTtlMillis ?? DEFAULT_FALLBACK_TTL_MILLIS;
+        this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+        this.resolver = options.resolver ?? new dns.promises.Resolver();
+        this.fallbackLookup = options.fallbackLookup ?? dns.lookup;
+        this.hostsFile = options.hostsFile === undefined ? DEFAULT_HOSTS_FILE : options.hostsFile;
+    }
+
+    /**
+     * Number of the cached hostnames.
+     */
+    get size(): number {
+        return this.entries.size;
+    }
+
+    /**
+     * Removes the hostname from the cache, or all hostnames if not provided.
+     */
+    flush(hostname?: string): void {
+        if (hostname === undefined) {
+            this.entries.clear();
+        } else {
+            this.entries.delete(hostname.toLowerCase());
+        }
+    }
+
+    /**
+     * Same as `dns.lookup()`, supports the `family` and `all` options.
+     */
+    readonly lookup = ((
+        hostname: string,
+        options: LookupOptionsArgument,
+        callback?: LookupCallback,
+    ): void => {
+        const args = parseLookupArguments(options, callback);
+
+        this.getEntry(hostname).then((entry) => {
+            if (entry.error) {
+                args.callback(entry.error, args.all ? [] : '');
+                return;
+            }
+
+            replyToLookup(hostname, entry.addresses, args);
+        }, (error) => args.callback(error, args.all ? [] : ''));
+    }) as typeof dns['lookup'];
+
+    private async getEntry(hostname: string): Promise<DnsCacheEntry> {
+        if (net.isIP(hostname)) {
+            return { addresses: [{ address: hostname, family: net.isIP(hostname) }], expiresAt: Infinity };
+        }
+
+        const key = hostname.toLowerCase();
+
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            // Moves the entry to the end, so that it's removed last.
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            this.stats.hits++;
+            return entry;
+        }
+
+        let pending = this.pending.get(key);
+        if (pending) {
+            this.stats.hits++;
+            return pending;
+        }
+
+        this.stats.misses++;
+
+        pending = this.resolve(key).finally(() => this.pending.delete(key));
+        this.pending.set(key, pending);
+
+        const resolved = await pending;
+        if (resolved.expiresAt > Date.now()) {
+            this.entries.delete(key);
+            this.entries.set(key, resolved);
+
+            if (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value!);
+            }
+        }
+
+        return resolved;
+    }
+
+    private async resolve(hostname: string): Promise<DnsCacheEntry> {
+        const hostsFileAddresses = await this.lookupHostsFile(hostname);
+        if (hostsFileAddresses) {
+            return { addresses: hostsFileAddresses, expiresAt: Date.now() + Math.min(this.fallbackTtlMillis, this.maxTtlMillis) };
+        }
+
+        // Otherwise each lookup would wait for the resolver to time out.
+        const records = this.resolverUnreachableUntil > Date.now() ? [] : (await Promise.all([
+            this.resolveRecords(hostname, 4),
+            this.resolveRecords(hostname, 6),
+        ])).flat();
+
+        if (records.length > 0) {
+            const ttlMillis = Math.min(...records.map((record) => record.ttl * 1000), this.maxTtlMillis);
+
+            return {
+                addresses: records.map(({ address, family }) => ({ address, family })),
+                expiresAt: Date.now() + ttlMillis,
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            this.fallbackLookup(hostname, { all: true }, (error, addresses) => {
+                if (error?.code === 'ENOTFOUND') {
+                    resolve({ addresses: [], error, expiresAt: Date.now() + this.negativeTtlMillis });
+                    return;
+                }
+
+                // Temporary failures are not cached.
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                resolve({
+                    addresses: [...addresses].sort((a, b) => a.family - b.family),
+                    expiresAt: Date.now() + Math.min(this.fallbackTtlMillis, this.maxTtlMillis),
+                });
+            });
+        });
+    }
+
+    private async lookupHostsFile(hostname: string): Promise<dns.LookupAddress[] | undefined> {
+        if (this.hostsFile === null) {
+            return undefined;
+        }
+
+        try {
+            const { mtimeMs } = await fs.promises.stat(this.hostsFile);
+            if (this.hosts?.mtimeMs !== mtimeMs) {
+                this.hosts = { mtimeMs, addresses: parseHostsFile(await fs.promises.readFile(this.hostsFile, 'utf8')) };
+            }
+        } catch {
+            // There's no hosts file, or it can't be read.
+            this.hosts = undefined;
+            return undefined;
+        }
+
+        return this.hosts.addresses.get(hostname);
+    }
+
+    private async resolveRecords(hostname: string, family: 4 | 6): Promise<(dns.RecordWithTtl & { family: number })[]> {
+        try {
+            const records = family === 4
+                ? await this.resolver.resolve4(hostname, { ttl: true })
+                : await this.resolver.resolve6(hostname, { ttl: true });
+
+            return records.map((record) => ({ ...record, family }));
+        } catch (error) {
+            if (RESOLVER_UNREACHABLE_CODES.has((error as NodeJS.ErrnoException).code!)) {
+                this.resolverUnreachableUntil = Date.now() + this.fallbackTtlMillis;
+            }
+
+            // There are no records of the type, or the resolver doesn't work, e.g. there's no DNS server.
+            // The fallback lookup is used if neither type of records is found.
+            return [];
+        }
+    }
+}
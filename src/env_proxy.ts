@@ -0,0 +1,70 @@
+import { URL } from 'node:url';
+
+import { createBypassCheck } from './bypass';
+import { normalizeUrlPort } from './utils/normalize_url_port';
+
+/**
+ * Upstream proxies given by the `HTTP_PROXY`, `HTTPS_PROXY`, `ALL_PROXY` and `NO_PROXY` environment variables.
+ */
+export interface EnvProxy {
+    // For `http:` targets.
+    httpProxyUrl?: string;
+    // For `https:` targets and tunnels.
+    httpsProxyUrl?: string;
+    // Set if `NO_PROXY` is set.
+    isBypassed?: (hostname: string, port: number) => boolean;
+}
+
+// The lowercase variables take precedence, like in curl.
+const getEnv = (env: NodeJS.ProcessEnv, name: string): { name: string; value: string } | undefined => {
+    for (const caseName of [name.toLowerCase(), name.toUpperCase()]) {
+        if (env[caseName]) {
+            return { name: caseName, value: env[caseName]! };
+        }
+    }
+
+    return undefined;
+};
+
+const getEnvProxyUrl = (env: NodeJS.ProcessEnv, name: string): string | undefined => {
+    const variable = getEnv(env, name) ?? getEnv(env, 'all_proxy');
+    if (!variable) {
+        return undefined;
+    }
+
+    // Proxies without the protocol, e.g. `proxy.example.com:3128`, are HTTP proxies.
+    const url = /^[a-z][a-z\d+.-]*:\/\//i.test(variable.value) ? variable.value : `http://${variable.value}`;
+
+    try {
+        return new URL(url).href;
+    } catch {
+        // The value is not in the message, as it may contain credentials.
+        throw new Error(`Invalid "${variable.name}" environment variable: the value is not a valid URL`);
+    }
+};
+
+/**
+ * Reads the upstream proxies from the environment variables, where `ALL_PROXY` is used if `HTTP_PROXY` or `HTTPS_PROXY` is not set.
+ */
+export const readEnvProxy = (env: NodeJS.ProcessEnv = process.env): EnvProxy => {
+    const noProxy = getEnv(env, 'no_proxy');
+
+    return {
+        httpProxyUrl: getEnvProxyUrl(env, 'http_proxy'),
+        httpsProxyUrl: getEnvProxyUrl(env, 'https_proxy'),
+        isBypassed: noProxy ? createBypassCheck(noProxy.value) : undefined,
+    };
+};
+
+/**
+ * Returns the upstream proxy for the target, or null if the target should be connected to directly.
+ * @param isTunnel True for CONNECT requests, which use the `HTTPS_PROXY` whatever the target port is.
+ */
+export const getEnvProxyUrlForTarget = (envProxy: EnvProxy, target: URL, isTunnel: boolean): string | null => {
+    if (envProxy.isBypassed?.(target.hostname, normalizeUrlPort(target))) {
+        return null;
+    }
+
+    const proxyUrl = target.protocol === 'http:' && !isTunnel ? envProxy.httpProxyUrl : envProxy.httpsProxyUrl;
+    return proxyUrl ?? null;
+};
@@ -1,11 +1,25 @@
+import type { Buffer } from 'node:buffer';
 import type dns from 'node:dns';
 import http from 'node:http';
 import https from 'node:https';
+import net from 'node:net';
 import stream from 'node:stream';
-import type { URL } from 'node:url';
+import type tls from 'node:tls';
+import { URL } from 'node:url';
 import util from 'node:util';
 
+import type { ForwardedHeadersOptions } from './forwarded_headers';
+import { applyForwardedHeaders } from './forwarded_headers';
+import type { HappyEyeballsConnection, HappyEyeballsOptions, HappyEyeballsRequestOptions, TargetConnectedInfo } from './happy_eyeballs';
+import { HappyEyeballsAgent } from './happy_eyeballs_agent';
+import { HappyEyeballsHttpsAgent } from './happy_eyeballs_https_agent';
+import type { HeaderPolicy } from './header_policy';
+import { LOOP_DETECTION_HEADER } from './loop_detection';
+import type { RequestError } from './request_error';
 import { badGatewayStatusCodes, errorCodeToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { startConnectTimeout, startResponseHeadersTimeout } from './timeouts';
+import { createUpstreamTunnelConnection } from './upstream_tunnel';
 import type { SocketWithPreviousStats } from './utils/count_target_bytes';
 import { countTargetBytes } from './utils/count_target_bytes';
 import { getBasicAuthorizationHeader } from './utils/get_basic';
@@ -23,16 +37,88 @@ interface Options {
     lookup?: typeof dns['lookup'];
 }
 
+/**
+ * TLS options for connections to `https:` targets, used when the proxy originates TLS itself.
+ */
+export interface TargetTlsOptions {
+    // Trusted CA certificates, replacing the default Mozilla CA bundle.
+    ca?: tls.SecureContextOptions['ca'];
+    // If false, invalid target certificates are accepted. By default true.
+    rejectUnauthorized?: boolean;
+    // Server name for SNI and certificate verification. By default the target hostname.
+    servername?: string;
+}
+
 export interface HandlerOpts {
     upstreamProxyUrlParsed: URL;
+    upstreamProxyChainParsed?: URL[];
     ignoreUpstreamProxyCertificate: boolean;
     localAddress?: string;
     ipFamily?: number;
     dnsLookup?: typeof dns['lookup'];
     httpAgent?: http.Agent;
     httpsAgent?: https.Agent;
+    targetTlsOptions?: TargetTlsOptions;
+    headerPolicy?: HeaderPolicy;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    viaPseudonym?: string;
+    loopDetectionIds?: string[];
+    // Returns true if the failure was handled by passing the request to another upstream proxy.
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    // Called once the upstream proxy responds.
+    onUpstreamProxyConnected?: () => void;
+    // The request body, if it was read beforehand so that the request can be sent again.
+    requestBody?: Buffer | null;
+    // Returns true if the failed request is going to be sent again.
+    retryRequest?: (error: NodeJS.ErrnoException) => boolean;
+    timeouts?: TimeoutOptions;
+    happyEyeballs?: HappyEyeballsOptions;
+    // Called with the address the direct connection was made to.
+    onTargetConnected?: (target: TargetConnectedInfo) => void;
 }
 
+// The options used to connect to the target through a tunnel, shared with upgrade().
+export type TunnelHandlerOpts = Pick<
+    HandlerOpts,
+    'ignoreUpstreamProxyCertificate' | 'loopDetectionIds' | 'localAddress' | 'ipFamily' | 'dnsLookup' | 'timeouts' | 'targetTlsOptions'
+>;
+
+/**
+ * TLS options for the connection to the target, if it's `https:`.
+ */
+const getTargetTlsOptions = (handlerOpts: TunnelHandlerOpts, targetUrl: URL): tls.ConnectionOptions | undefined => {
+    if (targetUrl.protocol !== 'https:') {
+        return undefined;
+    }
+
+    return {
+        ...handlerOpts.targetTlsOptions,
+        servername: handlerOpts.targetTlsOptions?.servername ?? (net.isIP(targetUrl.hostname) ? undefined : targetUrl.hostname),
+    };
+};
+
+/**
+ * Connects to the target through a tunnel opened by the upstream proxy or the chain of upstream proxies,
+ * `https:` targets then get TLS originated by us.
+ * Meant to be used as the `createConnection` option of `http.request()` and `https.request()`.
+ */
+export const createConnectionThroughProxy = (request: http.IncomingMessage, handlerOpts: TunnelHandlerOpts, proxyUrls: URL[], targetUrl: URL) => {
+    return createUpstreamTunnelConnection(proxyUrls, {
+        target: `${targetUrl.hostname}:${targetUrl.port || (targetUrl.protocol === 'https:' ? 443 : 80)}`,
+        ignoreProxyCertificate: handlerOpts.ignoreUpstreamProxyCertificate,
+        headers: handlerOpts.loopDetectionIds && { [LOOP_DETECTION_HEADER]: handlerOpts.loopDetectionIds.join(', ') },
+        localAddress: handlerOpts.localAddress,
+        family: handlerOpts.ipFamily,
+        lookup: handlerOpts.dnsLookup,
+        timeouts: handlerOpts.timeouts,
+        sourceSocket: request.socket,
+    }, getTargetTlsOptions(handlerOpts, targetUrl));
+};
+
+// Like the global agents of Node.js, they keep the connections alive, so that the requests to a target can reuse them.
+const directHttpAgent = new HappyEyeballsAgent({ keepAlive: true, scheduling: 'lifo', timeout: 5000 });
+const directHttpsAgent = new HappyEyeballsHttpsAgent({ keepAlive: true, scheduling: 'lifo', timeout: 5000 });
+
 /**
  * The request is read from the client and is resent.
  * This is similar to Direct / Chain, however it uses the CONNECT protocol instead.
@@ -57,11 +143,21 @@ export const forward = async (
     // eslint-disable-next-line no-async-promise-executor
 ): Promise<void> => new Promise(async (resolve, reject) => {
     const proxy = handlerOpts.upstreamProxyUrlParsed;
-    const origin = proxy ? proxy.origin : request.url;
+    const proxyChain = handlerOpts.upstreamProxyChainParsed;
+
+    // TLS to `https:` targets is originated by us, so the upstream proxy is only used to open a tunnel.
+    // The same goes for all targets of a chain of upstream proxies.
+    const tunnelProxies = proxyChain ?? (proxy && request.url!.startsWith('https:') ? [proxy] : null);
+    const origin = proxy && !tunnelProxies ? proxy.origin : request.url;
+
+    let headers = validHeadersOnly(request.rawHeaders, handlerOpts.headerPolicy?.request);
+    if (handlerOpts.forwardedHeaders) {
+        headers = applyForwardedHeaders(headers, request, handlerOpts.forwardedHeaders, handlerOpts.viaPseudonym!);
+    }
 
     const options: Options = {
         method: request.method!,
-        headers: validHeadersOnly(request.rawHeaders),
+        headers,
         insecureHTTPParser: true,
         localAddress: handlerOpts.localAddress,
         family: handlerOpts.ipFamily,
@@ -69,7 +165,7 @@ export const forward = async (
     };
 
     // In case of proxy the path needs to be an absolute URL
-    if (proxy) {
+    if (proxy && !tunnelProxies) {
         options.path = request.url;
 
         try {
@@ -80,9 +176,15 @@ export const forward = async (
             reject(error);
             return;
         }
+
+        if (handlerOpts.loopDetectionIds) {
+            options.headers.push(LOOP_DETECTION_HEADER, handlerOpts.loopDetectionIds.join(', '));
+        }
     }
 
     const requestCallback = async (clientResponse: http.IncomingMessage) => {
+        handlerOpts.onUpstreamProxyConnected?.();
+
         try {
             // This is necessary to prevent Node.js throwing an error
             let statusCode = clientResponse.statusCode!;
@@ -92,14 +194,22 @@ export const forward = async (
 
             // 407 is handled separately
             if (clientResponse.statusCode === 407) {
-                reject(new Error('407 Proxy Authentication Required'));
+                clientResponse.resume();
+
+                const error = new Error('407 Proxy Authentication Required');
+                if (handlerOpts.onUpstreamProxyError?.(error)) {
+                    resolve();
+                    return;
+                }
+
+                reject(error);
                 return;
             }
 
             response.writeHead(
                 statusCode,
                 clientResponse.statusMessage,
-                validHeadersOnly(clientResponse.rawHeaders),
+                validHeadersOnly(clientResponse.rawHeaders, handlerOpts.headerPolicy?.response),
             );
 
             // `pipeline` automatically handles all the events and data
@@ -115,18 +225,65 @@ export const forward = async (
         }
     };
 
+    // Direct connections are made by us, trying all addresses of the target, unless there's a custom agent.
+    const isDirect = !proxy && !tunnelProxies && !(origin!.startsWith('https:') ? handlerOpts.httpsAgent : handlerOpts.httpAgent);
+    let directConnection: HappyEyeballsConnection | undefined;
+    const directOptions: HappyEyeballsRequestOptions = {
+        happyEyeballs: handlerOpts.happyEyeballs,
+        onConnecting: (connection) => {
+            directConnection = connection;
+        },
+        onTargetConnected: handlerOpts.onTargetConnected,
+    };
+
     // We have to force cast `options` because @types/node doesn't support an array.
-    const client = origin!.startsWith('https:')
-        ? https.request(origin!, {
-            ...options as unknown as https.RequestOptions,
-            rejectUnauthorized: handlerOpts.upstreamProxyUrlParsed ? !handlerOpts.ignoreUpstreamProxyCertificate : undefined,
-            agent: handlerOpts.httpsAgent,
-        }, requestCallback)
+    let client: http.ClientRequest;
+    if (tunnelProxies) {
+        const createConnection = createConnectionThroughProxy(request, handlerOpts, tunnelProxies, new URL(origin!));
 
-        : http.request(origin!, {
+        client = origin!.startsWith('https:')
+            ? https.request(origin!, {
+                ...options as unknown as https.RequestOptions,
+                ...handlerOpts.targetTlsOptions,
+                createConnection,
+            }, requestCallback)
+            : http.request(origin!, {
+                ...options as unknown as http.RequestOptions,
+                createConnection,
+            }, requestCallback);
+    } else if (origin!.startsWith('https:')) {
+        client = https.request(origin!, {
+            ...options as unknown as https.RequestOptions,
+            ...(proxy
+                ? { rejectUnauthorized: !handlerOpts.ignoreUpstreamProxyCertificate }
+                : handlerOpts.targetTlsOptions),
+            ...(isDirect ? { ...directOptions, agent: directHttpsAgent } : { agent: handlerOpts.httpsAgent }),
+        }, requestCallback);
+    } else {
+        client = http.request(origin!, {
             ...options as unknown as http.RequestOptions,
-            agent: handlerOpts.httpAgent,
+            ...(isDirect ? { ...directOptions, agent: directHttpAgent } : { agent: handlerOpts.httpAgent }),
         }, requestCallback);
+    }
+
+    // The request doesn't get the socket before the direct connection is made, so it can't stop the attempts.
+    const connectingClient = isDirect ? {
+        destroy: (error?: Error) => {
+            directConnection?.destroy(error);
+            client.destroy(error);
+        },
+    } : client;
+
+    const clearConnectTimeout = startConnectTimeout(request.socket, connectingClient, handlerOpts.timeouts?.connectTimeoutMillis);
+    const clearResponseHeadersTimeout = startResponseHeadersTimeout(request.socket, client, handlerOpts.timeouts?.responseHeadersTimeoutMillis);
+    const clearTimeouts = () => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
+    };
+    client.once('response', clearResponseHeadersTimeout);
+    client.once('close', clearTimeouts);
+    // Failed direct connections are reported without closing the request.
+    client.once('error', clearTimeouts);
 
     client.once('socket', (socket: SocketWithPreviousStats) => {
         // Socket can be re-used by multiple requests.
@@ -134,19 +291,33 @@ export const forward = async (
         socket.previousBytesRead = socket.bytesRead;
         socket.previousBytesWritten = socket.bytesWritten;
         countTargetBytes(request.socket, socket, (handler) => response.once('close', handler));
+
+        if (socket.connecting) {
+            socket.once('connect', clearConnectTimeout);
+        } else {
+            clearConnectTimeout();
+        }
     });
 
-    // Can't use pipeline here as it automatically destroys the streams
-    request.pipe(client);
+    if (handlerOpts.requestBody) {
+        client.end(handlerOpts.requestBody);
+    } else {
+        // Can't use pipeline here as it automatically destroys the streams
+        request.pipe(client);
+    }
+
     client.on('error', (error: NodeJS.ErrnoException) => {
-        if (response.headersSent) {
+        if (response.headersSent || handlerOpts.onUpstreamProxyError?.(error) || handlerOpts.retryRequest?.(error)) {
             resolve();
             return;
         }
 
-        const statusCode = errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
+        // Errors reported by the upstream proxy when opening a tunnel already have a status code.
+        const statusCode = error.name === 'RequestError'
+            ? (error as RequestError).statusCode
+            : errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
 
-        response.statusCode = !proxy && error.code === 'ENOTFOUND' ? 404 : statusCode;
+        response.statusCode = !proxy && !proxyChain && error.code === 'ENOTFOUND' ? 404 : statusCode;
         response.setHeader('content-type', 'text/plain; charset=utf-8');
         response.end(http.STATUS_CODES[response.statusCode]);
 
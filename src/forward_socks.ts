@@ -1,11 +1,24 @@
+import type { Buffer } from 'node:buffer';
+import type dns from 'node:dns';
 import http from 'node:http';
+import https from 'node:https';
 import stream from 'node:stream';
 import type { URL } from 'node:url';
 import util from 'node:util';
 
 import { SocksProxyAgent } from 'socks-proxy-agent';
 
+import type { TargetTlsOptions } from './forward';
+import type { ForwardedHeadersOptions } from './forwarded_headers';
+import { applyForwardedHeaders } from './forwarded_headers';
+import type { HeaderPolicy } from './header_policy';
+import type { RequestError } from './request_error';
+import type { SocksAgentPool } from './socks_agent_pool';
 import { badGatewayStatusCodes, errorCodeToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { startConnectTimeout, startResponseHeadersTimeout } from './timeouts';
+import { resolveSocksTarget } from './upstream_tunnel';
+import type { SocketWithPreviousStats } from './utils/count_target_bytes';
 import { countTargetBytes } from './utils/count_target_bytes';
 import { validHeadersOnly } from './utils/valid_headers_only';
 
@@ -16,21 +29,39 @@ interface Options {
     headers: string[];
     insecureHTTPParser: boolean;
     path?: string;
-    localAddress?: string;
+    lookup?: typeof dns['lookup'];
     agent: http.Agent;
 }
 
 export interface HandlerOpts {
     upstreamProxyUrlParsed: URL;
     localAddress?: string;
+    ipFamily?: number;
+    dnsLookup?: typeof dns['lookup'];
+    httpAgent?: http.Agent;
+    httpsAgent?: https.Agent;
+    socksAgentPool?: SocksAgentPool;
+    targetTlsOptions?: TargetTlsOptions;
+    headerPolicy?: HeaderPolicy;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    viaPseudonym?: string;
+    // Returns true if the failure was handled by passing the request to another upstream proxy.
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    // Called once the upstream proxy responds.
+    onUpstreamProxyConnected?: () => void;
+    // The request body, if it was read beforehand so that the request can be sent again.
+    requestBody?: Buffer | null;
+    // Returns true if the failed request is going to be sent again.
+    retryRequest?: (error: NodeJS.ErrnoException) => boolean;
+    timeouts?: TimeoutOptions;
 }
 
 /**
  * Forwards HTTP requests through a SOCKS upstream proxy.
  *
- * **Note:** Custom HTTP/HTTPS agents (`httpAgent`, `httpsAgent`) from `prepareRequestFunction`
- * are not supported with SOCKS upstream proxies. SOCKS uses direct socket connections
- * managed by the SocksProxyAgent, which does not utilize HTTP agents.
+ * The request uses the custom agent (`httpAgent` or `httpsAgent`) from `prepareRequestFunction` if set,
+ * which must connect through the SOCKS upstream proxy itself, e.g. a `SocksProxyAgent`.
+ * Otherwise it uses a keep-alive agent from `socksAgentPool`, or a new `SocksProxyAgent`.
  *
  * ```
  * Client -> Apify (HTTP) -> Upstream (SOCKS) -> Web
@@ -43,19 +74,36 @@ export const forwardSocks = async (
     handlerOpts: HandlerOpts,
     // eslint-disable-next-line no-async-promise-executor
 ): Promise<void> => new Promise(async (resolve, reject) => {
-    const agent = new SocksProxyAgent(handlerOpts.upstreamProxyUrlParsed);
+    const { upstreamProxyUrlParsed, localAddress, ipFamily, dnsLookup } = handlerOpts;
+
+    const isHttps = request.url!.startsWith('https:');
+
+    // The agent ignores these options of the request, it connects to the proxy with the `socketOptions`.
+    const socketOptions = { localAddress, family: ipFamily, lookup: dnsLookup };
+    const agent = (isHttps ? handlerOpts.httpsAgent : handlerOpts.httpAgent)
+        ?? handlerOpts.socksAgentPool?.getAgent(upstreamProxyUrlParsed, socketOptions)
+        ?? new SocksProxyAgent(upstreamProxyUrlParsed, { socketOptions });
+
+    let headers = validHeadersOnly(request.rawHeaders, handlerOpts.headerPolicy?.request);
+    if (handlerOpts.forwardedHeaders) {
+        headers = applyForwardedHeaders(headers, request, handlerOpts.forwardedHeaders, handlerOpts.viaPseudonym!);
+    }
 
     const options: Options = {
         method: request.method!,
-        headers: validHeadersOnly(request.rawHeaders),
+        headers,
         insecureHTTPParser: true,
-        localAddress: handlerOpts.localAddress,
+        // The agent uses it for `socks4` and `socks5` upstream proxies, which resolve the target locally.
+        lookup: ((hostname: string, _options: unknown, callback: (error: Error | null, address?: string) => void) => {
+            resolveSocksTarget(upstreamProxyUrlParsed.protocol, hostname, { family: ipFamily, lookup: dnsLookup })
+                .then((address) => callback(null, address), callback);
+        }) as typeof dns['lookup'],
         agent,
     };
 
-    // Only handling "http" here - since everything else is handeled by tunnelSocks.
-    // We have to force cast `options` because @types/node doesn't support an array.
-    const client = http.request(request.url!, options as unknown as http.ClientRequestArgs, async (clientResponse) => {
+    const requestCallback = async (clientResponse: http.IncomingMessage) => {
+        handlerOpts.onUpstreamProxyConnected?.();
+
         try {
             // This is necessary to prevent Node.js throwing an error
             let statusCode = clientResponse.statusCode!;
@@ -65,14 +113,22 @@ export const forwardSocks = async (
 
             // 407 is handled separately
             if (clientResponse.statusCode === 407) {
-                reject(new Error('407 Proxy Authentication Required'));
+                clientResponse.resume();
+
+                const error = new Error('407 Proxy Authentication Required');
+                if (handlerOpts.onUpstreamProxyError?.(error)) {
+                    resolve();
+                    return;
+                }
+
+                reject(error);
                 return;
             }
 
             response.writeHead(
                 statusCode,
                 clientResponse.statusMessage,
-                validHeadersOnly(clientResponse.rawHeaders),
+                validHeadersOnly(clientResponse.rawHeaders, handlerOpts.headerPolicy?.response),
             );
 
             // `pipeline` automatically handles all the events and data
@@ -86,21 +142,57 @@ export const forwardSocks = async (
             // Client error, pipeline already destroys the streams, ignore.
             resolve();
         }
+    };
+
+    // Only handling "http" here - since everything else is handeled by tunnelSocks.
+    // The exception are "https" targets when TLS origination is enabled, the agent then makes the TLS connection.
+    // We have to force cast `options` because @types/node doesn't support an array.
+    const client = isHttps
+        ? https.request(request.url!, {
+            ...options as unknown as https.RequestOptions,
+            ...handlerOpts.targetTlsOptions,
+        }, requestCallback)
+        : http.request(request.url!, options as unknown as http.ClientRequestArgs, requestCallback);
+
+    const clearConnectTimeout = startConnectTimeout(request.socket, client, handlerOpts.timeouts?.connectTimeoutMillis);
+    const clearResponseHeadersTimeout = startResponseHeadersTimeout(request.socket, client, handlerOpts.timeouts?.responseHeadersTimeoutMillis);
+    client.once('response', clearResponseHeadersTimeout);
+    client.once('close', () => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
     });
 
-    client.once('socket', (socket) => {
-        countTargetBytes(request.socket, socket);
+    // The agent passes the socket once the SOCKS handshake is done.
+    client.once('socket', (socket: SocketWithPreviousStats) => {
+        clearConnectTimeout();
+
+        // Keep-alive agents reuse the socket, the bytes of the previous requests are already counted.
+        // The handshake is counted only by the request that opened the socket.
+        if (client.reusedSocket) {
+            socket.previousBytesRead = socket.bytesRead;
+            socket.previousBytesWritten = socket.bytesWritten;
+        }
+
+        countTargetBytes(request.socket, socket, (handler) => response.once('close', handler));
     });
 
-    // Can't use pipeline here as it automatically destroys the streams
-    request.pipe(client);
+    if (handlerOpts.requestBody) {
+        client.end(handlerOpts.requestBody);
+    } else {
+        // Can't use pipeline here as it automatically destroys the streams
+        request.pipe(client);
+    }
+
     client.on('error', (error: NodeJS.ErrnoException) => {
-        if (response.headersSent) {
+        if (response.headersSent || handlerOpts.onUpstreamProxyError?.(error) || handlerOpts.retryRequest?.(error)) {
             resolve();
             return;
         }
 
-        const statusCode = errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
+        // The response headers timeout already has a status code.
+        const statusCode = error.name === 'RequestError'
+            ? (error as RequestError).statusCode
+            : errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
 
         response.statusCode = statusCode;
         response.setHeader('content-type', 'text/plain; charset=utf-8');
@@ -0,0 +1,110 @@
+import type http from 'node:http';
+import net from 'node:net';
+import { URL } from 'node:url';
+
+import type { Socket } from './socket';
+import { normalizeIpAddress } from './utils/normalize_ip_address';
+
+/**
+ * Controls the headers that tell the target about the proxy and the original client.
+ */
+export interface ForwardedHeadersOptions {
+    // Append `Via: 1.1 <authRealm>`.
+    via?: boolean;
+    // Append RFC 7239 `Forwarded: for=<client>;host=<host>;proto=<protocol>`.
+    forwarded?: boolean;
+    // Append the client address to `X-Forwarded-For` and set `X-Forwarded-Proto`.
+    xForwardedFor?: boolean;
+    // Remove the copies of these headers sent by the client before the new ones are added.
+    stripIncoming?: boolean;
+}
+
+const FORWARDED_HEADERS = ['via', 'forwarded', 'x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host'];
+
+/**
+ * Appends the value to the last header with the given name, or adds the header if it's not present.
+ * List-based headers can be combined this way, see https://datatracker.ietf.org/doc/html/rfc7230#section-3.2.2
+ */
+const appendHeaderValue = (rawHeaders: string[], name: string, value: string): void => {
+    for (let i = rawHeaders.length - 2; i >= 0; i -= 2) {
+        if (rawHeaders[i].toLowerCase() === name.toLowerCase()) {
+            rawHeaders[i + 1] = `${rawHeaders[i + 1]}, ${value}`;
+            return;
+        }
+    }
+
+    rawHeaders.push(name, value);
+};
+
+const setHeaderValue = (rawHeaders: string[], name: string, value: string): void => {
+    for (let i = rawHeaders.length - 2; i >= 0; i -= 2) {
+        if (rawHeaders[i].toLowerCase() === name.toLowerCase()) {
+            rawHeaders.splice(i, 2);
+        }
+    }
+
+    rawHeaders.push(name, value);
+};
+
+// The client address can come from the PROXY protocol header, see `proxy_protocol.ts`.
+const getClientAddress = (request: http.IncomingMessage): string | undefined => {
+    const address = (request.socket as Socket).clientAddress ?? request.socket.remoteAddress;
+    return address && normalizeIpAddress(address);
+};
+
+// https://datatracker.ietf.org/doc/html/rfc7239#section-6
+const formatForwardedNode = (address: string | undefined): string => {
+    if (!address) {
+        return 'unknown';
+    }
+
+    return net.isIPv6(address) ? `"[${address}]"` : address;
+};
+
+/**
+ * Returns the raw headers with the forwarding headers stripped and/or added, according to the options.
+ * @param rawHeaders Headers that are going to be forwarded, in the raw format.
+ * @param request The client request.
+ * @param options Which headers to strip and add.
+ * @param pseudonym The name of the proxy in the `Via` header.
+ */
+export const applyForwardedHeaders = (
+    rawHeaders: string[],
+    request: http.IncomingMessage,
+    options: ForwardedHeadersOptions,
+    pseudonym: string,
+): string[] => {
+    const result = [];
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (options.stripIncoming && FORWARDED_HEADERS.includes(rawHeaders[i].toLowerCase())) {
+            continue;
+        }
+
+        result.push(rawHeaders[i], rawHeaders[i + 1]);
+    }
+
+    const clientAddress = getClientAddress(request);
+    const protocol = new URL(request.url!).protocol.slice(0, -1);
+
+    if (options.via) {
+        appendHeaderValue(result, 'Via', `${request.httpVersion} ${pseudonym}`);
+    }
+
+    if (options.forwarded) {
+        const parts = [`for=${formatForwardedNode(clientAddress)}`];
+        if (request.headers.host) {
+            parts.push(`host=${JSON.stringify(request.headers.host)}`);
+        }
+        parts.push(`proto=${protocol}`);
+
+        appendHeaderValue(result, 'Forwarded', parts.join(';'));
+    }
+
+    if (options.xForwardedFor) {
+        appendHeaderValue(result, 'X-Forwarded-For', clientAddress ?? 'unknown');
+        setHeaderValue(result, 'X-Forwarded-Proto', protocol);
+    }
+
+    return result;
+};
@@ -0,0 +1,271 @@
+import dns from 'node:dns';
+import type http from 'node:http';
+import net from 'node:net';
+import type stream from 'node:stream';
+import tls from 'node:tls';
+
+export interface HappyEyeballsOptions {
+    // Delay before connecting to the next address while the previous attempts are still pending.
+    // By default 250 ms, as recommended by RFC 8305.
+    connectionAttemptDelayMillis?: number;
+}
+
+/**
+ * Describes a direct connection to the target.
+ */
+export interface TargetConnectedInfo {
+    hostname: string;
+    port: number;
+    // The address that accepted the connection first.
+    address: string;
+    family: number;
+    // All addresses that were tried, in the order of the attempts, including the one that won.
+    attemptedAddresses: string[];
+}
+
+/**
+ * Emitted as `targetConnected` by the server once a direct connection to the target is made.
+ */
+export interface TargetConnectedEvent extends TargetConnectedInfo {
+    connectionId: number;
+    customTag?: unknown;
+}
+
+export interface HappyEyeballsConnectOptions extends HappyEyeballsOptions {
+    host: string;
+    port: number;
+    localAddress?: string;
+    family?: number;
+    lookup?: typeof dns['lookup'];
+}
+
+export interface HappyEyeballsConnection {
+    // Stops all pending attempts, the callback then gets the error.
+    destroy: (error?: Error) => void;
+}
+
+type ConnectCallback = (error: NodeJS.ErrnoException | null, socket?: net.Socket, info?: TargetConnectedInfo) => void;
+
+// Custom lookup functions don't have to support the `all` option, they might provide a single address.
+type LookupAllCallback = (error: NodeJS.ErrnoException | null, addresses: dns.LookupAddress[] | string, family?: number) => void;
+type LookupAll = (hostname: string, options: dns.LookupAllOptions, callback: LookupAllCallback) => void;
+
+const DEFAULT_CONNECTION_ATTEMPT_DELAY_MILLIS = 250;
+
+/**
+ * Orders the addresses as recommended by RFC 8305: address families alternate,
+ * starting with the family of the first address returned by the resolver.
+ */
+export const sortAddressesForHappyEyeballs = (addresses: dns.LookupAddress[]): dns.LookupAddress[] => {
+    if (addresses.length === 0) {
+        return [];
+    }
+
+    const preferredFamily = addresses[0].family;
+    const preferred = addresses.filter(({ family }) => family === preferredFamily);
+    const other = addresses.filter(({ family }) => family !== preferredFamily);
+
+    const sorted: dns.LookupAddress[] = [];
+    for (let i = 0; i < Math.max(preferred.length, other.length); i++) {
+        if (i < preferred.length) sorted.push(preferred[i]);
+        if (i < other.length) sorted.push(other[i]);
+    }
+
+    return sorted;
+};
+
+const lookupAll = (options: HappyEyeballsConnectOptions, callback: (error: NodeJS.ErrnoException | null, addresses?: dns.LookupAddress[]) => void) => {
+    const { host } = options;
+
+    // Keeps the callback asynchronous, like the lookup.
+    if (net.isIP(host)) {
+        process.nextTick(callback, null, [{ address: host, family: net.isIP(host) }]);
+        return;
+    }
+
+    const lookup = (options.lookup ?? dns.lookup) as unknown as LookupAll;
+    lookup(host, { all: true, family: options.family ?? 0 }, (error, addresses, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        const all = typeof addresses === 'string' ? [{ address: addresses, family: family ?? net.isIP(addresses) }] : addresses;
+        if (all.length === 0) {
+            const notFoundError: NodeJS.ErrnoException = new Error(`getaddrinfo ENOTFOUND ${host}`);
+            notFoundError.code = 'ENOTFOUND';
+            callback(notFoundError);
+            return;
+        }
+
+        callback(null, sortAddressesForHappyEyeballs(all));
+    });
+};
+
+/**
+ * Connects to all addresses of the host in the Happy Eyeballs order (RFC 8305).
+ * The next attempt starts once the previous one fails or after `connectionAttemptDelayMillis`,
+ * the first socket that connects is passed to the callback and the other attempts are stopped.
+ * If all attempts fail, the callback gets the error of the last one.
+ */
+export const connectHappyEyeballs = (options: HappyEyeballsConnectOptions, callback: ConnectCallback): HappyEyeballsConnection => {
+    const { host, port, localAddress } = options;
+    const connectionAttemptDelayMillis = options.connectionAttemptDelayMillis ?? DEFAULT_CONNECTION_ATTEMPT_DELAY_MILLIS;
+
+    const pending = new Set<net.Socket>();
+    const attemptedAddresses: string[] = [];
+    let addresses: dns.LookupAddress[] = [];
+    let lastError: NodeJS.ErrnoException | null = null;
+    let timeout: NodeJS.Timeout | undefined;
+    let done = false;
+
+    const finish = (error: NodeJS.ErrnoException | null, socket?: net.Socket, address?: dns.LookupAddress) => {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timeout);
+
+        for (const pendingSocket of pending) {
+            pendingSocket.destroy();
+        }
+        pending.clear();
+
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        callback(null, socket, {
+            hostname: host,
+            port,
+            address: address!.address,
+            family: address!.family,
+            attemptedAddresses,
+        });
+    };
+
+    const attemptNext = () => {
+        clearTimeout(timeout);
+
+        if (attemptedAddresses.length === addresses.length) {
+            if (pending.size === 0) {
+                finish(lastError);
+            }
+            return;
+        }
+
+        const address = addresses[attemptedAddresses.length];
+        attemptedAddresses.push(address.address);
+
+        let socket: net.Socket;
+        try {
+            socket = net.createConnection({ host: address.address, port, family: address.family, localAddress });
+        } catch (error) {
+            // Invalid options, e.g. the port.
+            finish(error as NodeJS.ErrnoException);
+            return;
+        }
+        pending.add(socket);
+
+        const onError = (error: NodeJS.ErrnoException) => {
+            pending.delete(socket);
+            lastError = error;
+
+            if (!done) {
+                attemptNext();
+            }
+        };
+
+        socket.once('error', onError);
+        socket.once('connect', () => {
+            socket.off('error', onError);
+            pending.delete(socket);
+            finish(null, socket, address);
+        });
+
+        if (attemptedAddresses.length < addresses.length) {
+            timeout = setTimeout(attemptNext, connectionAttemptDelayMillis);
+        }
+    };
+
+    lookupAll(options, (error, result) => {
+        if (done) {
+            return;
+        }
+
+        if (error) {
+            finish(error);
+            return;
+        }
+
+        addresses = result!;
+        attemptNext();
+    });
+
+    return {
+        destroy: (error) => finish(error ?? new Error('Connection aborted')),
+    };
+};
+
+/**
+ * Options of the requests sent through `HappyEyeballsAgent` or `HappyEyeballsHttpsAgent`, on top of the standard ones.
+ */
+export interface HappyEyeballsRequestOptions {
+    happyEyeballs?: HappyEyeballsOptions;
+    // Called with the pending attempts of a new connection, which destroying the request doesn't stop.
+    onConnecting?: (connection: HappyEyeballsConnection) => void;
+    // Called once a new connection is made, reused connections don't call it.
+    onTargetConnected?: (info: TargetConnectedInfo) => void;
+}
+
+/**
+ * Makes a new connection for the Happy Eyeballs agents, see `connectHappyEyeballs()`,
+ * then starts TLS if `tlsOptions` are given.
+ */
+export const connectAgentSocket = (
+    options: http.ClientRequestArgs & HappyEyeballsRequestOptions,
+    callback: (error: Error | null, socket: stream.Duplex) => void,
+    tlsOptions?: tls.ConnectionOptions,
+): void => {
+    const connection = connectHappyEyeballs({
+        host: options.host!,
+        port: Number(options.port),
+        localAddress: options.localAddress,
+        family: options.family,
+        lookup: options.lookup as typeof dns['lookup'] | undefined,
+        ...options.happyEyeballs,
+    }, (error, socket, info) => {
+        if (error) {
+            callback(error, null!);
+            return;
+        }
+
+        options.onTargetConnected?.(info!);
+        callback(null, tlsOptions ? tls.connect({ ...tlsOptions, socket }) : socket!);
+    });
+
+    options.onConnecting?.(connection);
+};
+
+// Functions can't be a part of the agent's connection name, so each lookup function gets a number.
+const lookupIds = new WeakMap<object, number>();
+let lastLookupId = 0;
+
+/**
+ * Connections made with different lookup functions might go to different addresses, so they can't be shared.
+ */
+export const getLookupId = (lookup?: unknown): number => {
+    if (typeof lookup !== 'function') {
+        return 0;
+    }
+
+    let id = lookupIds.get(lookup);
+    if (id === undefined) {
+        id = ++lastLookupId;
+        lookupIds.set(lookup, id);
+    }
+
+    return id;
+};
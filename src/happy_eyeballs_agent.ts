@@ -0,0 +1,23 @@
+import http from 'node:http';
+import type stream from 'node:stream';
+
+import type { HappyEyeballsRequestOptions } from './happy_eyeballs';
+import { connectAgentSocket, getLookupId } from './happy_eyeballs';
+
+/**
+ * Agent for `http:` targets that makes its new connections in the Happy Eyeballs order, see `connectHappyEyeballs()`.
+ * Unlike the `createConnection` request option, it keeps the connections alive and reuses them.
+ */
+export class HappyEyeballsAgent extends http.Agent {
+    override createConnection(
+        options: http.ClientRequestArgs & HappyEyeballsRequestOptions,
+        callback: (error: Error | null, socket: stream.Duplex) => void,
+    ): undefined {
+        connectAgentSocket(options, callback);
+        return undefined;
+    }
+
+    override getName(options?: http.ClientRequestArgs): string {
+        return `${super.getName(options)}:${getLookupId(options?.lookup)}`;
+    }
+}
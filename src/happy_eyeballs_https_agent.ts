@@ -0,0 +1,24 @@
+import https from 'node:https';
+import type stream from 'node:stream';
+import type tls from 'node:tls';
+
+import type { HappyEyeballsRequestOptions } from './happy_eyeballs';
+import { connectAgentSocket, getLookupId } from './happy_eyeballs';
+
+/**
+ * Agent for `https:` targets that makes its new connections in the Happy Eyeballs order, see `connectHappyEyeballs()`,
+ * and originates TLS on them. The connections are kept alive and reused like with `HappyEyeballsAgent`.
+ */
+export class HappyEyeballsHttpsAgent extends https.Agent {
+    override createConnection(
+        options: https.RequestOptions & HappyEyeballsRequestOptions,
+        callback: (error: Error | null, socket: stream.Duplex) => void,
+    ): undefined {
+        connectAgentSocket(options, callback, options as tls.ConnectionOptions);
+        return undefined;
+    }
+
+    override getName(options?: https.RequestOptions): string {
+        return `${super.getName(options)}:${getLookupId(options?.lookup)}`;
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Rules applied to the headers of forwarded messages, after hop-by-hop headers are removed.
+ */
+export interface HeaderRules {
+    // Names of headers that are never forwarded, case-insensitive.
+    block?: string[];
+    // Called for each remaining header. Return a new value to rewrite the header,
+    // `null` to drop it, or `undefined` to keep it unchanged.
+    transform?: (name: string, value: string) => string | null | undefined;
+}
+
+/**
+ * Server-wide policy for headers of requests forwarded to the target and responses passed back to the client.
+ */
+export interface HeaderPolicy {
+    request?: HeaderRules;
+    response?: HeaderRules;
+}
@@ -0,0 +1,77 @@
+import dns from 'node:dns';
+import net from 'node:net';
+
+import type { LookupCallback, LookupOptionsArgument } from './utils/reply_to_lookup';
+import { parseLookupArguments, replyToLookup } from './utils/reply_to_lookup';
+
+/**
+ * Maps hostname patterns to addresses, like `curl --resolve`, e.g. `{ 'example.com': '127.0.0.1', '*.example.com': ['10.0.0.1', '::1'] }`.
+ * A pattern is either a hostname, or a wildcard: `*.example.com` matches all subdomains of `example.com` but not the domain itself,
+ * and `*` matches all hostnames. Exact hostnames take precedence over wildcards, and longer wildcards over shorter ones.
+ */
+export type HostOverrides = Record<string, string | string[]>;
+
+const normalizeHostname = (hostname: string): string => hostname.toLowerCase().replace(/\.$/, '');
+
+/**
+ * Throws if any of the addresses is not an IP address.
+ */
+export const validateHostOverrides = (hostOverrides: HostOverrides): void => {
+    for (const [pattern, addresses] of Object.entries(hostOverrides)) {
+        const invalidAddress = ([] as string[]).concat(addresses).find((address) => !net.isIP(address));
+        if (invalidAddress !== undefined || addresses.length === 0) {
+            throw new Error(`Invalid "hostOverrides" provided: "${pattern}" must map to IP addresses (was "${addresses}")`);
+        }
+    }
+};
+
+/**
+ * Returns the addresses the hostname is overridden with, or null if no pattern matches it.
+ */
+export const findHostOverride = (hostOverrides: HostOverrides, hostname: string): dns.LookupAddress[] | null => {
+    const normalized = normalizeHostname(hostname);
+
+    let match: string | string[] | undefined;
+    let matchLength = -1;
+
+    for (const [pattern, addresses] of Object.entries(hostOverrides)) {
+        const normalizedPattern = normalizeHostname(pattern);
+
+        if (normalizedPattern === normalized) {
+            match = addresses;
+            break;
+        }
+
+        const isMatchingWildcard = normalizedPattern === '*'
+            || (normalizedPattern.startsWith('*.') && normalized.endsWith(normalizedPattern.slice(1)));
+
+        if (isMatchingWildcard && normalizedPattern.length > matchLength) {
+            match = addresses;
+            matchLength = normalizedPattern.length;
+        }
+    }
+
+    if (match === undefined) {
+        return null;
+    }
+
+    return ([] as string[]).concat(match).map((address) => ({ address, family: net.isIP(address) }));
+};
+
+/**
+ * Creates a function compatible with `dns.lookup()` that resolves the overridden hostnames to their addresses,
+ * and passes the other ones to `lookup`.
+ */
+export const createHostOverridesLookup = (hostOverrides: HostOverrides, lookup: typeof dns['lookup'] = dns.lookup): typeof dns['lookup'] => {
+    return ((hostname: string, options: LookupOptionsArgument, callback?: LookupCallback) => {
+        const overridden = findHostOverride(hostOverrides, hostname);
+
+        if (!overridden) {
+            (lookup as (...args: unknown[]) => void)(hostname, options, callback);
+            return;
+        }
+
+        const args = parseLookupArguments(options, callback);
+        process.nextTick(() => replyToLookup(hostname, overridden, args));
+    }) as typeof dns['lookup'];
+};
@@ -3,5 +3,21 @@ export * from './server';
 export * from './utils/redact_url';
 export * from './anonymize_proxy';
 export * from './tcp_tunnel_tools';
+export * from './upstream_pool';
+export * from './dns_cache';
+export * from './pac';
 
 export { CustomResponse } from './custom_response';
+export type { BypassList } from './bypass';
+export type { CircuitBreakerOptions } from './circuit_breaker';
+export type { ForwardedHeadersOptions } from './forwarded_headers';
+export type { HappyEyeballsOptions, TargetConnectedEvent } from './happy_eyeballs';
+export type { HeaderPolicy, HeaderRules } from './header_policy';
+export type { HostOverrides } from './host_overrides';
+export type { ProxyProtocolAddress, ProxyProtocolOptions } from './proxy_protocol';
+export type { Route, RouteAction, RouteMatch } from './routes';
+export type { RequestRetryContext, RequestRetryEvent, RequestRetryOptions } from './request_retry';
+export type { SocksAgentPoolOptions } from './socks_agent_pool';
+export type { CloseReason, TimeoutOptions } from './timeouts';
+export type { OriginalDestination, TransparentProxyOptions } from './transparent';
+export type { UpstreamFailedEvent } from './upstream_failover';
@@ -0,0 +1,76 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import type http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+
+import { normalizeIpAddress } from './utils/normalize_ip_address';
+
+/**
+ * Header with the identifiers of all proxy-chain servers the request went through, similar to `Via`.
+ * It's added to requests sent to upstream HTTP proxies only, never to the target, so it doesn't detect loops through SOCKS proxies.
+ */
+export const LOOP_DETECTION_HEADER = 'x-proxy-chain-via';
+
+/**
+ * Creates a random identifier of a server instance.
+ */
+export const createServerId = (): string => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Returns the identifiers of the servers the request already went through.
+ */
+export const getLoopDetectionIds = (request: http.IncomingMessage): string[] => {
+    const header = request.headers[LOOP_DETECTION_HEADER];
+    if (!header) {
+        return [];
+    }
+
+    return (Array.isArray(header) ? header.join(',') : header)
+        .split(',')
+        .map((id) => id.trim())
+        .filter(Boolean);
+};
+
+const isLocalAddress = (address: string): boolean => {
+    if (address.startsWith('127.') || ['0.0.0.0', '::', '::1'].includes(address)) {
+        return true;
+    }
+
+    return Object.values(os.networkInterfaces()).flat().some((info) => info && normalizeIpAddress(info.address) === address);
+};
+
+const lookupAll = async (hostname: string, lookup: typeof dns['lookup']): Promise<string[]> => new Promise((resolve) => {
+    // Custom lookup functions might not support the `all` option. If the hostname doesn't resolve, the connection fails anyway.
+    lookup(hostname, { all: true }, (error, addresses) => {
+        if (error) {
+            resolve([]);
+            return;
+        }
+
+        resolve(Array.isArray(addresses) ? addresses.map(({ address }) => address) : [addresses]);
+    });
+});
+
+/**
+ * Checks whether a connection to the target would come back to the server listening on `listenAddress`,
+ * e.g. a direct or transparent request with the Host of the proxy itself, which carries no loop detection header.
+ */
+export const isListenAddressTarget = async (
+    hostname: string,
+    port: number,
+    listenAddress: net.AddressInfo,
+    lookup: typeof dns['lookup'] = dns.lookup,
+): Promise<boolean> => {
+    if (port !== listenAddress.port) {
+        return false;
+    }
+
+    const addresses = net.isIP(hostname) ? [hostname] : await lookupAll(hostname, lookup);
+    const listenIp = normalizeIpAddress(listenAddress.address);
+    const listensOnAll = listenIp === '::' || listenIp === '0.0.0.0';
+
+    return addresses
+        .map((address) => normalizeIpAddress(address))
+        .some((address) => (listensOnAll ? isLocalAddress(address) : address === listenIp));
+};
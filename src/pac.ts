@@ -0,0 +1,297 @@
+import dns from 'node:dns';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import vm from 'node:vm';
+
+export interface PacOptions {
+    // The PAC script defining `FindProxyForURL(url, host)`, or
+    script?: string;
+    // path of the file with the PAC script, read when the server is created.
+    file?: string;
+    // Maximum time a single call of `FindProxyForURL()` can take. By default 1000 ms.
+    timeoutMillis?: number;
+}
+
+export interface ServePacOptions {
+    // Path where the server serves the PAC file. By default `/proxy.pac`.
+    path?: string;
+    // The `host:port` that browsers should use to reach the proxy. By default the Host header of the request for the PAC file.
+    proxyHost?: string;
+    // Hostname patterns (`*` and `?` wildcards) that browsers should connect to directly.
+    bypass?: string[];
+}
+
+const DEFAULT_TIMEOUT_MILLIS = 1000;
+
+// The PAC helpers that need the address of the hostname, which is resolved before calling `FindProxyForURL()`.
+const DNS_HELPERS_REGEX = /\b(dnsResolve|isInNet|isResolvable)\b/;
+
+const PAC_PROTOCOLS: Record<string, string> = {
+    PROXY: 'http:',
+    HTTP: 'http:',
+    HTTPS: 'https:',
+    // Chrome treats plain `SOCKS` as SOCKS4, Firefox as SOCKS5.
+    SOCKS: 'socks4:',
+    SOCKS4: 'socks4:',
+    SOCKS5: 'socks5:',
+};
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+interface RangeComponent {
+    unit: string;
+    value: number;
+}
+
+const convertAddress = (address: string): number => {
+    return address.split('.').reduce((result, octet) => result * 256 + Number(octet), 0);
+};
+
+const shExpMatch = (value: string, pattern: string): boolean => {
+    const regExp = pattern.split('').map((char) => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${regExp}$`).test(value);
+};
+
+const isInRange = (value: number, start: number, end: number): boolean => {
+    // Ranges such as `weekdayRange("FRI", "MON")` wrap around.
+    return start <= end ? start <= value && value <= end : value >= start || value <= end;
+};
+
+// Removes the optional "GMT" argument of the time helpers.
+const parseTimeArguments = (args: unknown[]): { args: unknown[]; now: Record<string, number> } => {
+    const isGmt = args[args.length - 1] === 'GMT';
+    const date = new Date();
+
+    // Shift the date, so that its local time is the GMT time.
+    if (isGmt) {
+        date.setTime(date.getTime() + date.getTimezoneOffset() * 60 * 1000);
+    }
+
+    return {
+        args: isGmt ? args.slice(0, -1) : args,
+        now: {
+            year: date.getFullYear(),
+            month: date.getMonth(),
+            day: date.getDate(),
+            weekday: date.getDay(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds(),
+        },
+    };
+};
+
+/**
+ * Returns true if the current time is in the range given by the start components followed by the end components,
+ * or equals the single component.
+ */
+const isNowInRange = (components: RangeComponent[], now: Record<string, number>, weights: Record<string, number>): boolean => {
+    const half = Math.ceil(components.length / 2);
+    const start = components.slice(0, half);
+    const end = components.length === 1 ? start : components.slice(half);
+
+    const toKey = (values: RangeComponent[]) => values.reduce((key, { unit, value }) => key + weights[unit] * value, 0);
+
+    return isInRange(toKey(start.map(({ unit }) => ({ unit, value: now[unit] }))), toKey(start), toKey(end));
+};
+
+const weekdayRange = (...rawArgs: unknown[]): boolean => {
+    const { args, now } = parseTimeArguments(rawArgs);
+    const [start, end] = args.map((weekday) => WEEKDAYS.indexOf(String(weekday).toUpperCase()));
+
+    return isInRange(now.weekday, start, end ?? start);
+};
+
+const dateRange = (...rawArgs: unknown[]): boolean => {
+    const { args, now } = parseTimeArguments(rawArgs);
+    const components = args.map((arg) => {
+        if (typeof arg === 'string') return { unit: 'month', value: MONTHS.indexOf(arg.toUpperCase()) };
+        if (Number(arg) > 31) return { unit: 'year', value: Number(arg) };
+        return { unit: 'day', value: Number(arg) };
+    });
+
+    return isNowInRange(components, now, { year: 10000, month: 100, day: 1 });
+};
+
+const timeRange = (...rawArgs: unknown[]): boolean => {
+    const { args, now } = parseTimeArguments(rawArgs);
+    const units = ['hour', 'minute', 'second'];
+    const perBound = args.length === 1 ? 1 : args.length / 2;
+    const components = args.map((arg, index) => ({ unit: units[index % perBound], value: Number(arg) }));
+
+    return isNowInRange(components, now, { hour: 3600, minute: 60, second: 1 });
+};
+
+const myIpAddress = (): string => {
+    const addresses = Object.values(os.networkInterfaces()).flat();
+    const external = addresses.find((info) => info && info.family === 'IPv4' && !info.internal);
+
+    return external?.address ?? '127.0.0.1';
+};
+
+const resolveIpv4 = async (hostname: string, lookup: typeof dns['lookup']): Promise<string | null> => new Promise((resolve) => {
+    lookup(hostname, { family: 4 }, (error, address) => resolve(error ? null : address as string));
+});
+
+// `host:port` of the proxies in the directives, the host can be a hostname, an IPv4 address or a bracketed IPv6 address.
+const HOST_PORT_REGEX = /^(?:\[([0-9a-f:.]+)\]|([a-z0-9_-]+(?:\.[a-z0-9_-]+)*\.?)):(\d{1,5})$/i;
+
+const isValidHostPort = (hostPort: string): boolean => {
+    const match = HOST_PORT_REGEX.exec(hostPort);
+    if (!match) {
+        return false;
+    }
+
+    const [, ipv6, , port] = match;
+    return (ipv6 === undefined || net.isIPv6(ipv6)) && Number(port) > 0 && Number(port) <= 65535;
+};
+
+/**
+ * Parses the value returned by `FindProxyForURL()`, e.g. `PROXY proxy.example.com:8080; SOCKS5 10.0.0.1:1080; DIRECT`,
+ * into the URLs of the proxies, where `null` stands for a direct connection.
+ * Like browsers, it skips the unknown and malformed directives, including proxies without a valid `host:port`,
+ * and throws only if none of the directives is usable.
+ * Plain `SOCKS` is SOCKS4 as in Chrome, while Firefox treats it as SOCKS5, so use `SOCKS5` for those proxies.
+ */
+export const parsePacResult = (result: string): (string | null)[] => {
+    const directives = result.split(';').map((directive) => directive.trim()).filter(Boolean);
+    const parsed: (string | null)[] = [];
+
+    for (const directive of directives) {
+        const [type, hostPort, ...rest] = directive.split(/\s+/);
+        const upperType = type.toUpperCase();
+
+        if (upperType === 'DIRECT' && !hostPort) {
+            parsed.push(null);
+        } else if (PAC_PROTOCOLS[upperType] && hostPort && !rest.length && isValidHostPort(hostPort)) {
+            parsed.push(`${PAC_PROTOCOLS[upperType]}//${hostPort}`);
+        }
+    }
+
+    if (directives.length && !parsed.length) {
+        throw new Error(`No valid directive in "${result}" returned by FindProxyForURL()`);
+    }
+
+    return parsed;
+};
+
+/**
+ * Evaluates a PAC script in a separate V8 context with the standard PAC helper functions.
+ * The context only isolates the globals of the script, it is not a security boundary, so the script must be trusted.
+ * As `dnsResolve()` must be synchronous, only the hostname passed to `FindProxyForURL()` can be resolved,
+ * other hostnames resolve to `null`.
+ */
+export class PacResolver {
+    private readonly context: vm.Context;
+
+    private readonly findProxyScript = new vm.Script('FindProxyForURL(findProxyForUrlArgs[0], findProxyForUrlArgs[1])');
+
+    private readonly timeoutMillis: number;
+
+    private readonly usesDns: boolean;
+
+    // Addresses of the hostname of the current `FindProxyForURL()` call.
+    private resolvedHosts = new Map<string, string | null>();
+
+    constructor(options: PacOptions) {
+        if (options.script === undefined && options.file === undefined) {
+            throw new Error('Invalid "pac" provided: either "script" or "file" must be set');
+        }
+
+        const script = options.script ?? fs.readFileSync(options.file!, 'utf8');
+        this.timeoutMillis = options.timeoutMillis ?? DEFAULT_TIMEOUT_MILLIS;
+        this.usesDns = DNS_HELPERS_REGEX.test(script);
+
+        const dnsResolve = (host: string) => (net.isIP(host) ? host : this.resolvedHosts.get(String(host).toLowerCase()) ?? null);
+
+        this.context = vm.createContext({
+            isPlainHostName: (host: string) => !host.includes('.'),
+            dnsDomainIs: (host: string, domain: string) => host.toLowerCase().endsWith(domain.toLowerCase()),
+            localHostOrDomainIs: (host: string, hostdom: string) => {
+                const lowerHost = host.toLowerCase();
+                const lowerHostdom = hostdom.toLowerCase();
+                return lowerHost === lowerHostdom || (!lowerHost.includes('.') && lowerHostdom.startsWith(`${lowerHost}.`));
+            },
+            isResolvable: (host: string) => dnsResolve(host) !== null,
+            isInNet: (host: string, pattern: string, mask: string) => {
+                const address = dnsResolve(host);
+                if (!address || !net.isIPv4(address)) return false;
+
+                // The addresses match if they are the same in the bits that are set in the mask.
+                const hostBits = 2 ** (32 - convertAddress(mask).toString(2).replace(/0/g, '').length);
+                return Math.floor(convertAddress(address) / hostBits) === Math.floor(convertAddress(pattern) / hostBits);
+            },
+            dnsResolve,
+            convert_addr: convertAddress,
+            myIpAddress,
+            dnsDomainLevels: (host: string) => host.split('.').length - 1,
+            shExpMatch,
+            weekdayRange,
+            dateRange,
+            timeRange,
+            alert: () => undefined,
+        });
+
+        try {
+            new vm.Script(script, { filename: options.file ?? 'proxy.pac' }).runInContext(this.context, { timeout: this.timeoutMillis });
+        } catch (error) {
+            throw new Error(`Invalid "pac" provided: ${error}`);
+        }
+
+        if (typeof this.context.FindProxyForURL !== 'function') {
+            throw new Error('Invalid "pac" provided: the script must define the FindProxyForURL(url, host) function');
+        }
+    }
+
+    /**
+     * Calls `FindProxyForURL()` of the script and returns its result, e.g. `PROXY proxy.example.com:8080; DIRECT`.
+     * The hostname is resolved using `lookup` if the script uses the DNS helpers.
+     */
+    async findProxy(url: string, hostname: string, lookup: typeof dns['lookup'] = dns.lookup): Promise<string> {
+        const resolvedHosts = new Map<string, string | null>();
+        if (this.usesDns && !net.isIP(hostname)) {
+            resolvedHosts.set(hostname.toLowerCase(), await resolveIpv4(hostname, lookup));
+        }
+
+        // The script runs synchronously, so no other call can change the resolved hostnames meanwhile.
+        this.resolvedHosts = resolvedHosts;
+        this.context.findProxyForUrlArgs = [url, hostname];
+
+        try {
+            const result = this.findProxyScript.runInContext(this.context, { timeout: this.timeoutMillis });
+            if (typeof result !== 'string') {
+                throw new Error(`FindProxyForURL() must return a string (was ${typeof result})`);
+            }
+
+            return result;
+        } finally {
+            delete this.context.findProxyForUrlArgs;
+            this.resolvedHosts = new Map();
+        }
+    }
+}
+
+/**
+ * Creates a PAC file that sends browsers to the proxy, except for the bypassed hostnames.
+ * @param proxyDirective The proxy in the PAC format, e.g. `PROXY proxy.example.com:8000`.
+ * @param bypass Hostname patterns with `*` and `?` wildcards.
+ */
+export const createPacFile = (proxyDirective: string, bypass: string[] = []): string => {
+    const lines = ['function FindProxyForURL(url, host) {'];
+
+    if (bypass.length) {
+        const conditions = bypass.map((pattern) => `shExpMatch(host, ${JSON.stringify(pattern)})`).join(' || ');
+        lines.push(`    if (${conditions}) return "DIRECT";`);
+    }
+
+    lines.push(`    return ${JSON.stringify(proxyDirective)};`, '}', '');
+
+    return lines.join('\n');
+};
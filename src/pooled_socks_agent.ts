@@ -0,0 +1,88 @@
+import type dns from 'node:dns';
+import type http from 'node:http';
+import type net from 'node:net';
+import type stream from 'node:stream';
+import type { URL } from 'node:url';
+
+import { SocksProxyAgent } from 'socks-proxy-agent';
+
+export interface SocksAgentSocketOptions {
+    localAddress?: string;
+    family?: number;
+    // Resolves the hostname of the upstream proxy.
+    lookup?: typeof dns['lookup'];
+}
+
+export interface PooledSocksAgentOptions {
+    // Maximum number of connections to each target through one upstream proxy. By default unlimited.
+    maxSockets?: number;
+    // Maximum number of idle connections kept open for each target. By default 256.
+    maxFreeSockets?: number;
+    // How long an idle connection is kept open. By default 30 seconds.
+    idleTimeoutMillis?: number;
+    socketOptions: SocksAgentSocketOptions;
+}
+
+const DEFAULT_MAX_FREE_SOCKETS = 256;
+const DEFAULT_IDLE_TIMEOUT_MILLIS = 30_000;
+
+/**
+ * Keep-alive SOCKS agent that closes the idle connections after `idleTimeoutMillis`
+ * and calls `onIdle` once it has no connections left.
+ */
+export class PooledSocksAgent extends SocksProxyAgent {
+    private readonly idleTimeoutMillis: number;
+
+    // The agent doesn't track the sockets until they connect.
+    private pendingConnects = 0;
+
+    constructor(
+        proxyUrl: URL,
+        options: PooledSocksAgentOptions,
+        private readonly onIdle: (agent: PooledSocksAgent) => void,
+    ) {
+        super(proxyUrl, {
+            keepAlive: true,
+            maxSockets: options.maxSockets ?? Infinity,
+            maxFreeSockets: options.maxFreeSockets ?? DEFAULT_MAX_FREE_SOCKETS,
+            socketOptions: options.socketOptions,
+        });
+
+        this.idleTimeoutMillis = options.idleTimeoutMillis ?? DEFAULT_IDLE_TIMEOUT_MILLIS;
+    }
+
+    override async connect(...args: Parameters<SocksProxyAgent['connect']>): Promise<net.Socket> {
+        this.pendingConnects++;
+        try {
+            const socket = await super.connect(...args);
+            socket.once('close', () => this.checkIdle());
+            return socket;
+        } catch (error) {
+            this.checkIdle();
+            throw error;
+        } finally {
+            this.pendingConnects--;
+        }
+    }
+
+    // The free sockets are destroyed by the agent once they time out.
+    override keepSocketAlive(socket: stream.Duplex): void {
+        const isKept = super.keepSocketAlive(socket);
+        (socket as net.Socket).setTimeout(this.idleTimeoutMillis);
+        return isKept;
+    }
+
+    override reuseSocket(socket: stream.Duplex, request: http.ClientRequest): void {
+        (socket as net.Socket).setTimeout(0);
+        super.reuseSocket(socket, request);
+    }
+
+    private checkIdle(): void {
+        // The agent removes the closed socket after this handler.
+        setImmediate(() => {
+            if (!this.pendingConnects && !Object.keys(this.sockets).length && !Object.keys(this.freeSockets).length && !Object.keys(this.requests).length) {
+                this.onIdle(this);
+            }
+        });
+    }
+}
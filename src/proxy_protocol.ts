@@ -0,0 +1,290 @@
+import { Buffer } from 'node:buffer';
+import net from 'node:net';
+
+import { createCidrCheck } from './utils/create_cidr_check';
+import { normalizeIpAddress } from './utils/normalize_ip_address';
+import { readSocketPrefix } from './utils/read_socket_prefix';
+
+// https://www.haproxy.org/download/2.8/doc/proxy-protocol.txt
+
+const V1_SIGNATURE = Buffer.from('PROXY ');
+const V1_MAX_LENGTH = 107;
+
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]);
+const V2_HEADER_LENGTH = 16;
+const V2_VERSION = 0x2;
+const V2_COMMAND_LOCAL = 0x0;
+const V2_COMMAND_PROXY = 0x1;
+const V2_FAMILY_INET = 0x1;
+const V2_FAMILY_INET6 = 0x2;
+
+/**
+ * Address of the original client, as reported by the load balancer.
+ */
+export interface ProxyProtocolAddress {
+    remoteAddress: string;
+    remotePort: number;
+    // The address the client connected to.
+    localAddress: string;
+    localPort: number;
+}
+
+interface ParsedHeader {
+    // Length of the header, 0 if there's no header.
+    length: number;
+    // Null for LOCAL and UNKNOWN connections, e.g. health checks of the load balancer.
+    address: ProxyProtocolAddress | null;
+}
+
+const isPrefixOf = (buffer: Buffer, signature: Buffer): boolean => {
+    const length = Math.min(buffer.length, signature.length);
+    return buffer.subarray(0, length).equals(signature.subarray(0, length));
+};
+
+const parsePort = (value: string | number): number => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid PROXY protocol port: ${value}`);
+    }
+
+    return port;
+};
+
+const parseV1 = (buffer: Buffer): ParsedHeader | null => {
+    const end = buffer.subarray(0, V1_MAX_LENGTH).indexOf('\r\n');
+    if (end === -1) {
+        if (buffer.length >= V1_MAX_LENGTH) {
+            throw new Error('PROXY protocol v1 header is too long');
+        }
+
+        return null;
+    }
+
+    const length = end + 2;
+    const [, protocol, sourceAddress, destinationAddress, sourcePort, destinationPort] = buffer.subarray(0, end).toString('ascii').split(' ');
+
+    if (protocol === 'UNKNOWN') {
+        return { length, address: null };
+    }
+
+    if (protocol !== 'TCP4' && protocol !== 'TCP6') {
+        throw new Error(`Unsupported PROXY protocol v1 protocol: ${protocol}`);
+    }
+
+    const isValidAddress = protocol === 'TCP4' ? net.isIPv4 : net.isIPv6;
+    for (const address of [sourceAddress, destinationAddress]) {
+        if (!isValidAddress(address)) {
+            throw new Error(`Invalid PROXY protocol v1 address: ${address}`);
+        }
+    }
+
+    return {
+        length,
+        address: {
+            remoteAddress: sourceAddress,
+            remotePort: parsePort(sourcePort),
+            localAddress: destinationAddress,
+            localPort: parsePort(destinationPort),
+        },
+    };
+};
+
+const formatIPv6 = (buffer: Buffer): string => {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buffer.readUInt16BE(i).toString(16));
+    }
+
+    return groups.join(':');
+};
+
+const parseV2 = (buffer: Buffer): ParsedHeader | null => {
+    if (buffer.length < V2_HEADER_LENGTH) {
+        return null;
+    }
+
+    // The high and low 4 bits of the 13th and 14th bytes.
+    const version = Math.floor(buffer[12] / 16);
+    const command = buffer[12] % 16;
+    const family = Math.floor(buffer[13] / 16);
+    const addressLength = buffer.readUInt16BE(14);
+
+    if (version !== V2_VERSION) {
+        throw new Error(`Unsupported PROXY protocol version: ${version}`);
+    }
+
+    const length = V2_HEADER_LENGTH + addressLength;
+    if (buffer.length < length) {
+        return null;
+    }
+
+    if (command === V2_COMMAND_LOCAL) {
+        return { length, address: null };
+    }
+
+    if (command !== V2_COMMAND_PROXY) {
+        throw new Error(`Unsupported PROXY protocol v2 command: ${command}`);
+    }
+
+    // Addresses are followed by optional TLVs, which are ignored.
+    const addresses = buffer.subarray(V2_HEADER_LENGTH, length);
+
+    if (family === V2_FAMILY_INET && addresses.length >= 12) {
+        return {
+            length,
+            address: {
+                remoteAddress: [...addresses.subarray(0, 4)].join('.'),
+                remotePort: addresses.readUInt16BE(8),
+                localAddress: [...addresses.subarray(4, 8)].join('.'),
+                localPort: addresses.readUInt16BE(10),
+            },
+        };
+    }
+
+    if (family === V2_FAMILY_INET6 && addresses.length >= 36) {
+        return {
+            length,
+            address: {
+                remoteAddress: formatIPv6(addresses.subarray(0, 16)),
+                remotePort: addresses.readUInt16BE(32),
+                localAddress: formatIPv6(addresses.subarray(16, 32)),
+                localPort: addresses.readUInt16BE(34),
+            },
+        };
+    }
+
+    // UNSPEC or UNIX socket addresses, there's no client IP address to use.
+    return { length, address: null };
+};
+
+/**
+ * Parses PROXY protocol v1 or v2 header at the beginning of the buffer.
+ * Returns null if more data is needed to decide.
+ */
+const parseProxyProtocolHeader = (buffer: Buffer): ParsedHeader | null => {
+    if (isPrefixOf(buffer, V1_SIGNATURE)) {
+        return buffer.length < V1_SIGNATURE.length ? null : parseV1(buffer);
+    }
+
+    if (isPrefixOf(buffer, V2_SIGNATURE)) {
+        return buffer.length < V2_SIGNATURE.length ? null : parseV2(buffer);
+    }
+
+    return { length: 0, address: null };
+};
+
+/**
+ * Reads the PROXY protocol header from a new connection, if the connection starts with one.
+ * The rest of the data is put back to the socket, so that it can be passed to the HTTP or SOCKS handler.
+ * Resolves with the client address, or null if there's no header or it doesn't carry the address.
+ * Rejects if the header is malformed.
+ */
+export const readProxyProtocolHeader = async (socket: net.Socket): Promise<ProxyProtocolAddress | null> => readSocketPrefix(
+    socket,
+    (buffer) => {
+        const header = parseProxyProtocolHeader(buffer);
+        return header && { length: header.length, result: header.address };
+    },
+    'the PROXY protocol header',
+);
+
+export type ProxyProtocolVersion = 1 | 2;
+
+interface Endpoint {
+    address?: string;
+    port?: number;
+}
+
+const ipv4ToBuffer = (address: string): Buffer => Buffer.from(address.split('.').map(Number));
+
+const ipv6ToBuffer = (address: string): Buffer => {
+    // Remove the zone index, e.g. fe80::1%eth0
+    let normalized = address.split('%')[0];
+
+    // Embedded IPv4 address, e.g. ::ffff:127.0.0.1
+    const lastGroupIndex = normalized.lastIndexOf(':') + 1;
+    const lastGroup = normalized.slice(lastGroupIndex);
+    if (net.isIPv4(lastGroup)) {
+        const [a, b, c, d] = ipv4ToBuffer(lastGroup);
+        normalized = `${normalized.slice(0, lastGroupIndex)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+    }
+
+    const [head, tail] = normalized.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16), index * 2));
+
+    return buffer;
+};
+
+/**
+ * Creates PROXY protocol header to be sent as the first bytes of an outgoing connection.
+ * If either address is not known, the header says that the connection is not proxied (v1 UNKNOWN or v2 LOCAL).
+ * @param version Version of the header, 1 for text and 2 for binary format.
+ * @param source The client.
+ * @param destination The address the client connected to.
+ */
+export const createProxyProtocolHeader = (version: ProxyProtocolVersion, source: Endpoint, destination: Endpoint): Buffer => {
+    let sourceAddress = source.address && normalizeIpAddress(source.address);
+    let destinationAddress = destination.address && normalizeIpAddress(destination.address);
+
+    const isKnown = sourceAddress && destinationAddress && source.port !== undefined && destination.port !== undefined;
+
+    // Both addresses must be of the same family, IPv4 addresses can be mapped to IPv6.
+    if (isKnown && net.isIPv6(sourceAddress!) !== net.isIPv6(destinationAddress!)) {
+        if (net.isIPv4(sourceAddress!)) sourceAddress = `::ffff:${sourceAddress}`;
+        if (net.isIPv4(destinationAddress!)) destinationAddress = `::ffff:${destinationAddress}`;
+    }
+
+    const isIPv6 = isKnown && net.isIPv6(sourceAddress!);
+
+    if (version === 1) {
+        if (!isKnown) {
+            return Buffer.from('PROXY UNKNOWN\r\n');
+        }
+
+        return Buffer.from(`PROXY ${isIPv6 ? 'TCP6' : 'TCP4'} ${sourceAddress} ${destinationAddress} ${source.port} ${destination.port}\r\n`);
+    }
+
+    if (!isKnown) {
+        return Buffer.concat([V2_SIGNATURE, Buffer.from([V2_VERSION * 16 + V2_COMMAND_LOCAL, 0x00, 0x00, 0x00])]);
+    }
+
+    const toBuffer = isIPv6 ? ipv6ToBuffer : ipv4ToBuffer;
+    const ports = Buffer.alloc(4);
+    ports.writeUInt16BE(source.port!, 0);
+    ports.writeUInt16BE(destination.port!, 2);
+
+    const addresses = Buffer.concat([toBuffer(sourceAddress!), toBuffer(destinationAddress!), ports]);
+
+    const header = Buffer.alloc(4);
+    header[0] = V2_VERSION * 16 + V2_COMMAND_PROXY;
+    // Address family in the high 4 bits, 0x1 (STREAM) transport in the low 4 bits.
+    header[1] = (isIPv6 ? V2_FAMILY_INET6 : V2_FAMILY_INET) * 16 + 0x1;
+    header.writeUInt16BE(addresses.length, 2);
+
+    return Buffer.concat([V2_SIGNATURE, header, addresses]);
+};
+
+/**
+ * Options of the PROXY protocol support.
+ */
+export interface ProxyProtocolOptions {
+    // IP addresses or CIDR ranges (e.g. `10.0.0.0/8`) that are allowed to send the header.
+    // By default only the loopback addresses, so that clients connecting directly can't spoof their address.
+    trustedSources?: string[];
+}
+
+export const DEFAULT_TRUSTED_SOURCES = ['127.0.0.0/8', '::1'];
+
+/**
+ * Creates a function that checks whether the address is one of the trusted sources.
+ */
+export const createTrustedSourceCheck = (trustedSources: string[]): (address: string) => boolean => {
+    return createCidrCheck(trustedSources, 'trusted source of the PROXY protocol');
+};
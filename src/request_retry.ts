@@ -0,0 +1,70 @@
+import type http from 'node:http';
+
+type Promisable<T> = T | Promise<T>;
+
+export interface RequestRetryContext {
+    request: http.IncomingMessage;
+    error: NodeJS.ErrnoException;
+    // 1 for the first retry, 2 for the second one, etc.
+    attempt: number;
+    // The upstream proxy URL of the failed attempt, null if the request was sent directly.
+    upstreamProxyUrl: string | null;
+}
+
+export interface RequestRetryOptions {
+    // Maximum number of retries of one request. By default 2.
+    maxRetries?: number;
+    // Methods to retry, only idempotent ones are allowed. By default GET, HEAD and OPTIONS.
+    methods?: string[];
+    // Delay before the first retry, doubled for every next one. By default 100 ms.
+    backoffMillis?: number;
+    // Upper limit of the delay. By default 2 seconds.
+    maxBackoffMillis?: number;
+    // Request bodies up to this size are buffered so they can be sent again, larger requests are not retried. By default 64 KiB.
+    maxBodyBytes?: number;
+    // Returns the upstream proxy URL for the retry, null to send the request directly.
+    // By default, or if it returns undefined, the retry goes to the same upstream proxy.
+    getUpstreamProxyUrl?: (context: RequestRetryContext) => Promisable<string | null | undefined>;
+}
+
+/**
+ * Emitted as `requestRetry` by the server before every retry of a forwarded HTTP request.
+ */
+export interface RequestRetryEvent extends RequestRetryContext {
+    connectionId: number;
+    delayMillis: number;
+    customTag?: unknown;
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 2,
+    methods: ['GET', 'HEAD', 'OPTIONS'],
+    backoffMillis: 100,
+    maxBackoffMillis: 2_000,
+    maxBodyBytes: 64 * 1024,
+};
+
+// The connection was refused or closed before the response headers arrived, so the request wasn't processed.
+const RETRYABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE'];
+
+export type NormalizedRequestRetryOptions = typeof DEFAULT_RETRY_OPTIONS & Pick<RequestRetryOptions, 'getUpstreamProxyUrl'>;
+
+export const normalizeRequestRetryOptions = (options: RequestRetryOptions): NormalizedRequestRetryOptions => {
+    const normalized = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    normalized.methods = normalized.methods.map((method) => method.toUpperCase());
+
+    const invalidMethod = normalized.methods.find((method) => !IDEMPOTENT_METHODS.includes(method));
+    if (invalidMethod) {
+        throw new Error(`Invalid "retry.methods" provided: must be one of ${IDEMPOTENT_METHODS.map((m) => `"${m}"`).join(', ')} (was "${invalidMethod}")`);
+    }
+
+    return normalized;
+};
+
+export const isRetryableError = (error: NodeJS.ErrnoException): boolean => RETRYABLE_ERROR_CODES.includes(error.code!);
+
+export const getRetryDelay = (options: NormalizedRequestRetryOptions, attempt: number): number => {
+    return Math.min(options.backoffMillis * 2 ** (attempt - 1), options.maxBackoffMillis);
+};
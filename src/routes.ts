@@ -0,0 +1,103 @@
+import net from 'node:net';
+
+import type { HandlerOpts as CustomResponseOpts } from './custom_response';
+import { RequestError } from './request_error';
+import type { UpstreamPool } from './upstream_pool';
+import { createCidrCheck } from './utils/create_cidr_check';
+
+/**
+ * Conditions of a route, all of the given ones must match.
+ */
+export interface RouteMatch {
+    // Hostname globs, where `*` matches any characters (e.g. `*.example.com`), or regular expressions.
+    hosts?: (string | RegExp)[];
+    ports?: number[];
+    // IP addresses or CIDR ranges (e.g. `10.0.0.0/8`) of the target. Hostnames are not resolved to match them.
+    cidrs?: string[];
+    // Usernames from the proxy credentials.
+    usernames?: string[];
+}
+
+export type RouteAction =
+    | { action: 'direct' }
+    | { action: 'upstream'; upstreamProxyUrl: string | string[] | UpstreamPool }
+    // By default 403.
+    | { action: 'block'; statusCode?: number; message?: string }
+    // Matches only HTTP requests, as CONNECT requests can't get a custom response.
+    | { action: 'customResponse'; customResponseFunction: CustomResponseOpts['customResponseFunction'] };
+
+export type Route = RouteMatch & RouteAction;
+
+export interface RouteTarget {
+    hostname: string;
+    port: number;
+    username: string;
+    isHttp: boolean;
+}
+
+/**
+ * The values that the action of a route sets in the result of `prepareRequestFunction`.
+ */
+interface RouteResult {
+    upstreamProxyUrl?: string | string[] | UpstreamPool | null;
+    upstreamProxyChain?: string[] | null;
+    customResponseFunction?: CustomResponseOpts['customResponseFunction'];
+}
+
+const ACTIONS = ['direct', 'upstream', 'block', 'customResponse'];
+
+const globToRegExp = (glob: string): RegExp => {
+    const pattern = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+};
+
+const compileRoute = (route: Route, index: number): (target: RouteTarget) => boolean => {
+    if (!ACTIONS.includes(route.action)) {
+        throw new Error(`Invalid "routes" provided: route ${index} must have one of the actions ${ACTIONS.map((a) => `"${a}"`).join(', ')} (was "${route.action}")`);
+    }
+
+    const hosts = route.hosts?.map((host) => (typeof host === 'string' ? globToRegExp(host) : host));
+    const isInCidrs = route.cidrs && createCidrCheck(route.cidrs, `CIDR in route ${index}`);
+
+    return ({ hostname, port, username, isHttp }) => {
+        // IPv6 addresses are in brackets in URLs.
+        const host = hostname[0] === '[' ? hostname.slice(1, -1) : hostname;
+
+        return (route.action !== 'customResponse' || isHttp)
+            && (!hosts || hosts.some((regExp) => regExp.test(host)))
+            && (!route.ports || route.ports.includes(port))
+            && (!isInCidrs || (net.isIP(host) !== 0 && isInCidrs(host)))
+            && (!route.usernames || route.usernames.includes(username));
+    };
+};
+
+/**
+ * Creates a function that returns the first route matching the target, or null if none of them does.
+ * Throws if any of the routes is invalid.
+ */
+export const createRouteMatcher = (routes: Route[]): (target: RouteTarget) => Route | null => {
+    const matchers = routes.map(compileRoute);
+
+    return (target) => routes.find((_route, index) => matchers[index](target)) ?? null;
+};
+
+/**
+ * Sets the upstream proxy or custom response picked by the route, unless `prepareRequestFunction` picked one.
+ * Throws `RequestError` if the route blocks the request.
+ */
+export const applyRouteAction = <T extends RouteResult>(route: Route, result: T): T => {
+    if (result.upstreamProxyUrl !== undefined || result.upstreamProxyChain !== undefined || result.customResponseFunction !== undefined) {
+        return result;
+    }
+
+    switch (route.action) {
+        case 'upstream':
+            return { ...result, upstreamProxyUrl: route.upstreamProxyUrl };
+        case 'block':
+            throw new RequestError(route.message ?? 'Blocked by the proxy', route.statusCode ?? 403);
+        case 'customResponse':
+            return { ...result, customResponseFunction: route.customResponseFunction };
+        default:
+            return { ...result, upstreamProxyUrl: null };
+    }
+};
@@ -1,45 +1,78 @@
 /* eslint-disable no-use-before-define */
 import { Buffer } from 'node:buffer';
-import type dns from 'node:dns';
+import dns from 'node:dns';
 import { EventEmitter } from 'node:events';
 import http from 'node:http';
 import https from 'node:https';
-import type net from 'node:net';
+import net from 'node:net';
 import { URL } from 'node:url';
 import util from 'node:util';
 
+import type { BypassList } from './bypass';
+import { createBypassCheck } from './bypass';
 import type { HandlerOpts as ChainOpts } from './chain';
 import { chain } from './chain';
+import type { HandlerOpts as ChainMultiHopOpts } from './chain_multi_hop';
+import { chainMultiHop } from './chain_multi_hop';
 import { chainSocks } from './chain_socks';
+import type { CircuitBreakerOptions } from './circuit_breaker';
+import { CircuitBreaker, getCircuitKey } from './circuit_breaker';
 import { customConnect } from './custom_connect';
 import type { HandlerOpts as CustomResponseOpts } from './custom_response';
 import { handleCustomResponse } from './custom_response';
 import { direct } from './direct';
-import type { HandlerOpts as ForwardOpts } from './forward';
+import type { EnvProxy } from './env_proxy';
+import { getEnvProxyUrlForTarget, readEnvProxy } from './env_proxy';
+import type { HandlerOpts as ForwardOpts, TargetTlsOptions } from './forward';
 import { forward } from './forward';
 import { forwardSocks } from './forward_socks';
+import type { ForwardedHeadersOptions } from './forwarded_headers';
+import type { HappyEyeballsOptions, TargetConnectedEvent, TargetConnectedInfo } from './happy_eyeballs';
+import type { HeaderPolicy } from './header_policy';
+import type { HostOverrides } from './host_overrides';
+import { createHostOverridesLookup, validateHostOverrides } from './host_overrides';
+import { createServerId, getLoopDetectionIds, isListenAddressTarget } from './loop_detection';
+import type { PacOptions, ServePacOptions } from './pac';
+import { createPacFile, PacResolver, parsePacResult } from './pac';
+import type { ProxyProtocolOptions, ProxyProtocolVersion } from './proxy_protocol';
+import { createProxyProtocolHeader, createTrustedSourceCheck, DEFAULT_TRUSTED_SOURCES, readProxyProtocolHeader } from './proxy_protocol';
 import { RequestError } from './request_error';
+import type { NormalizedRequestRetryOptions, RequestRetryContext, RequestRetryEvent, RequestRetryOptions } from './request_retry';
+import { getRetryDelay, isRetryableError, normalizeRequestRetryOptions } from './request_retry';
+import type { Route, RouteTarget } from './routes';
+import { applyRouteAction, createRouteMatcher } from './routes';
 import type { Socket, TLSSocket } from './socket';
+import type { SocksAgentPoolOptions } from './socks_agent_pool';
+import { SocksAgentPool } from './socks_agent_pool';
+import { createSocksReply, formatSocksTarget, readSocksRequest, SOCKS4_VERSION, SOCKS5_VERSION } from './socks_handshake';
 import { badGatewayStatusCodes } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { startHandshakeTimeout } from './timeouts';
+import { readTlsServerName } from './tls_client_hello';
+import type { TransparentProxyOptions } from './transparent';
+import type { HandlerOpts as UpgradeOpts } from './upgrade';
+import { upgrade } from './upgrade';
+import type { UpstreamFailedEvent } from './upstream_failover';
+import { isUpstreamProxyError } from './upstream_failover';
+import { UpstreamPool } from './upstream_pool';
+import { SOCKS_PROTOCOLS } from './upstream_tunnel';
+import { bufferRequestBody } from './utils/buffer_request_body';
 import { getTargetStats } from './utils/count_target_bytes';
 import { nodeify } from './utils/nodeify';
 import { normalizeUrlPort } from './utils/normalize_url_port';
 import { parseAuthorizationHeader } from './utils/parse_authorization_header';
 import { redactUrl } from './utils/redact_url';
 
-export const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
-
-// TODO:
-// - Implement this requirement from rfc7230
-//   "A proxy MUST forward unrecognized header fields unless the field-name
-//    is listed in the Connection header field (Section 6.1) or the proxy
-//    is specifically configured to block, or otherwise transform, such
-//    fields.  Other recipients SHOULD ignore unrecognized header fields.
-//    These requirements allow HTTP's functionality to be enhanced without
-//    requiring prior update of deployed intermediaries."
+export { SOCKS_PROTOCOLS };
 
 const DEFAULT_AUTH_REALM = 'ProxyChain';
 const DEFAULT_PROXY_SERVER_PORT = 8000;
+const DEFAULT_PAC_PATH = '/proxy.pac';
+
+// The first byte of a TLS ClientHello.
+const TLS_HANDSHAKE_RECORD_TYPE = 0x16;
+
+const DEFAULT_HTTPS_PORT = 443;
 
 const HTTPS_DEFAULT_OPTIONS = {
     // Disable TLS 1.0 and 1.1 (deprecated, insecure).
@@ -69,6 +102,20 @@ type HandlerOpts = {
     srcHead: Buffer | null;
     trgParsed: URL | null;
     upstreamProxyUrlParsed: URL | null;
+    // All upstream proxies to try in order, `upstreamProxyUrlParsed` is the current one.
+    upstreamProxyUrls: string[];
+    upstreamProxyUrlsParsed: URL[];
+    upstreamProxyIndex: number;
+    // Set if the request goes through more than one upstream proxy in sequence.
+    upstreamProxyChainParsed?: URL[];
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    upstreamPool?: UpstreamPool;
+    // Ends the current upstream proxy attempt, see `startUpstreamAttempt()`.
+    failUpstreamAttempt?: (error: NodeJS.ErrnoException) => void;
+    onUpstreamProxyConnected?: () => void;
+    requestBody?: Buffer | null;
+    retryRequest?: (error: NodeJS.ErrnoException) => boolean;
+    retryCount: number;
     ignoreUpstreamProxyCertificate: boolean;
     isHttp: boolean;
     customResponseFunction?: CustomResponseOpts['customResponseFunction'] | null;
@@ -79,6 +126,17 @@ type HandlerOpts = {
     customTag?: unknown;
     httpAgent?: http.Agent;
     httpsAgent?: https.Agent;
+    socksAgentPool?: SocksAgentPool;
+    targetTlsOptions?: TargetTlsOptions;
+    headerPolicy?: HeaderPolicy;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    viaPseudonym?: string;
+    loopDetectionIds?: string[];
+    proxyProtocolHeader?: Buffer;
+    timeouts?: TimeoutOptions;
+    happyEyeballs?: HappyEyeballsOptions;
+    onTargetConnected?: (target: TargetConnectedInfo) => void;
+    hostOverrides?: HostOverrides;
 };
 
 export type PrepareRequestFunctionOpts = {
@@ -89,6 +147,11 @@ export type PrepareRequestFunctionOpts = {
     hostname: string;
     port: number;
     isHttp: boolean;
+    // Address of the client, taken from the PROXY protocol header if present.
+    clientAddress?: string;
+    clientPort?: number;
+    // The first of the `routes` matching the request, if the server has them.
+    route?: Route | null;
 };
 
 export type PrepareRequestFunctionResult = {
@@ -96,7 +159,8 @@ export type PrepareRequestFunctionResult = {
     customConnectServer?: http.Server | null;
     requestAuthentication?: boolean;
     failMsg?: string;
-    upstreamProxyUrl?: string | null;
+    upstreamProxyUrl?: string | string[] | UpstreamPool | null;
+    upstreamProxyChain?: string[] | null;
     ignoreUpstreamProxyCertificate?: boolean;
     localAddress?: string;
     ipFamily?: number;
@@ -104,6 +168,13 @@ export type PrepareRequestFunctionResult = {
     customTag?: unknown;
     httpAgent?: http.Agent;
     httpsAgent?: https.Agent;
+    targetTlsOptions?: TargetTlsOptions;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    proxyProtocolVersion?: ProxyProtocolVersion;
+    timeouts?: TimeoutOptions;
+    happyEyeballs?: HappyEyeballsOptions;
+    hostOverrides?: HostOverrides;
+    bypass?: BypassList;
 };
 
 type Promisable<T> = T | Promise<T>;
@@ -115,6 +186,23 @@ type ServerOptionsBase = {
     prepareRequestFunction?: PrepareRequestFunction;
     verbose?: boolean;
     authRealm?: unknown;
+    originateTls?: boolean;
+    headerPolicy?: HeaderPolicy;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    proxyProtocol?: boolean | ProxyProtocolOptions;
+    transparent?: boolean | TransparentProxyOptions;
+    circuitBreaker?: boolean | CircuitBreakerOptions;
+    retry?: boolean | RequestRetryOptions;
+    timeouts?: TimeoutOptions;
+    happyEyeballs?: HappyEyeballsOptions;
+    dnsLookup?: typeof dns['lookup'];
+    hostOverrides?: HostOverrides;
+    routes?: Route[];
+    pac?: PacOptions;
+    bypass?: BypassList;
+    useEnvProxy?: boolean;
+    servePac?: boolean | ServePacOptions;
+    socksAgentPool?: boolean | SocksAgentPoolOptions;
 };
 
 export type HttpServerOptions = ServerOptionsBase & {
@@ -126,12 +214,60 @@ export type HttpsServerOptions = ServerOptionsBase & {
     httpsOptions: https.ServerOptions;
 };
 
-export type ServerOptions = HttpServerOptions | HttpsServerOptions;
+export type SocksServerOptions = ServerOptionsBase & {
+    serverType: 'socks';
+};
+
+export type AutoServerOptions = ServerOptionsBase & {
+    serverType: 'auto';
+    // TLS connections are rejected if not set.
+    httpsOptions?: https.ServerOptions;
+};
+
+export type ServerOptions = HttpServerOptions | HttpsServerOptions | SocksServerOptions | AutoServerOptions;
+
+// Credentials received in the SOCKS handshake, keyed by the request that represents the SOCKS CONNECT.
+const socksRequestCredentials = new WeakMap<http.IncomingMessage, { username: string; password: string }>();
+
+const parseUpstreamProxyUrl = (upstreamProxyUrl: string): URL => {
+    let parsed;
+    try {
+        parsed = new URL(upstreamProxyUrl);
+    } catch (error) {
+        throw new Error(`Invalid "upstreamProxyUrl" provided: ${error} (was "${upstreamProxyUrl}"`);
+    }
+
+    if (!['http:', 'https:', ...SOCKS_PROTOCOLS].includes(parsed.protocol)) {
+        throw new Error(`Invalid "upstreamProxyUrl" provided: URL must have one of the following protocols: "http", "https", ${SOCKS_PROTOCOLS.map((p) => `"${p.replace(':', '')}"`).join(', ')} (was "${upstreamProxyUrl}")`);
+    }
+
+    return parsed;
+};
+
+/**
+ * Represents a tunnel that was not requested by HTTP CONNECT (e.g. SOCKS or transparent TLS) as an HTTP CONNECT request,
+ * so it can be passed to `prepareRequestFunction` and the handlers.
+ */
+const createConnectRequest = (socket: Socket, target: string): http.IncomingMessage => {
+    const request = new http.IncomingMessage(socket);
+    request.method = 'CONNECT';
+    request.url = target;
+    request.httpVersion = '1.1';
+    request.httpVersionMajor = 1;
+    request.httpVersionMinor = 1;
+    request.headers = { host: target };
+    request.rawHeaders = ['Host', target];
+    request.complete = true;
+
+    return request;
+};
 
 /**
  * Represents the proxy server.
  * It emits the 'requestFailed' event on unexpected request errors, with the following parameter `{ error, request }`.
- * It emits the 'connectionClosed' event when connection to proxy server is closed, with parameter `{ connectionId, stats }`.
+ * It emits the 'connectionClosed' event when connection to proxy server is closed,
+ * with parameter `{ connectionId, stats, clientAddress, clientPort, closeReason }`,
+ * where `closeReason` is the timeout that closed the connection, or null.
  * It emits the 'tlsError' event on TLS handshake failures (HTTPS servers only), with parameter `{ error, socket }`.
  * with parameter `{ connectionId, reason, hasParent, parentType }`.
  */
@@ -146,9 +282,68 @@ export class Server extends EventEmitter {
 
     verbose: boolean;
 
-    server: http.Server | https.Server;
+    originateTls: boolean;
+
+    headerPolicy?: HeaderPolicy;
+
+    forwardedHeaders?: ForwardedHeadersOptions;
+
+    // Random identifier sent to upstream proxies to detect proxy loops.
+    serverId: string;
+
+    // Set if the PROXY protocol is enabled.
+    isTrustedProxyProtocolSource?: (address: string) => boolean;
+
+    // Set if the transparent proxy mode is enabled.
+    transparent?: TransparentProxyOptions;
+
+    circuitBreaker?: CircuitBreaker;
+
+    retry?: NormalizedRequestRetryOptions;
 
-    serverType: 'http' | 'https';
+    timeouts?: TimeoutOptions;
+
+    happyEyeballs?: HappyEyeballsOptions;
+
+    dnsLookup?: typeof dns['lookup'];
+
+    hostOverrides?: HostOverrides;
+
+    // `dnsLookup` with the `hostOverrides`, created once so that the pooled SOCKS agents can be reused.
+    hostOverridesLookup?: typeof dns['lookup'];
+
+    // The lookups with the `hostOverrides` returned by `prepareRequestFunction`, by the overrides and the wrapped lookup,
+    // so that the pooled agents keyed by the lookup can be reused across requests.
+    requestHostOverridesLookups = new WeakMap<
+        HostOverrides,
+        WeakMap<typeof dns['lookup'], { hostOverrides: HostOverrides; lookup: typeof dns['lookup'] }>
+    >();
+
+    // Set if the server has the `socksAgentPool` option.
+    socksAgentPool?: SocksAgentPool;
+
+    // Set if the server has `bypass`.
+    isBypassed?: (hostname: string, port: number) => boolean;
+
+    // Set if the server has the `useEnvProxy` option.
+    envProxy?: EnvProxy;
+
+    // Set if the server has `routes`.
+    matchRoute?: (target: RouteTarget) => Route | null;
+
+    // Set if the server has the `pac` option.
+    pacResolver?: PacResolver;
+
+    servePac?: ServePacOptions;
+
+    server: http.Server | https.Server | net.Server;
+
+    // Servers that handle the connections of the 'auto' server once the protocol is detected.
+    httpServer?: http.Server;
+
+    httpsServer?: https.Server;
+
+    serverType: 'http' | 'https' | 'socks' | 'auto';
 
     lastHandlerId: number;
 
@@ -156,12 +351,17 @@ export class Server extends EventEmitter {
 
     connections: Map<number, Socket>;
 
+    // New connections whose protocol is not known yet, so they are not in `connections`.
+    pendingSockets = new Set<Socket>();
+
     /**
      * Initializes a new instance of Server class.
      * @param options
      * @param [options.port] Port where the server will listen. By default 8000.
-     * @param [options.serverType] Type of server to create: 'http' or 'https'. By default 'http'.
-     * @param [options.httpsOptions] HTTPS server options (required when serverType is 'https').
+     * @param [options.serverType] Type of server to create: 'http', 'https', 'socks' or 'auto'. By default 'http'.
+     * The 'socks' server accepts SOCKS4, SOCKS4a and SOCKS5 clients and handles them as CONNECT requests.
+     * The 'auto' server detects the protocol of each connection, so that HTTP, HTTPS and SOCKS clients can share one port.
+     * @param [options.httpsOptions] HTTPS server options (required when serverType is 'https', optional for 'auto').
      * Accepts standard Node.js https.ServerOptions including key, cert, ca, passphrase, etc.
      * @param [options.prepareRequestFunction] Custom function to authenticate proxy requests,
      * provide URL to upstream proxy or potentially provide a function that generates a custom response to HTTP requests.
@@ -186,12 +386,84 @@ export class Server extends EventEmitter {
      * }
      * ```
      * If `upstreamProxyUrl` is a falsy value, no upstream proxy is used.
+     * If it's an array of URLs, the upstream proxies are tried in order until one of them accepts the connection
+     * and credentials, and the `upstreamFailed` event is emitted for every one that failed.
+     * It can also be an `UpstreamPool`, which picks the upstream proxy and provides the rest of the list.
+     * To go through several upstream proxies in sequence, return their URLs as `upstreamProxyChain` instead,
+     * the first one is connected to directly and every other one through a tunnel opened by the previous one.
      * If `prepareRequestFunction` is not set, the proxy server will not require any authentication
      * and will not use any upstream proxy.
      * If `customResponseFunction` is set, it will be called to generate a custom response to the HTTP request.
      * It should not be used together with `upstreamProxyUrl`.
      * @param [options.authRealm] Realm used in the Proxy-Authenticate header and also in the 'Server' HTTP header. By default it's `ProxyChain`.
      * @param [options.verbose] If true, the server will output logs
+     * @param [options.originateTls] If true, the server also accepts non-CONNECT requests with `https:` target URL
+     * (e.g. `GET https://example.com/ HTTP/1.1`) and makes the TLS connection to the target itself.
+     * The TLS options for the target can be provided by `prepareRequestFunction` as `targetTlsOptions`.
+     * @param [options.headerPolicy] Headers to block or rewrite in forwarded requests (`request`) and responses (`response`).
+     * Each can have `block`, a list of header names, and `transform`, a function `(name, value)` that returns
+     * the new value, `null` to drop the header or `undefined` to keep it. Hop-by-hop headers
+     * and headers listed in the Connection header are always removed, as required by RFC 7230.
+     * @param [options.forwardedHeaders] Forwarding headers to add to HTTP requests sent to the target:
+     * `via` (using `authRealm` as the pseudonym), `forwarded` (RFC 7239) and `xForwardedFor`
+     * (also sets `X-Forwarded-Proto`). If `stripIncoming` is true, the copies sent by the client are removed.
+     * Can be overridden per request by `forwardedHeaders` returned from `prepareRequestFunction`.
+     * @param [options.proxyProtocol] If set, connections can start with HAProxy PROXY protocol v1 or v2 header,
+     * which provides the real client address when the server runs behind an L4 load balancer.
+     * The address is passed to `prepareRequestFunction` as `clientAddress` and `clientPort`.
+     * The header is accepted only from the loopback addresses by default,
+     * use `{ trustedSources: ['10.0.0.0/8'] }` to accept it from the load balancer addresses.
+     * @param [options.transparent] If set, the server also works as a transparent (intercepting) proxy.
+     * It accepts origin-form requests (e.g. `GET /path`) with the target in the Host header,
+     * and tunnels raw TLS connections to the server name from the ClientHello (SNI).
+     * Use `{ getOriginalDestination(socket) }` to provide the original destination of redirected connections,
+     * which is used when there's no Host header or SNI, and for the port of TLS connections.
+     * @param [options.circuitBreaker] If set, connections to an upstream proxy that failed to connect `failureThreshold` times
+     * in a row (by default 5) fail fast with the 591 status code for `coolDownMillis` (by default 30 seconds).
+     * Then `probeCount` connections (by default 1) are let through to find out whether the upstream proxy works again.
+     * The server emits `upstreamCircuitOpen` and `upstreamCircuitClosed` events with `{ upstreamProxyUrl, error }`.
+     * @param [options.retry] If set, HTTP requests with idempotent methods (by default GET, HEAD and OPTIONS) are sent again
+     * when the connection is refused or reset before the response headers arrive, up to `maxRetries` times (by default 2)
+     * with exponential backoff starting at `backoffMillis` (by default 100 ms). Request bodies up to `maxBodyBytes`
+     * (by default 64 KiB) are buffered to be sent again. `getUpstreamProxyUrl(context)` can pick another upstream proxy for the retry.
+     * The server emits the `requestRetry` event with `{ connectionId, request, error, attempt, upstreamProxyUrl, delayMillis, customTag }`.
+     * @param [options.timeouts] Timeouts of the connections to targets and upstream proxies, all disabled by default:
+     * `connectTimeoutMillis`, `idleTimeoutMillis` and `maxLifetimeMillis` of tunnels, and `responseHeadersTimeoutMillis`.
+     * Expired connect and response headers timeouts are reported with the 504 status code.
+     * Each of them can be overridden per request by `timeouts` returned from `prepareRequestFunction`.
+     * `handshakeTimeoutMillis` (by default 10 seconds) closes client connections that don't complete the SOCKS handshake in time,
+     * don't send the PROXY protocol header or the TLS ClientHello of the transparent proxy, or don't send the first byte
+     * to the 'auto' or transparent server, which detects the protocol from it.
+     * @param [options.happyEyeballs] Direct connections to targets try all addresses of the hostname in the Happy Eyeballs
+     * order (RFC 8305), the next attempt starts after `connectionAttemptDelayMillis` (by default 250 ms) or once the previous one fails.
+     * Can be overridden per request by `happyEyeballs` returned from `prepareRequestFunction`.
+     * The server emits the `targetConnected` event with `{ connectionId, hostname, port, address, family, attemptedAddresses, customTag }`.
+     * @param [options.dnsLookup] Function compatible with `dns.lookup()` used to resolve targets and upstream proxies,
+     * e.g. `lookup` of a `DnsCache`. Can be overridden per request by `dnsLookup` returned from `prepareRequestFunction`.
+     * @param [options.hostOverrides] Resolves hostnames matching the patterns to the given addresses, like `curl --resolve`,
+     * e.g. `{ 'example.com': '127.0.0.1', '*.example.com': ['10.0.0.1', '::1'] }`. Applies to targets and upstream proxies,
+     * and to targets of `socks4` and `socks5` upstream proxies, which are resolved locally.
+     * The overrides returned as `hostOverrides` from `prepareRequestFunction` are added to these ones.
+     * @param [options.routes] Ordered rules that pick the action for the requests, so that `prepareRequestFunction` is not needed.
+     * The first route whose `hosts` (globs or regular expressions), `ports`, `cidrs` (of the target IP address) and `usernames` match
+     * the request applies its action: `direct`, `upstream` with `upstreamProxyUrl`, `block` with `statusCode` and `message`,
+     * or `customResponse` with `customResponseFunction` (HTTP requests only). The matching route is passed to `prepareRequestFunction`
+     * as `route`, and its returned `upstreamProxyUrl`, `upstreamProxyChain` or `customResponseFunction` take precedence over the route.
+     * @param [options.pac] PAC script given as `script` or read from `file`, whose `FindProxyForURL(url, host)` picks the upstream proxies
+     * of the requests that neither `prepareRequestFunction` nor `routes` picked one for. The `PROXY`, `HTTPS` and `SOCKS` directives
+     * it returns become the list of upstream proxies for failover, up to the first `DIRECT` one.
+     * @param [options.servePac] Serves a PAC file that points browsers to this server at `path` (by default `/proxy.pac`),
+     * except for the `bypass` hostname patterns.
+     * @param [options.bypass] Targets that go directly instead of through the upstream proxy, in the `NO_PROXY` syntax,
+     * i.e. a comma-separated string or an array of domains (matching their subdomains too), IP addresses, CIDR ranges,
+     * any of them with a port as `host:port`, or `*`. Can be overridden per request by `bypass` returned from `prepareRequestFunction`.
+     * @param [options.useEnvProxy] If true, the requests that no other option picked an upstream proxy for use the proxy
+     * from the `HTTP_PROXY` (for `http:` targets) or `HTTPS_PROXY` (for tunnels and `https:` targets) environment variable,
+     * or `ALL_PROXY` if it's not set, except for the targets in `NO_PROXY`. The lowercase variables take precedence.
+     * @param [options.socksAgentPool] If set, HTTP requests forwarded through a SOCKS upstream proxy reuse keep-alive connections,
+     * with one agent for each upstream proxy URL, `localAddress`, `ipFamily` and `dnsLookup`. The connections to each target are limited
+     * to `maxSockets` (by default unlimited), at most `maxFreeSockets` (by default 256) idle ones are kept open
+     * for `idleTimeoutMillis` (by default 30 seconds). Custom `httpAgent` and `httpsAgent` from `prepareRequestFunction` take precedence.
      */
     constructor(options: ServerOptions = {}) {
         super();
@@ -206,41 +478,118 @@ export class Server extends EventEmitter {
         this.prepareRequestFunction = options.prepareRequestFunction;
         this.authRealm = options.authRealm || DEFAULT_AUTH_REALM;
         this.verbose = !!options.verbose;
+        this.originateTls = !!options.originateTls;
+        this.headerPolicy = options.headerPolicy;
+        this.forwardedHeaders = options.forwardedHeaders;
+        this.timeouts = options.timeouts;
+        this.happyEyeballs = options.happyEyeballs;
+        this.dnsLookup = options.dnsLookup;
+
+        if (options.routes) {
+            this.matchRoute = createRouteMatcher(options.routes);
+
+            for (const route of options.routes) {
+                if (route.action === 'upstream' && !(route.upstreamProxyUrl instanceof UpstreamPool)) {
+                    ([] as string[]).concat(route.upstreamProxyUrl).forEach(parseUpstreamProxyUrl);
+                }
+            }
+        }
 
-        // Keep legacy behavior (http) as default behavior.
-        this.serverType = options.serverType === 'https' ? 'https' : 'http';
+        if (options.pac) {
+            this.pacResolver = new PacResolver(options.pac);
+        }
+
+        if (options.servePac) {
+            this.servePac = options.servePac === true ? {} : options.servePac;
+        }
+
+        if (options.useEnvProxy) {
+            this.envProxy = readEnvProxy();
+
+            for (const proxyUrl of new Set([this.envProxy.httpProxyUrl, this.envProxy.httpsProxyUrl])) {
+                if (!proxyUrl) continue;
 
-        if (options.serverType === 'https') {
-            if (!options.httpsOptions) {
-                throw new Error('httpsOptions is required when serverType is "https"');
+                // The URL may contain credentials, so it's not in the error message of parseUpstreamProxyUrl().
+                try {
+                    parseUpstreamProxyUrl(proxyUrl);
+                } catch {
+                    throw new Error(`Invalid upstream proxy ${redactUrl(proxyUrl)} in the environment variables`);
+                }
+                this.log(null, `Using upstream proxy ${redactUrl(proxyUrl)} from the environment variables`);
             }
+        }
 
-            // Apply secure TLS defaults (user options can override).
-            const effectiveOptions: https.ServerOptions = {
-                ...HTTPS_DEFAULT_OPTIONS,
-                honorCipherOrder: true,
-                ...options.httpsOptions,
-            };
+        if (options.bypass) {
+            this.isBypassed = createBypassCheck(options.bypass);
+        }
 
-            this.server = https.createServer(effectiveOptions);
-        } else {
-            this.server = http.createServer();
+        if (options.hostOverrides) {
+            validateHostOverrides(options.hostOverrides);
+            this.hostOverrides = options.hostOverrides;
+            this.hostOverridesLookup = createHostOverridesLookup(options.hostOverrides, this.dnsLookup);
         }
+        this.serverId = createServerId();
 
-        // Attach common event handlers (same for both HTTP and HTTPS).
-        this.server.on('clientError', this.onClientError.bind(this));
-        this.server.on('request', this.onRequest.bind(this));
-        this.server.on('connect', this.onConnect.bind(this));
+        // Keep legacy behavior (http) as default behavior.
+        this.serverType = options.serverType === 'https' || options.serverType === 'socks' || options.serverType === 'auto'
+            ? options.serverType
+            : 'http';
 
-        // Attach connection tracking based on server type.
-        // Only listen to one connection event to avoid double registration.
-        if (this.serverType === 'https') {
-            // For HTTPS: Track only post-TLS-handshake sockets (secureConnection).
-            // This ensures we track the TLS-wrapped socket with correct bytesRead/bytesWritten.
-            this.server.on('secureConnection', this.onConnection.bind(this));
-            // Handle TLS handshake errors to prevent server crashes.
-            this.server.on('tlsClientError', this.onTLSClientError.bind(this));
+        if (options.proxyProtocol) {
+            const { trustedSources = DEFAULT_TRUSTED_SOURCES } = options.proxyProtocol === true ? {} as ProxyProtocolOptions : options.proxyProtocol;
+            this.isTrustedProxyProtocolSource = createTrustedSourceCheck(trustedSources);
+        }
+
+        if (options.serverType === 'https' && !options.httpsOptions) {
+            throw new Error('httpsOptions is required when serverType is "https"');
+        }
+
+        if (options.transparent) {
+            this.transparent = options.transparent === true ? {} : options.transparent;
+        }
+
+        if (options.circuitBreaker) {
+            this.circuitBreaker = new CircuitBreaker(
+                options.circuitBreaker === true ? {} : options.circuitBreaker,
+                (upstreamProxyUrl, isOpen, error) => {
+                    this.log(null, `Circuit of upstream proxy ${upstreamProxyUrl} ${isOpen ? 'opened' : 'closed'}`);
+                    this.emit(isOpen ? 'upstreamCircuitOpen' : 'upstreamCircuitClosed', { upstreamProxyUrl, error });
+                },
+            );
+        }
+
+        if (options.retry) {
+            this.retry = normalizeRequestRetryOptions(options.retry === true ? {} : options.retry);
+        }
+
+        if (options.socksAgentPool) {
+            this.socksAgentPool = new SocksAgentPool(options.socksAgentPool === true ? {} : options.socksAgentPool);
+        }
+
+        if (this.serverType === 'socks' || this.serverType === 'auto' || this.isTrustedProxyProtocolSource
+            || (this.serverType === 'http' && this.transparent)) {
+            // The connections are inspected first, then passed to the handler of the server type:
+            // - SOCKS clients are not HTTP, so there's no HTTP server to attach the handlers to.
+            // - The 'auto' server detects the protocol from the first byte of each connection.
+            // - The PROXY protocol header must be read before the HTTP parser sees the stream.
+            // - The transparent HTTP server tunnels raw TLS connections.
+            this.server = net.createServer();
+            this.server.on('connection', this.isTrustedProxyProtocolSource
+                ? this.onProxyProtocolConnection.bind(this)
+                : this.dispatchConnection.bind(this));
+
+            if (this.serverType === 'http' || this.serverType === 'auto') {
+                this.httpServer = this.createHttpServer();
+            }
+
+            if ((options.serverType === 'https' || options.serverType === 'auto') && options.httpsOptions) {
+                this.httpsServer = this.createHttpServer(options.httpsOptions) as https.Server;
+            }
+        } else if (options.serverType === 'https') {
+            this.server = this.createHttpServer(options.httpsOptions);
         } else {
+            this.server = this.createHttpServer();
+
             // For HTTP: Track raw TCP sockets (connection).
             this.server.on('connection', this.onConnection.bind(this));
         }
@@ -254,6 +603,41 @@ export class Server extends EventEmitter {
         this.connections = new Map();
     }
 
+    /**
+     * Creates HTTP server, or HTTPS server if `httpsOptions` are provided, with the proxy handlers attached.
+     */
+    createHttpServer(httpsOptions?: https.ServerOptions): http.Server | https.Server {
+        let server: http.Server | https.Server;
+
+        if (httpsOptions) {
+            // Apply secure TLS defaults (user options can override).
+            const effectiveOptions: https.ServerOptions = {
+                ...HTTPS_DEFAULT_OPTIONS,
+                honorCipherOrder: true,
+                ...httpsOptions,
+            };
+
+            server = https.createServer(effectiveOptions);
+
+            // For HTTPS: Track only post-TLS-handshake sockets (secureConnection).
+            // This ensures we track the TLS-wrapped socket with correct bytesRead/bytesWritten.
+            // Only listen to one connection event to avoid double registration.
+            server.on('secureConnection', this.onConnection.bind(this));
+            // Handle TLS handshake errors to prevent server crashes.
+            server.on('tlsClientError', this.onTLSClientError.bind(this));
+        } else {
+            server = http.createServer();
+        }
+
+        // Attach common event handlers (same for both HTTP and HTTPS).
+        server.on('clientError', this.onClientError.bind(this));
+        server.on('request', this.onRequest.bind(this));
+        server.on('connect', this.onConnect.bind(this));
+        server.on('upgrade', this.onUpgrade.bind(this));
+
+        return server;
+    }
+
     /**
      * Handles TLS handshake errors for HTTPS servers.
      * Without this handler, unhandled TLS errors can crash the server.
@@ -306,10 +690,29 @@ export class Server extends EventEmitter {
         socket.proxyChainId = unique;
         this.connections.set(unique, socket);
 
+        // TLS sockets wrap the TCP socket that received the PROXY protocol header.
+        // eslint-disable-next-line no-underscore-dangle
+        const tcpSocket: Socket = (socket as { _parent?: Socket })._parent ?? socket;
+        this.pendingSockets.delete(tcpSocket);
+
+        const { proxyProtocolAddress } = tcpSocket;
+        if (proxyProtocolAddress) {
+            this.log(unique, `Client ${proxyProtocolAddress.remoteAddress}:${proxyProtocolAddress.remotePort} connected through ${socket.remoteAddress} (PROXY protocol)`);
+        }
+
+        socket.proxyProtocolAddress = proxyProtocolAddress;
+        socket.clientAddress = proxyProtocolAddress?.remoteAddress ?? socket.remoteAddress;
+        socket.clientPort = proxyProtocolAddress?.remotePort ?? socket.remotePort;
+
+        const { clientAddress, clientPort } = socket;
+
         socket.on('close', () => {
             this.emit('connectionClosed', {
                 connectionId: unique,
                 stats: this.getConnectionStats(unique),
+                clientAddress,
+                clientPort,
+                closeReason: socket.closeReason ?? null,
             });
 
             this.connections.delete(unique);
@@ -343,6 +746,238 @@ export class Server extends EventEmitter {
         });
     }
 
+    /**
+     * Passes a new connection accepted by the plain TCP server to the handler of the server type.
+     */
+    dispatchConnection(socket: Socket): void {
+        switch (this.serverType) {
+            case 'socks':
+                void this.onSocksConnection(socket);
+                break;
+            case 'auto':
+                this.onAutoDetectConnection(socket);
+                break;
+            case 'https':
+                this.httpsServer!.emit('connection', socket);
+                break;
+            default:
+                if (this.transparent) {
+                    this.onTransparentConnection(socket);
+                    return;
+                }
+
+                this.onConnection(socket);
+                this.httpServer!.emit('connection', socket);
+        }
+    }
+
+    /**
+     * Reads the PROXY protocol header of a new connection from a trusted source,
+     * stores the client address on the socket and passes the socket on.
+     * Connections from other sources are passed on as they are.
+     * The connection is closed if the header doesn't arrive within `handshakeTimeoutMillis`.
+     */
+    async onProxyProtocolConnection(socket: Socket): Promise<void> {
+        // https://github.com/nodejs/node/issues/23858
+        if (!socket.remoteAddress) {
+            socket.destroy();
+            return;
+        }
+
+        if (this.isTrustedProxyProtocolSource!(socket.remoteAddress)) {
+            this.trackPendingSocket(socket);
+            const clearHandshakeTimeout = startHandshakeTimeout(socket, this.timeouts?.handshakeTimeoutMillis);
+
+            try {
+                socket.proxyProtocolAddress = await readProxyProtocolHeader(socket) ?? undefined;
+            } catch (error) {
+                this.log(null, `Invalid PROXY protocol header from ${socket.remoteAddress}: ${(error as Error).message}`);
+                socket.destroy();
+                return;
+            } finally {
+                clearHandshakeTimeout();
+            }
+        }
+
+        this.dispatchConnection(socket);
+    }
+
+    /**
+     * Detects the protocol of a new connection to the 'auto' server and passes the socket to the matching handler.
+     * TLS connections are handled by the HTTPS server, SOCKS connections by the SOCKS handler
+     * and everything else by the HTTP server.
+     */
+    onAutoDetectConnection(socket: Socket): void {
+        this.peekFirstByte(socket, (firstByte) => {
+            switch (firstByte) {
+                case TLS_HANDSHAKE_RECORD_TYPE:
+                    if (this.httpsServer) {
+                        this.httpsServer.emit('connection', socket);
+                    } else if (this.transparent) {
+                        void this.onTransparentTlsConnection(socket);
+                    } else {
+                        this.log(null, 'Rejecting TLS connection, the "httpsOptions" option is not set');
+                        socket.destroy();
+                    }
+                    break;
+                case SOCKS4_VERSION:
+                case SOCKS5_VERSION:
+                    void this.onSocksConnection(socket);
+                    break;
+                default:
+                    this.onConnection(socket);
+                    this.httpServer!.emit('connection', socket);
+            }
+        });
+    }
+
+    /**
+     * Passes raw TLS connections of the transparent HTTP server to `onTransparentTlsConnection()`
+     * and everything else to the HTTP server.
+     */
+    onTransparentConnection(socket: Socket): void {
+        this.peekFirstByte(socket, (firstByte) => {
+            if (firstByte === TLS_HANDSHAKE_RECORD_TYPE) {
+                void this.onTransparentTlsConnection(socket);
+                return;
+            }
+
+            this.onConnection(socket);
+            this.httpServer!.emit('connection', socket);
+        });
+    }
+
+    /**
+     * Waits for the first byte of a new connection and passes it to the callback,
+     * leaving it in the socket so that the handler can read the stream from the beginning.
+     * The socket is closed if the byte doesn't arrive within `handshakeTimeoutMillis`.
+     */
+    peekFirstByte(socket: Socket, callback: (firstByte: number) => void): void {
+        // https://github.com/nodejs/node/issues/23858
+        if (!socket.remoteAddress) {
+            socket.destroy();
+            return;
+        }
+
+        this.trackPendingSocket(socket);
+        const clearHandshakeTimeout = startHandshakeTimeout(socket, this.timeouts?.handshakeTimeoutMillis);
+
+        // The socket is registered only once the protocol is known, so its errors need to be consumed until then.
+        const onError = (err: Error) => {
+            this.log(null, `Socket emitted error before protocol detection: ${err.stack || err}`);
+        };
+        socket.on('error', onError);
+
+        socket.once('readable', () => {
+            socket.off('error', onError);
+            clearHandshakeTimeout();
+
+            const firstByte: Buffer | null = socket.read(1);
+            if (!firstByte) {
+                socket.destroy();
+                return;
+            }
+
+            socket.unshift(firstByte);
+            callback(firstByte[0]);
+        });
+    }
+
+    /**
+     * Keeps a new connection that is not registered yet, so that `closeConnections()` can destroy it.
+     */
+    trackPendingSocket(socket: Socket): void {
+        if (this.pendingSockets.has(socket)) {
+            return;
+        }
+
+        this.pendingSockets.add(socket);
+        socket.once('close', () => this.pendingSockets.delete(socket));
+    }
+
+    /**
+     * Handles TLS connections redirected to the transparent proxy.
+     * The target is taken from the SNI of the ClientHello, or from the original destination,
+     * and the connection is processed as a CONNECT request to the target, without any response to the client.
+     * The connection is closed if the ClientHello doesn't arrive within `handshakeTimeoutMillis`.
+     */
+    async onTransparentTlsConnection(socket: Socket): Promise<void> {
+        this.onConnection(socket);
+
+        if (socket.destroyed) {
+            return;
+        }
+
+        socket.transparentTls = true;
+
+        const clearHandshakeTimeout = startHandshakeTimeout(socket, this.timeouts?.handshakeTimeoutMillis);
+
+        let serverName;
+        try {
+            serverName = await readTlsServerName(socket);
+        } catch (error) {
+            this.log(socket.proxyChainId, `Failed to read TLS ClientHello: ${(error as Error).message}`);
+            socket.destroy();
+            return;
+        } finally {
+            clearHandshakeTimeout();
+        }
+
+        const originalDestination = this.transparent!.getOriginalDestination?.(socket);
+        const hostname = serverName || originalDestination?.address;
+
+        if (!hostname) {
+            this.log(socket.proxyChainId, 'Closing TLS connection without server name and original destination');
+            socket.destroy();
+            return;
+        }
+
+        const target = formatSocksTarget({ hostname, port: originalDestination?.port ?? DEFAULT_HTTPS_PORT });
+
+        await this.onConnect(createConnectRequest(socket, target), socket, Buffer.alloc(0));
+    }
+
+    /**
+     * Handles SOCKS handshake and then processes the SOCKS CONNECT the same way as HTTP CONNECT request,
+     * so that `prepareRequestFunction` and all the handlers are shared.
+     */
+    async onSocksConnection(socket: Socket): Promise<void> {
+        this.onConnection(socket);
+
+        if (socket.destroyed) {
+            return;
+        }
+
+        const clearHandshakeTimeout = startHandshakeTimeout(socket, this.timeouts?.handshakeTimeoutMillis);
+
+        let socksRequest;
+        try {
+            socksRequest = await readSocksRequest(socket);
+        } catch (error) {
+            if ((error as Error).name === 'RequestError') {
+                const typedError = error as RequestError;
+
+                this.log(socket.proxyChainId, `SOCKS request failed (status ${typedError.statusCode}): ${typedError.message}`);
+                this.sendSocketResponse(socket, typedError.statusCode, typedError.headers, typedError.message);
+            } else {
+                this.log(socket.proxyChainId, `SOCKS handshake failed: ${(error as Error).message}`);
+                socket.destroy();
+            }
+            return;
+        } finally {
+            clearHandshakeTimeout();
+        }
+
+        const request = createConnectRequest(socket, formatSocksTarget(socksRequest));
+
+        socksRequestCredentials.set(request, {
+            username: socksRequest.username,
+            password: socksRequest.password,
+        });
+
+        await this.onConnect(request, socket, socksRequest.head);
+    }
+
     /**
      * Converts known errors to be instance of RequestError.
      */
@@ -362,6 +997,12 @@ export class Server extends EventEmitter {
      * Handles normal HTTP request by forwarding it to target host or the upstream proxy.
      */
     async onRequest(request: http.IncomingMessage, response: http.ServerResponse): Promise<void> {
+        // Browsers request the PAC file in the origin-form, e.g. `GET /proxy.pac`.
+        if (this.servePac && request.method === 'GET' && request.url!.split('?')[0] === (this.servePac.path ?? DEFAULT_PAC_PATH)) {
+            this.sendPacFile(request, response);
+            return;
+        }
+
         try {
             const handlerOpts = await this.prepareRequestHandling(request);
             handlerOpts.srcResponse = response;
@@ -374,14 +1015,76 @@ export class Server extends EventEmitter {
                 return;
             }
 
-            if (handlerOpts.upstreamProxyUrlParsed && SOCKS_PROTOCOLS.includes(handlerOpts.upstreamProxyUrlParsed.protocol)) {
-                this.log(proxyChainId, 'Using forwardSocks()');
-                await forwardSocks(request, response, handlerOpts as ForwardOpts);
+            const forwardRequest = async () => {
+                if (!this.startUpstreamAttempt(handlerOpts, response)) {
+                    return;
+                }
+
+                if (handlerOpts.upstreamProxyUrlParsed && SOCKS_PROTOCOLS.includes(handlerOpts.upstreamProxyUrlParsed.protocol)) {
+                    this.log(proxyChainId, 'Using forwardSocks()');
+                    await forwardSocks(request, response, handlerOpts as ForwardOpts);
+                    return;
+                }
+
+                this.log(proxyChainId, 'Using forward()');
+                await forward(request, response, handlerOpts as ForwardOpts);
+            };
+
+            if (handlerOpts.upstreamProxyUrlParsed) {
+                handlerOpts.onUpstreamProxyError = this.createUpstreamFailover(request, handlerOpts, forwardRequest);
+            }
+
+            if (this.retry?.methods.includes(request.method!)) {
+                handlerOpts.requestBody = await bufferRequestBody(request, this.retry.maxBodyBytes);
+
+                if (handlerOpts.requestBody) {
+                    handlerOpts.retryRequest = this.createRequestRetry(request, handlerOpts, forwardRequest);
+                }
+            }
+
+            await forwardRequest();
+        } catch (error) {
+            this.failRequest(request, this.normalizeHandlerError(error as NodeJS.ErrnoException));
+        }
+    }
+
+    /**
+     * Handles HTTP Upgrade request (e.g. WebSocket) by forwarding it to target host or the upstream proxy
+     * and piping the upgraded connection.
+     * @param request
+     * @param socket
+     * @param head The first packet of the upgraded stream (may be empty)
+     */
+    async onUpgrade(request: http.IncomingMessage, socket: Socket, head: Buffer): Promise<void> {
+        try {
+            const handlerOpts = await this.prepareRequestHandling(request);
+
+            if (handlerOpts.customResponseFunction) {
+                this.log(socket.proxyChainId, 'Using handleCustomResponse()');
+
+                // There's no ServerResponse for upgrade requests, so create one on top of the socket.
+                const response = new http.ServerResponse(request);
+                response.shouldKeepAlive = false;
+                response.assignSocket(socket);
+
+                await handleCustomResponse(request, response, handlerOpts as CustomResponseOpts);
                 return;
             }
 
-            this.log(proxyChainId, 'Using forward()');
-            await forward(request, response, handlerOpts as ForwardOpts);
+            const upgradeRequest = async () => {
+                if (!this.startUpstreamAttempt(handlerOpts, socket)) {
+                    return;
+                }
+
+                this.log(socket.proxyChainId, `Using upgrade() => ${request.url}`);
+                await upgrade({ request, sourceSocket: socket, head, handlerOpts: handlerOpts as UpgradeOpts, server: this });
+            };
+
+            if (handlerOpts.upstreamProxyUrlParsed) {
+                handlerOpts.onUpstreamProxyError = this.createUpstreamFailover(request, handlerOpts, upgradeRequest);
+            }
+
+            await upgradeRequest();
         } catch (error) {
             this.failRequest(request, this.normalizeHandlerError(error as NodeJS.ErrnoException));
         }
@@ -406,14 +1109,34 @@ export class Server extends EventEmitter {
                 return;
             }
 
+            if (handlerOpts.upstreamProxyChainParsed) {
+                this.log(socket.proxyChainId, `Using chainMultiHop() => ${request.url}`);
+                await chainMultiHop({ ...data, handlerOpts: handlerOpts as ChainMultiHopOpts });
+                return;
+            }
+
             if (handlerOpts.upstreamProxyUrlParsed) {
-                if (SOCKS_PROTOCOLS.includes(handlerOpts.upstreamProxyUrlParsed.protocol)) {
-                    this.log(socket.proxyChainId, `Using chainSocks() => ${request.url}`);
-                    await chainSocks(data);
-                    return;
-                }
-                this.log(socket.proxyChainId, `Using chain() => ${request.url}`);
-                chain(data);
+                const chainRequest = async () => {
+                    if (!this.startUpstreamAttempt(handlerOpts, socket)) {
+                        return;
+                    }
+
+                    if (SOCKS_PROTOCOLS.includes(handlerOpts.upstreamProxyUrlParsed!.protocol)) {
+                        this.log(socket.proxyChainId, `Using chainSocks() => ${request.url}`);
+                        await chainSocks(data);
+                        return;
+                    }
+                    this.log(socket.proxyChainId, `Using chain() => ${request.url}`);
+                    chain(data);
+                };
+
+                handlerOpts.onUpstreamProxyError = this.createUpstreamFailover(request, handlerOpts, async () => {
+                    // The head was already put back to the socket by the first attempt.
+                    data.head = Buffer.alloc(0);
+                    await chainRequest();
+                });
+
+                await chainRequest();
                 return;
             }
 
@@ -424,6 +1147,178 @@ export class Server extends EventEmitter {
         }
     }
 
+    /**
+     * Creates the `onUpstreamProxyError` handler option, which emits the `upstreamFailed` event for every failed upstream proxy
+     * and passes the request to the next upstream proxy of the list, if there is one.
+     * Requests whose body was already sent can't be passed on.
+     */
+    createUpstreamFailover(
+        request: http.IncomingMessage,
+        handlerOpts: HandlerOpts,
+        retry: () => Promise<void>,
+    ): (error: NodeJS.ErrnoException) => boolean {
+        return (error) => {
+            if (!isUpstreamProxyError(error)) {
+                return false;
+            }
+
+            const { proxyChainId } = request.socket as Socket;
+            const { upstreamProxyIndex } = handlerOpts;
+            const failedUpstreamProxyUrl = handlerOpts.upstreamProxyUrlParsed!;
+            const nextUpstreamProxyUrl = handlerOpts.upstreamProxyUrlsParsed[upstreamProxyIndex + 1];
+            const willRetry = Boolean(nextUpstreamProxyUrl) && !request.socket.destroyed
+                && (!request.readableDidRead || Boolean(handlerOpts.requestBody));
+
+            handlerOpts.failUpstreamAttempt?.(error);
+
+            const event: UpstreamFailedEvent = {
+                connectionId: proxyChainId!,
+                request,
+                upstreamProxyUrl: handlerOpts.upstreamProxyUrls[upstreamProxyIndex],
+                error,
+                attempt: upstreamProxyIndex + 1,
+                willRetry,
+                customTag: handlerOpts.customTag,
+            };
+            this.emit('upstreamFailed', event);
+
+            if (!willRetry) {
+                return false;
+            }
+
+            handlerOpts.upstreamProxyIndex++;
+            handlerOpts.upstreamProxyUrlParsed = nextUpstreamProxyUrl;
+
+            this.log(proxyChainId, `Upstream proxy ${redactUrl(failedUpstreamProxyUrl)} failed (${error.message}), trying ${redactUrl(nextUpstreamProxyUrl)}`);
+
+            retry().catch((retryError) => {
+                this.failRequest(request, this.normalizeHandlerError(retryError));
+            });
+
+            return true;
+        };
+    }
+
+    /**
+     * Creates the `retryRequest` handler option, which sends the request again after a delay
+     * if the connection was refused or reset before the response headers arrived.
+     */
+    createRequestRetry(
+        request: http.IncomingMessage,
+        handlerOpts: HandlerOpts,
+        retry: () => Promise<void>,
+    ): (error: NodeJS.ErrnoException) => boolean {
+        const options = this.retry!;
+
+        return (error) => {
+            if (!isRetryableError(error) || handlerOpts.retryCount >= options.maxRetries || request.socket.destroyed) {
+                return false;
+            }
+
+            handlerOpts.retryCount++;
+
+            const { proxyChainId } = request.socket as Socket;
+            const context: RequestRetryContext = {
+                request,
+                error,
+                attempt: handlerOpts.retryCount,
+                upstreamProxyUrl: handlerOpts.upstreamProxyUrlParsed ? handlerOpts.upstreamProxyUrls[handlerOpts.upstreamProxyIndex] : null,
+            };
+            const delayMillis = getRetryDelay(options, context.attempt);
+
+            const event: RequestRetryEvent = {
+                ...context,
+                connectionId: proxyChainId!,
+                delayMillis,
+                customTag: handlerOpts.customTag,
+            };
+            this.emit('requestRetry', event);
+
+            this.log(proxyChainId, `Request failed (${error.message}), retrying in ${delayMillis} ms`);
+
+            const sendAgain = async () => {
+                const upstreamProxyUrl = await options.getUpstreamProxyUrl?.(context);
+
+                if (upstreamProxyUrl !== undefined) {
+                    const upstreamProxyUrlParsed = upstreamProxyUrl ? parseUpstreamProxyUrl(upstreamProxyUrl) : null;
+
+                    handlerOpts.upstreamProxyUrls = upstreamProxyUrlParsed ? [upstreamProxyUrl!] : [];
+                    handlerOpts.upstreamProxyUrlsParsed = upstreamProxyUrlParsed ? [upstreamProxyUrlParsed] : [];
+                    handlerOpts.upstreamProxyIndex = 0;
+                    handlerOpts.upstreamProxyUrlParsed = upstreamProxyUrlParsed;
+                    handlerOpts.upstreamProxyChainParsed = undefined;
+                    // The upstream proxy is not necessarily a member of the pool.
+                    handlerOpts.upstreamPool = undefined;
+
+                    this.log(proxyChainId, upstreamProxyUrlParsed
+                        ? `Retrying through upstream proxy ${redactUrl(upstreamProxyUrlParsed)}`
+                        : 'Retrying without upstream proxy');
+                }
+
+                if (!request.socket.destroyed) {
+                    await retry();
+                }
+            };
+
+            setTimeout(() => {
+                sendAgain().catch((retryError) => {
+                    this.failRequest(request, this.normalizeHandlerError(retryError));
+                });
+            }, delayMillis);
+
+            return true;
+        };
+    }
+
+    /**
+     * Starts using the current upstream proxy: counts the connection in the upstream pool stats
+     * and lets the circuit breaker know, until the connection is closed or the upstream proxy fails.
+     * Returns false if the circuit of the upstream proxy is open, the request then fails fast
+     * or is passed to the next upstream proxy.
+     */
+    startUpstreamAttempt(handlerOpts: HandlerOpts, connection: EventEmitter): boolean {
+        const { upstreamProxyUrlParsed, upstreamPool } = handlerOpts;
+        if (!upstreamProxyUrlParsed || (!upstreamPool && !this.circuitBreaker)) {
+            return true;
+        }
+
+        const upstreamProxyUrl = handlerOpts.upstreamProxyUrls[handlerOpts.upstreamProxyIndex];
+        const releasePoolUpstream = upstreamPool?.acquire(upstreamProxyUrl);
+        const circuitAttempt = this.circuitBreaker?.tryAcquire(getCircuitKey(upstreamProxyUrlParsed));
+
+        const end = () => {
+            releasePoolUpstream?.();
+            circuitAttempt?.release();
+        };
+        connection.once('close', end);
+
+        let failed = false;
+        handlerOpts.failUpstreamAttempt = (error) => {
+            if (failed) {
+                return;
+            }
+
+            failed = true;
+            connection.off('close', end);
+
+            upstreamPool?.reportFailure(upstreamProxyUrl, error);
+            releasePoolUpstream?.();
+            circuitAttempt?.failed(error);
+        };
+        handlerOpts.onUpstreamProxyConnected = () => circuitAttempt?.succeeded();
+
+        if (this.circuitBreaker && !circuitAttempt) {
+            const error = new RequestError(`Circuit of upstream proxy ${redactUrl(upstreamProxyUrlParsed)} is open`, badGatewayStatusCodes.CIRCUIT_OPEN);
+            if (!handlerOpts.onUpstreamProxyError?.(error)) {
+                throw error;
+            }
+
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Prepares handler options from a request.
      * @see {prepareRequestHandling}
@@ -436,11 +1331,16 @@ export class Server extends EventEmitter {
             srcHead: null,
             trgParsed: null,
             upstreamProxyUrlParsed: null,
+            upstreamProxyUrls: [],
+            upstreamProxyUrlsParsed: [],
+            upstreamProxyIndex: 0,
+            retryCount: 0,
             ignoreUpstreamProxyCertificate: false,
             isHttp: false,
             srcResponse: null,
             customResponseFunction: null,
             customConnectServer: null,
+            headerPolicy: this.headerPolicy,
         };
 
         this.log((request.socket as Socket).proxyChainId, `!!! Handling ${request.method} ${request.url} HTTP/${request.httpVersion}`);
@@ -466,6 +1366,11 @@ export class Server extends EventEmitter {
             //  OPTIONS request (as detailed below), a client MUST send the target
             //  URI in absolute-form as the request-target"
 
+            // Transparent proxy receives requests in origin-form, e.g. `GET /path` with the target in the Host header.
+            if (this.transparent && request.url!.startsWith('/')) {
+                request.url = this.getTransparentRequestUrl(request);
+            }
+
             let parsed;
             try {
                 parsed = new URL(request.url!);
@@ -474,8 +1379,15 @@ export class Server extends EventEmitter {
                 throw new RequestError(`Target "${request.url}" could not be parsed`, 400);
             }
 
-            // Only HTTP is supported, other protocols such as HTTP or FTP must use the CONNECT method
-            if (parsed.protocol !== 'http:') {
+            // WebSocket clients may use the ws: and wss: schemes for the absolute-form upgrade request.
+            if ((parsed.protocol === 'ws:' || parsed.protocol === 'wss:') && request.headers.upgrade) {
+                parsed.protocol = parsed.protocol === 'wss:' ? 'https:' : 'http:';
+                request.url = parsed.href;
+            }
+
+            // Only HTTP is supported, other protocols such as HTTP or FTP must use the CONNECT method.
+            // HTTPS is supported only if we're allowed to originate TLS ourselves.
+            if (parsed.protocol !== 'http:' && !(parsed.protocol === 'https:' && this.originateTls)) {
                 throw new RequestError(`Only HTTP protocol is supported (was ${parsed.protocol})`, 400);
             }
 
@@ -488,13 +1400,65 @@ export class Server extends EventEmitter {
         return handlerOpts;
     }
 
+    /**
+     * Returns the absolute URL of an origin-form request received by the transparent proxy.
+     */
+    getTransparentRequestUrl(request: http.IncomingMessage): string {
+        const socket = request.socket as Socket;
+        const protocol = (socket as TLSSocket).encrypted ? 'https:' : 'http:';
+
+        let { host } = request.headers;
+        if (!host) {
+            const originalDestination = this.transparent!.getOriginalDestination?.(socket);
+            if (!originalDestination) {
+                throw new RequestError('Missing Host header', 400);
+            }
+
+            const { address, port } = originalDestination;
+            host = net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+
+            // HTTP/1.1 servers reject requests without the Host header.
+            request.headers.host = host;
+            request.rawHeaders.push('Host', host);
+        }
+
+        return `${protocol}//${host}${request.url}`;
+    }
+
+    /**
+     * Returns the server's `hostOverrides` merged with the ones returned by `prepareRequestFunction`, and `lookup` wrapped
+     * with them. Both are created once for each `hostOverrides` object and `lookup` function, because the agents
+     * are pooled by the lookup function and a new one for each request would prevent reusing the connections.
+     * @param hostOverrides
+     * @param lookup
+     */
+    getRequestHostOverridesLookup(
+        hostOverrides: HostOverrides,
+        lookup: typeof dns['lookup'] = dns.lookup,
+    ): { hostOverrides: HostOverrides; lookup: typeof dns['lookup'] } {
+        let lookups = this.requestHostOverridesLookups.get(hostOverrides);
+        if (!lookups) {
+            lookups = new WeakMap();
+            this.requestHostOverridesLookups.set(hostOverrides, lookups);
+        }
+
+        let result = lookups.get(lookup);
+        if (!result) {
+            const merged = hostOverrides === this.hostOverrides ? hostOverrides : { ...this.hostOverrides, ...hostOverrides };
+            result = { hostOverrides: merged, lookup: createHostOverridesLookup(merged, lookup) };
+            lookups.set(lookup, result);
+        }
+
+        return result;
+    }
+
     /**
      * Calls `this.prepareRequestFunction` with normalized options.
      * @param request
      * @param handlerOpts
      */
     async callPrepareRequestFunction(request: http.IncomingMessage, handlerOpts: HandlerOpts): Promise<PrepareRequestFunctionResult> {
-        if (this.prepareRequestFunction) {
+        if (this.prepareRequestFunction || this.matchRoute) {
             const funcOpts: PrepareRequestFunctionOpts = {
                 connectionId: (request.socket as Socket).proxyChainId!,
                 request,
@@ -503,11 +1467,17 @@ export class Server extends EventEmitter {
                 hostname: handlerOpts.trgParsed!.hostname,
                 port: normalizeUrlPort(handlerOpts.trgParsed!),
                 isHttp: handlerOpts.isHttp,
+                clientAddress: (request.socket as Socket).clientAddress,
+                clientPort: (request.socket as Socket).clientPort,
             };
 
             // Authenticate the request using a user function (if provided)
             const proxyAuth = request.headers['proxy-authorization'];
-            if (proxyAuth) {
+            const socksCredentials = socksRequestCredentials.get(request);
+            if (socksCredentials) {
+                funcOpts.username = socksCredentials.username;
+                funcOpts.password = socksCredentials.password;
+            } else if (proxyAuth) {
                 const auth = parseAuthorizationHeader(proxyAuth);
 
                 if (!auth) {
@@ -525,8 +1495,18 @@ export class Server extends EventEmitter {
                 funcOpts.password = auth.password!;
             }
 
-            const result = await this.prepareRequestFunction(funcOpts);
-            return result ?? {};
+            if (this.matchRoute) {
+                funcOpts.route = this.matchRoute(funcOpts);
+            }
+
+            const result = (await this.prepareRequestFunction?.(funcOpts)) ?? {};
+
+            // Requests that must authenticate first are not routed yet.
+            if (funcOpts.route && !result.requestAuthentication) {
+                return applyRouteAction(funcOpts.route, result);
+            }
+
+            return result;
         }
 
         return {};
@@ -539,31 +1519,124 @@ export class Server extends EventEmitter {
      */
     async prepareRequestHandling(request: http.IncomingMessage): Promise<HandlerOpts> {
         const handlerOpts = this.getHandlerOpts(request);
-        const funcResult = await this.callPrepareRequestFunction(request, handlerOpts);
+
+        // The request went through this server already, most likely because of misconfigured upstream proxy.
+        const loopDetectionIds = getLoopDetectionIds(request);
+        if (loopDetectionIds.includes(this.serverId)) {
+            throw new RequestError('Proxy loop detected', 508);
+        }
+        handlerOpts.loopDetectionIds = [...loopDetectionIds, this.serverId];
+
+        let funcResult = await this.callPrepareRequestFunction(request, handlerOpts);
 
         handlerOpts.localAddress = funcResult.localAddress;
         handlerOpts.ipFamily = funcResult.ipFamily;
-        handlerOpts.dnsLookup = funcResult.dnsLookup;
+        handlerOpts.dnsLookup = funcResult.dnsLookup ?? this.dnsLookup;
+
+        if (funcResult.hostOverrides) {
+            validateHostOverrides(funcResult.hostOverrides);
+        }
+
+        if (funcResult.hostOverrides || (this.hostOverrides && funcResult.dnsLookup)) {
+            ({ hostOverrides: handlerOpts.hostOverrides, lookup: handlerOpts.dnsLookup } = this.getRequestHostOverridesLookup(
+                (funcResult.hostOverrides ?? this.hostOverrides)!,
+                handlerOpts.dnsLookup,
+            ));
+        } else if (this.hostOverrides) {
+            handlerOpts.hostOverrides = this.hostOverrides;
+            handlerOpts.dnsLookup = this.hostOverridesLookup;
+        }
+
+        const isBypassed = funcResult.bypass === undefined ? this.isBypassed : createBypassCheck(funcResult.bypass);
+        if (isBypassed?.(handlerOpts.trgParsed!.hostname, normalizeUrlPort(handlerOpts.trgParsed!))) {
+            this.log(handlerOpts.id, `Bypassing upstream proxy for ${handlerOpts.trgParsed!.host}`);
+            funcResult = { ...funcResult, upstreamProxyUrl: null, upstreamProxyChain: null };
+        }
+
+        const hasUpstream = funcResult.upstreamProxyUrl !== undefined || funcResult.upstreamProxyChain !== undefined;
+        if (this.pacResolver && !hasUpstream && !funcResult.customResponseFunction && !funcResult.requestAuthentication) {
+            funcResult = { ...funcResult, upstreamProxyUrl: await this.findPacUpstreamProxyUrls(handlerOpts) };
+        } else if (this.envProxy && !hasUpstream && !funcResult.customResponseFunction && !funcResult.requestAuthentication) {
+            funcResult = { ...funcResult, upstreamProxyUrl: getEnvProxyUrlForTarget(this.envProxy, handlerOpts.trgParsed!, !handlerOpts.isHttp) };
+        }
         handlerOpts.customConnectServer = funcResult.customConnectServer;
         handlerOpts.customTag = funcResult.customTag;
         handlerOpts.httpAgent = funcResult.httpAgent;
         handlerOpts.httpsAgent = funcResult.httpsAgent;
+        handlerOpts.socksAgentPool = this.socksAgentPool;
+        handlerOpts.targetTlsOptions = funcResult.targetTlsOptions;
+
+        if (this.timeouts || funcResult.timeouts) {
+            handlerOpts.timeouts = { ...this.timeouts, ...funcResult.timeouts };
+        }
+
+        if (this.happyEyeballs || funcResult.happyEyeballs) {
+            handlerOpts.happyEyeballs = { ...this.happyEyeballs, ...funcResult.happyEyeballs };
+        }
+
+        handlerOpts.onTargetConnected = (target) => {
+            const { proxyChainId } = request.socket as Socket;
+            this.log(proxyChainId, `Connected to ${target.hostname}:${target.port} at ${target.address}`);
+
+            const event: TargetConnectedEvent = {
+                ...target,
+                connectionId: proxyChainId!,
+                customTag: handlerOpts.customTag,
+            };
+            this.emit('targetConnected', event);
+        };
+
+        if (this.forwardedHeaders || funcResult.forwardedHeaders) {
+            handlerOpts.forwardedHeaders = { ...this.forwardedHeaders, ...funcResult.forwardedHeaders };
+            handlerOpts.viaPseudonym = String(this.authRealm);
+        }
+
+        if (funcResult.proxyProtocolVersion) {
+            // The client connected either to us, or to the load balancer that sent us the PROXY protocol header.
+            const socket = request.socket as Socket;
+            const destination = socket.proxyProtocolAddress
+                ? { address: socket.proxyProtocolAddress.localAddress, port: socket.proxyProtocolAddress.localPort }
+                : { address: socket.localAddress, port: socket.localPort };
+
+            handlerOpts.proxyProtocolHeader = createProxyProtocolHeader(
+                funcResult.proxyProtocolVersion,
+                { address: socket.clientAddress, port: socket.clientPort },
+                destination,
+            );
+        }
 
         // If not authenticated, request client to authenticate
         if (funcResult.requestAuthentication) {
             throw new RequestError(funcResult.failMsg || 'Proxy credentials required.', 407);
         }
 
-        if (funcResult.upstreamProxyUrl) {
-            try {
-                handlerOpts.upstreamProxyUrlParsed = new URL(funcResult.upstreamProxyUrl);
-            } catch (error) {
-                throw new Error(`Invalid "upstreamProxyUrl" provided: ${error} (was "${funcResult.upstreamProxyUrl}"`);
+        if (funcResult.upstreamProxyChain?.length) {
+            if (funcResult.upstreamProxyUrl) {
+                throw new Error('The "upstreamProxyChain" option cannot be used together with "upstreamProxyUrl".');
             }
 
-            if (!['http:', 'https:', ...SOCKS_PROTOCOLS].includes(handlerOpts.upstreamProxyUrlParsed.protocol)) {
-                throw new Error(`Invalid "upstreamProxyUrl" provided: URL must have one of the following protocols: "http", "https", ${SOCKS_PROTOCOLS.map((p) => `"${p.replace(':', '')}"`).join(', ')} (was "${funcResult.upstreamProxyUrl}")`);
+            const upstreamProxyChainParsed = funcResult.upstreamProxyChain.map(parseUpstreamProxyUrl);
+
+            // A chain of one upstream proxy is the same as the upstream proxy.
+            if (upstreamProxyChainParsed.length === 1) {
+                handlerOpts.upstreamProxyUrls = funcResult.upstreamProxyChain;
+                handlerOpts.upstreamProxyUrlsParsed = upstreamProxyChainParsed;
+                handlerOpts.upstreamProxyUrlParsed = upstreamProxyChainParsed[0];
+            } else {
+                handlerOpts.upstreamProxyChainParsed = upstreamProxyChainParsed;
+            }
+        } else if (funcResult.upstreamProxyUrl) {
+            let upstreamProxyUrls;
+            if (funcResult.upstreamProxyUrl instanceof UpstreamPool) {
+                handlerOpts.upstreamPool = funcResult.upstreamProxyUrl;
+                upstreamProxyUrls = handlerOpts.upstreamPool.getUpstreamProxyUrls();
+            } else {
+                upstreamProxyUrls = Array.isArray(funcResult.upstreamProxyUrl) ? funcResult.upstreamProxyUrl : [funcResult.upstreamProxyUrl];
             }
+
+            handlerOpts.upstreamProxyUrls = upstreamProxyUrls;
+            handlerOpts.upstreamProxyUrlsParsed = upstreamProxyUrls.map(parseUpstreamProxyUrl);
+            handlerOpts.upstreamProxyUrlParsed = handlerOpts.upstreamProxyUrlsParsed[0] ?? null;
         }
 
         if (funcResult.ignoreUpstreamProxyCertificate !== undefined) {
@@ -590,9 +1663,69 @@ export class Server extends EventEmitter {
             this.log(proxyChainId, `Using upstream proxy ${redactUrl(handlerOpts.upstreamProxyUrlParsed)}`);
         }
 
+        if (handlerOpts.upstreamProxyChainParsed) {
+            this.log(proxyChainId, `Using upstream proxy chain ${handlerOpts.upstreamProxyChainParsed.map((url) => redactUrl(url)).join(' -> ')}`);
+        }
+
+        // Direct connections carry no loop detection header, so the target is compared to the address of the server instead.
+        const listenAddress = this.server.address();
+        const isDirect = !handlerOpts.upstreamProxyUrlParsed && !handlerOpts.upstreamProxyChainParsed
+            && !handlerOpts.customResponseFunction && !handlerOpts.customConnectServer;
+        if (isDirect && listenAddress && typeof listenAddress !== 'string') {
+            const trgParsed = handlerOpts.trgParsed!;
+            const hostname = trgParsed.hostname[0] === '[' ? trgParsed.hostname.slice(1, -1) : trgParsed.hostname;
+
+            if (await isListenAddressTarget(hostname, normalizeUrlPort(trgParsed), listenAddress, handlerOpts.dnsLookup)) {
+                throw new RequestError('Proxy loop detected', 508);
+            }
+        }
+
         return handlerOpts;
     }
 
+    /**
+     * Evaluates the PAC script for the target of the request.
+     * Returns the upstream proxies up to the first `DIRECT` directive, or null if the request should go directly to the target.
+     * @param handlerOpts
+     */
+    async findPacUpstreamProxyUrls(handlerOpts: HandlerOpts): Promise<string[] | null> {
+        const trgParsed = handlerOpts.trgParsed!;
+        const hostname = trgParsed.hostname[0] === '[' ? trgParsed.hostname.slice(1, -1) : trgParsed.hostname;
+        // Like browsers, pass only the origin of tunneled requests.
+        const url = handlerOpts.isHttp ? trgParsed.href : `https://${trgParsed.host}/`;
+
+        const result = await this.pacResolver!.findProxy(url, hostname, handlerOpts.dnsLookup);
+        this.log(handlerOpts.id, `PAC script returned "${result}"`);
+
+        const directives = parsePacResult(result);
+        const directIndex = directives.indexOf(null);
+        const upstreamProxyUrls = (directIndex === -1 ? directives : directives.slice(0, directIndex)) as string[];
+
+        return upstreamProxyUrls.length ? upstreamProxyUrls : null;
+    }
+
+    /**
+     * Responds with a PAC file that points browsers to this server.
+     * @param request
+     * @param response
+     */
+    sendPacFile(request: http.IncomingMessage, response: http.ServerResponse): void {
+        const { bypass, proxyHost } = this.servePac!;
+        const socket = request.socket as Socket;
+        const localHost = net.isIPv6(socket.localAddress!) ? `[${socket.localAddress}]:${socket.localPort}` : `${socket.localAddress}:${socket.localPort}`;
+        const host = proxyHost ?? request.headers.host ?? localHost;
+        const isTls = (socket as TLSSocket).encrypted;
+
+        this.log(socket.proxyChainId, `Serving PAC file for ${host}`);
+
+        const body = createPacFile(`${isTls ? 'HTTPS' : 'PROXY'} ${host}`, bypass);
+        response.writeHead(200, {
+            'content-type': 'application/x-ns-proxy-autoconfig',
+            'content-length': Buffer.byteLength(body),
+        });
+        response.end(body);
+    }
+
     /**
      * Sends a HTTP error response to the client.
      * @param request
@@ -656,6 +1789,18 @@ export class Server extends EventEmitter {
                 socket.destroy();
             });
 
+            // Transparent TLS clients expect the TLS handshake, there's nothing we can send them.
+            if (socket.transparentTls) {
+                socket.destroy();
+                return;
+            }
+
+            // SOCKS clients understand only the reply code, which is derived from the status code.
+            if (socket.socksVersion) {
+                socket.end(createSocksReply(socket.socksVersion, statusCode, message));
+                return;
+            }
+
             // This sends FIN, meaning we still can receive data.
             socket.end(msg);
         } catch (err) {
@@ -744,7 +1889,11 @@ export class Server extends EventEmitter {
             socket.destroy();
         }
 
-        this.log(null, `Destroyed ${this.connections.size} pending sockets`);
+        for (const socket of this.pendingSockets) {
+            socket.destroy();
+        }
+
+        this.log(null, `Destroyed ${this.connections.size + this.pendingSockets.size} pending sockets`);
     }
 
     /**
@@ -761,6 +1910,8 @@ export class Server extends EventEmitter {
             this.closeConnections();
         }
 
+        this.socksAgentPool?.destroy();
+
         if (this.server) {
             const { server } = this;
             // @ts-expect-error Let's make sure we can't access the server anymore.
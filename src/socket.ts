@@ -1,7 +1,23 @@
 import type net from 'node:net';
 import type tls from 'node:tls';
 
-type AdditionalProps = { proxyChainId?: number };
+import type { ProxyProtocolAddress } from './proxy_protocol';
+import type { CloseReason } from './timeouts';
+
+type AdditionalProps = {
+    proxyChainId?: number;
+    // Set for clients connected using the SOCKS protocol instead of HTTP.
+    socksVersion?: 4 | 5;
+    // Set for raw TLS connections of the transparent proxy, which don't receive any CONNECT response.
+    transparentTls?: boolean;
+    // Set if the connection started with the PROXY protocol header.
+    proxyProtocolAddress?: ProxyProtocolAddress;
+    // Address of the client, which is taken from the PROXY protocol header if the server received one.
+    clientAddress?: string;
+    clientPort?: number;
+    // Set if the connection was closed because of a timeout.
+    closeReason?: CloseReason;
+};
 
 export type Socket = net.Socket & AdditionalProps;
 export type TLSSocket = tls.TLSSocket & AdditionalProps;
@@ -0,0 +1,75 @@
+import type dns from 'node:dns';
+import type http from 'node:http';
+import type { URL } from 'node:url';
+
+import type { PooledSocksAgentOptions, SocksAgentSocketOptions } from './pooled_socks_agent';
+import { PooledSocksAgent } from './pooled_socks_agent';
+
+export type SocksAgentPoolOptions = Omit<PooledSocksAgentOptions, 'socketOptions'>;
+
+/**
+ * Caches keep-alive SOCKS agents, one for each upstream proxy URL, local address, IP family and lookup function,
+ * so that the HTTP requests forwarded through a SOCKS upstream proxy reuse the connections and their SOCKS handshakes.
+ * The agents are removed once they have no connections left.
+ */
+export class SocksAgentPool {
+    private readonly options: SocksAgentPoolOptions;
+
+    private readonly agents = new Map<string, PooledSocksAgent>();
+
+    // Functions can't be a part of the key, so each lookup function gets a number.
+    private readonly lookupIds = new WeakMap<typeof dns['lookup'], number>();
+
+    private lastLookupId = 0;
+
+    constructor(options: SocksAgentPoolOptions = {}) {
+        this.options = options;
+    }
+
+    get size(): number {
+        return this.agents.size;
+    }
+
+    getAgent(proxyUrl: URL, socketOptions: SocksAgentSocketOptions): http.Agent {
+        const key = [proxyUrl.href, socketOptions.localAddress ?? '', socketOptions.family ?? 0, this.getLookupId(socketOptions.lookup)].join('|');
+
+        let agent = this.agents.get(key);
+        if (!agent) {
+            agent = new PooledSocksAgent(proxyUrl, { ...this.options, socketOptions }, (idleAgent) => {
+                if (this.agents.get(key) === idleAgent) {
+                    this.agents.delete(key);
+                }
+
+                idleAgent.destroy();
+            });
+            this.agents.set(key, agent);
+        }
+
+        return agent;
+    }
+
+    /**
+     * Closes all the connections of the agents.
+     */
+    destroy(): void {
+        for (const agent of this.agents.values()) {
+            agent.destroy();
+        }
+
+        this.agents.clear();
+    }
+
+    private getLookupId(lookup?: typeof dns['lookup']): number {
+        if (!lookup) {
+            return 0;
+        }
+
+        let id = this.lookupIds.get(lookup);
+        if (id === undefined) {
+            id = ++this.lastLookupId;
+            this.lookupIds.set(lookup, id);
+        }
+
+        return id;
+    }
+}
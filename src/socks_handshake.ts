@@ -0,0 +1,348 @@
+import { Buffer } from 'node:buffer';
+import net from 'node:net';
+
+import { RequestError } from './request_error';
+import type { Socket } from './socket';
+import { badGatewayStatusCodes, createCustomStatusHttpResponse } from './statuses';
+
+// https://datatracker.ietf.org/doc/html/rfc1928
+// https://www.openssh.com/txt/socks4.protocol
+// https://www.openssh.com/txt/socks4a.protocol
+
+export const SOCKS4_VERSION = 0x04;
+export const SOCKS5_VERSION = 0x05;
+
+const SOCKS_COMMAND_CONNECT = 0x01;
+
+// The SOCKS4 user ID and the SOCKS4a hostname have no length limit in the protocol, the SOCKS5 fields have at most 255 bytes.
+const MAX_NULL_TERMINATED_LENGTH = 255;
+
+const SOCKS5_AUTH_NONE = 0x00;
+const SOCKS5_AUTH_USERNAME_PASSWORD = 0x02;
+const SOCKS5_AUTH_NO_ACCEPTABLE_METHODS = 0xff;
+const SOCKS5_USERNAME_PASSWORD_VERSION = 0x01;
+
+const SOCKS5_ADDRESS_TYPE_IPV4 = 0x01;
+const SOCKS5_ADDRESS_TYPE_DOMAIN = 0x03;
+const SOCKS5_ADDRESS_TYPE_IPV6 = 0x04;
+
+const socks5ReplyCodes = {
+    SUCCEEDED: 0x00,
+    GENERAL_FAILURE: 0x01,
+    NOT_ALLOWED: 0x02,
+    NETWORK_UNREACHABLE: 0x03,
+    HOST_UNREACHABLE: 0x04,
+    CONNECTION_REFUSED: 0x05,
+    TTL_EXPIRED: 0x06,
+    COMMAND_NOT_SUPPORTED: 0x07,
+    ADDRESS_TYPE_NOT_SUPPORTED: 0x08,
+} as const;
+
+const socks4ReplyCodes = {
+    GRANTED: 0x5a,
+    REJECTED: 0x5b,
+} as const;
+
+// Errors that have their own SOCKS5 reply code, there are no matching HTTP status codes.
+const SOCKS_COMMAND_NOT_SUPPORTED = 'SOCKS command not supported';
+const SOCKS_ADDRESS_TYPE_NOT_SUPPORTED = 'SOCKS address type not supported';
+
+export type SocksVersion = 4 | 5;
+
+export interface SocksRequest {
+    version: SocksVersion;
+    hostname: string;
+    port: number;
+    username: string;
+    password: string;
+    // Data the client sent right after the request, before receiving the reply.
+    head: Buffer;
+}
+
+const httpStatusCodeToSocks5ReplyCode = (statusCode: number, message?: string): number => {
+    if (message === SOCKS_COMMAND_NOT_SUPPORTED) return socks5ReplyCodes.COMMAND_NOT_SUPPORTED;
+    if (message === SOCKS_ADDRESS_TYPE_NOT_SUPPORTED) return socks5ReplyCodes.ADDRESS_TYPE_NOT_SUPPORTED;
+
+    switch (statusCode) {
+        case 200:
+            return socks5ReplyCodes.SUCCEEDED;
+        case 401:
+        case 403:
+        case 407:
+        case badGatewayStatusCodes.AUTH_FAILED:
+            return socks5ReplyCodes.NOT_ALLOWED;
+        case 404:
+        case badGatewayStatusCodes.NOT_FOUND:
+            return socks5ReplyCodes.HOST_UNREACHABLE;
+        case badGatewayStatusCodes.CONNECTION_REFUSED:
+            return socks5ReplyCodes.CONNECTION_REFUSED;
+        case badGatewayStatusCodes.TIMEOUT:
+            return socks5ReplyCodes.TTL_EXPIRED;
+        default:
+            return socks5ReplyCodes.GENERAL_FAILURE;
+    }
+};
+
+/**
+ * Creates a SOCKS reply for a request that either succeeded (status code 200) or failed.
+ * The bound address is not meaningful for a proxy chain, so it's always reported as 0.0.0.0:0.
+ */
+export const createSocksReply = (version: SocksVersion, statusCode: number, message?: string): Buffer => {
+    if (version === SOCKS4_VERSION) {
+        const code = statusCode === 200 ? socks4ReplyCodes.GRANTED : socks4ReplyCodes.REJECTED;
+        return Buffer.from([0x00, code, 0, 0, 0, 0, 0, 0]);
+    }
+
+    const code = httpStatusCodeToSocks5ReplyCode(statusCode, message);
+    return Buffer.from([SOCKS5_VERSION, code, 0x00, SOCKS5_ADDRESS_TYPE_IPV4, 0, 0, 0, 0, 0, 0]);
+};
+
+/**
+ * Creates the response that tells the client that the tunnel was established,
+ * either in HTTP CONNECT or SOCKS format depending on how the client connected.
+ * Transparent TLS clients don't know about the proxy, so they get nothing.
+ */
+export const createTunnelEstablishedResponse = (socket: Socket): string | Buffer => {
+    if (socket.transparentTls) {
+        return '';
+    }
+
+    if (socket.socksVersion) {
+        return createSocksReply(socket.socksVersion, 200);
+    }
+
+    return `HTTP/1.1 200 Connection Established\r\n\r\n`;
+};
+
+/**
+ * Creates the response that tells the client that the tunnel could not be established,
+ * either in HTTP CONNECT or SOCKS format depending on how the client connected.
+ */
+export const createTunnelFailedResponse = (socket: Socket, statusCode: number, statusMessage: string): string | Buffer => {
+    if (socket.transparentTls) {
+        return '';
+    }
+
+    if (socket.socksVersion) {
+        return createSocksReply(socket.socksVersion, statusCode);
+    }
+
+    return createCustomStatusHttpResponse(statusCode, statusMessage);
+};
+
+/**
+ * Reads exactly the requested number of bytes from a socket that is not flowing.
+ */
+class SocketReader {
+    private buffer = Buffer.alloc(0);
+
+    private ended = false;
+
+    private waiting: (() => void) | null = null;
+
+    private readonly onData = (chunk: Buffer) => {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this.notify();
+    };
+
+    private readonly onEnd = () => {
+        this.ended = true;
+        this.notify();
+    };
+
+    constructor(private readonly socket: net.Socket) {
+        socket.on('data', this.onData);
+        socket.on('end', this.onEnd);
+        socket.on('close', this.onEnd);
+    }
+
+    private notify(): void {
+        const { waiting } = this;
+        this.waiting = null;
+        waiting?.();
+    }
+
+    async read(length: number): Promise<Buffer> {
+        while (this.buffer.length < length) {
+            if (this.ended) {
+                throw new Error('SOCKS client closed the connection during handshake');
+            }
+
+            await new Promise<void>((resolve) => {
+                this.waiting = resolve;
+            });
+        }
+
+        const result = this.buffer.subarray(0, length);
+        this.buffer = this.buffer.subarray(length);
+        return result;
+    }
+
+    async readByte(): Promise<number> {
+        return (await this.read(1))[0];
+    }
+
+    async readString(length: number): Promise<string> {
+        return (await this.read(length)).toString();
+    }
+
+    async readNullTerminated(): Promise<string> {
+        const bytes = [];
+
+        for (let byte = await this.readByte(); byte !== 0x00; byte = await this.readByte()) {
+            if (bytes.length === MAX_NULL_TERMINATED_LENGTH) {
+                throw new Error(`SOCKS4 user ID or hostname is longer than ${MAX_NULL_TERMINATED_LENGTH} bytes`);
+            }
+
+            bytes.push(byte);
+        }
+
+        return Buffer.from(bytes).toString();
+    }
+
+    /**
+     * Stops reading from the socket and returns the remaining unread data.
+     */
+    release(): Buffer {
+        this.socket.off('data', this.onData);
+        this.socket.off('end', this.onEnd);
+        this.socket.off('close', this.onEnd);
+        this.socket.pause();
+
+        return this.buffer;
+    }
+}
+
+const readSocks4Request = async (reader: SocketReader): Promise<Omit<SocksRequest, 'head'>> => {
+    const command = await reader.readByte();
+    const port = (await reader.read(2)).readUInt16BE(0);
+    const ip = await reader.read(4);
+    const userId = await reader.readNullTerminated();
+
+    if (command !== SOCKS_COMMAND_CONNECT) {
+        throw new RequestError(SOCKS_COMMAND_NOT_SUPPORTED, 400);
+    }
+
+    // SOCKS4a: the IP address 0.0.0.x (x != 0) means the hostname follows the user ID.
+    const hostname = ip[0] === 0 && ip[1] === 0 && ip[2] === 0 && ip[3] !== 0
+        ? await reader.readNullTerminated()
+        : [...ip].join('.');
+
+    return {
+        version: SOCKS4_VERSION,
+        hostname,
+        port,
+        username: userId,
+        password: '',
+    };
+};
+
+const readSocks5Request = async (reader: SocketReader, socket: net.Socket): Promise<Omit<SocksRequest, 'head'>> => {
+    const methodCount = await reader.readByte();
+    const methods = [...await reader.read(methodCount)];
+
+    let username = '';
+    let password = '';
+
+    // Prefer username/password so that the credentials can be passed to `prepareRequestFunction`,
+    // the same way clients send the Proxy-Authorization header to an HTTP proxy when they have credentials.
+    if (methods.includes(SOCKS5_AUTH_USERNAME_PASSWORD)) {
+        socket.write(Buffer.from([SOCKS5_VERSION, SOCKS5_AUTH_USERNAME_PASSWORD]));
+
+        // https://datatracker.ietf.org/doc/html/rfc1929
+        const version = await reader.readByte();
+        if (version !== SOCKS5_USERNAME_PASSWORD_VERSION) {
+            throw new Error(`Unsupported SOCKS5 username/password authentication version: ${version}`);
+        }
+
+        username = await reader.readString(await reader.readByte());
+        password = await reader.readString(await reader.readByte());
+
+        // The credentials are verified later by `prepareRequestFunction`, which also needs the target.
+        // If they are rejected, the client receives the "connection not allowed by ruleset" reply.
+        socket.write(Buffer.from([SOCKS5_USERNAME_PASSWORD_VERSION, 0x00]));
+    } else if (methods.includes(SOCKS5_AUTH_NONE)) {
+        socket.write(Buffer.from([SOCKS5_VERSION, SOCKS5_AUTH_NONE]));
+    } else {
+        socket.end(Buffer.from([SOCKS5_VERSION, SOCKS5_AUTH_NO_ACCEPTABLE_METHODS]));
+        throw new Error('SOCKS5 client offered no supported authentication method');
+    }
+
+    const [version, command, , addressType] = await reader.read(4);
+    if (version !== SOCKS5_VERSION) {
+        throw new Error(`Unexpected SOCKS version in request: ${version}`);
+    }
+
+    let hostname: string;
+    switch (addressType) {
+        case SOCKS5_ADDRESS_TYPE_IPV4:
+            hostname = [...await reader.read(4)].join('.');
+            break;
+        case SOCKS5_ADDRESS_TYPE_DOMAIN:
+            hostname = await reader.readString(await reader.readByte());
+            break;
+        case SOCKS5_ADDRESS_TYPE_IPV6: {
+            const ip = await reader.read(16);
+            const groups = [];
+            for (let i = 0; i < 16; i += 2) {
+                groups.push(ip.readUInt16BE(i).toString(16));
+            }
+            hostname = groups.join(':');
+            break;
+        }
+        default:
+            throw new RequestError(SOCKS_ADDRESS_TYPE_NOT_SUPPORTED, 400);
+    }
+
+    const port = (await reader.read(2)).readUInt16BE(0);
+
+    if (command !== SOCKS_COMMAND_CONNECT) {
+        throw new RequestError(SOCKS_COMMAND_NOT_SUPPORTED, 400);
+    }
+
+    return {
+        version: SOCKS5_VERSION,
+        hostname,
+        port,
+        username,
+        password,
+    };
+};
+
+/**
+ * Performs the server side of SOCKS4, SOCKS4a or SOCKS5 handshake until the CONNECT request is received.
+ * Only the CONNECT command is supported; BIND and UDP ASSOCIATE are rejected.
+ * The caller is responsible for sending the final reply, see `createSocksReply()`.
+ */
+export const readSocksRequest = async (socket: Socket): Promise<SocksRequest> => {
+    const reader = new SocketReader(socket);
+
+    try {
+        const version = await reader.readByte();
+        socket.socksVersion = version === SOCKS4_VERSION ? SOCKS4_VERSION : SOCKS5_VERSION;
+
+        let request: Omit<SocksRequest, 'head'>;
+        if (version === SOCKS4_VERSION) {
+            request = await readSocks4Request(reader);
+        } else if (version === SOCKS5_VERSION) {
+            request = await readSocks5Request(reader, socket);
+        } else {
+            throw new Error(`Unsupported SOCKS version: ${version}`);
+        }
+
+        return {
+            ...request,
+            head: reader.release(),
+        };
+    } catch (error) {
+        reader.release();
+        throw error;
+    }
+};
+
+/**
+ * Formats the SOCKS target the same way as an HTTP CONNECT request target.
+ */
+export const formatSocksTarget = ({ hostname, port }: Pick<SocksRequest, 'hostname' | 'port'>): string => {
+    return net.isIPv6(hostname) ? `[${hostname}]:${port}` : `${hostname}:${port}`;
+};
@@ -11,6 +11,10 @@ export const badGatewayStatusCodes = {
      * Upstream responded with non-200 status code.
      */
     NON_200: 590,
+    /**
+     * Circuit breaker of the upstream proxy is open after repeated connection failures.
+     */
+    CIRCUIT_OPEN: 591,
     /**
      * Upstream respondend with status code different than 100-999.
      */
@@ -42,6 +46,7 @@ export const badGatewayStatusCodes = {
 } as const;
 
 STATUS_CODES['590'] = 'Non Successful';
+STATUS_CODES['591'] = 'Circuit Open';
 STATUS_CODES['592'] = 'Status Code Out Of Range';
 STATUS_CODES['593'] = 'Not Found';
 STATUS_CODES['594'] = 'Connection Refused';
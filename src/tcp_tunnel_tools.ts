@@ -2,7 +2,9 @@ import net from 'node:net';
 import { URL } from 'node:url';
 
 import { chain } from './chain';
+import { getEnvProxyUrlForTarget, readEnvProxy } from './env_proxy';
 import { nodeify } from './utils/nodeify';
+import { redactUrl } from './utils/redact_url';
 
 const runningServers: Record<string, { server: net.Server, connections: Set<net.Socket> }> = {};
 
@@ -16,18 +18,33 @@ const getAddress = (server: net.Server) => {
     return `${host}:${port}`;
 };
 
+const validateProxyUrl = (parsedProxyUrl: URL) => {
+    if (!['http:', 'https:'].includes(parsedProxyUrl.protocol)) {
+        throw new Error(`The proxy URL must have the "http" or "https" protocol (was "${redactUrl(parsedProxyUrl)}")`);
+    }
+};
+
+/**
+ * Starts a local TCP server that tunnels the connections to the target through the proxy.
+ * With the `useEnvProxy` option, `proxyUrl` can be null to use the proxy from the `HTTPS_PROXY` or `ALL_PROXY`
+ * environment variable, and the connections go directly to the target if it's in `NO_PROXY`.
+ */
 export async function createTunnel(
-    proxyUrl: string,
+    proxyUrl: string | null,
     targetHost: string,
     options?: {
         verbose?: boolean;
         ignoreProxyCertificate?: boolean;
+        useEnvProxy?: boolean;
     },
     callback?: (error: Error | null, result?: string) => void,
 ): Promise<string> {
-    const parsedProxyUrl = new URL(proxyUrl);
-    if (!['http:', 'https:'].includes(parsedProxyUrl.protocol)) {
-        throw new Error(`The proxy URL must have the "http" or "https" protocol (was "${proxyUrl}")`);
+    const useEnvProxy = !proxyUrl && !!options?.useEnvProxy;
+
+    let parsedProxyUrl: URL | null = null;
+    if (!useEnvProxy) {
+        parsedProxyUrl = new URL(proxyUrl!);
+        validateProxyUrl(parsedProxyUrl);
     }
 
     const url = new URL(`connect://${targetHost || ''}`);
@@ -40,6 +57,14 @@ export async function createTunnel(
         throw new Error('Missing target port');
     }
 
+    if (useEnvProxy) {
+        const envProxyUrl = getEnvProxyUrlForTarget(readEnvProxy(), url, true);
+        if (envProxyUrl) {
+            parsedProxyUrl = new URL(envProxyUrl);
+            validateProxyUrl(parsedProxyUrl);
+        }
+    }
+
     const verbose = options && options.verbose;
 
     const server: net.Server & { log?: (...args: unknown[]) => void } = net.createServer();
@@ -66,6 +91,20 @@ export async function createTunnel(
 
         connections.add(sourceSocket);
 
+        if (!parsedProxyUrl) {
+            const targetSocket = net.connect({ host: url.hostname.replace(/^\[(.*)\]$/, '$1'), port: Number(url.port) });
+
+            targetSocket.on('error', (error) => {
+                log(`connection to ${targetHost} failed: ${error.message}`);
+                sourceSocket.destroy();
+            });
+            sourceSocket.on('error', () => targetSocket.destroy());
+            sourceSocket.on('close', () => targetSocket.destroy());
+
+            sourceSocket.pipe(targetSocket).pipe(sourceSocket);
+            return;
+        }
+
         chain({
             request: { url: targetHost },
             sourceSocket,
@@ -89,6 +128,7 @@ export async function createTunnel(
             runningServers[address] = { server, connections: new Set() };
 
             log('server listening to ', address);
+            log(parsedProxyUrl ? `tunneling to ${targetHost} through ${redactUrl(parsedProxyUrl)}` : `tunneling to ${targetHost} directly`);
 
             resolve(address);
         });
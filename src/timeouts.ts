@@ -0,0 +1,105 @@
+import type net from 'node:net';
+
+import { RequestError } from './request_error';
+import type { Socket } from './socket';
+import { badGatewayStatusCodes } from './statuses';
+
+export interface TimeoutOptions {
+    // Time to connect to the target or the upstream proxy, including the SOCKS handshake.
+    connectTimeoutMillis?: number;
+    // Tunnels and upgraded connections without any traffic for this long are closed.
+    idleTimeoutMillis?: number;
+    // Tunnels and upgraded connections are closed after this long, regardless of the traffic.
+    maxLifetimeMillis?: number;
+    // Time to wait for the response headers of HTTP requests and for the CONNECT response of the upstream proxy.
+    responseHeadersTimeoutMillis?: number;
+    // Time for a new client connection to complete the SOCKS handshake, to send the PROXY protocol header,
+    // the TLS ClientHello to the transparent proxy, or the first byte to the 'auto' or transparent server.
+    // By default 10 seconds, 0 disables it.
+    // Only the value of the server is used, as the handshake happens before `prepareRequestFunction` is called.
+    handshakeTimeoutMillis?: number;
+}
+
+/**
+ * Reported as `closeReason` in the `connectionClosed` event if the connection was closed because of a timeout.
+ */
+export type CloseReason = 'connectTimeout' | 'idleTimeout' | 'maxLifetime' | 'responseHeadersTimeout' | 'handshakeTimeout';
+
+export const DEFAULT_HANDSHAKE_TIMEOUT_MILLIS = 10_000;
+
+interface Destroyable {
+    destroy: (error?: Error) => unknown;
+}
+
+const startTimeout = (timeoutMillis: number | undefined, onTimeout: () => void): () => void => {
+    if (!timeoutMillis) {
+        return () => undefined;
+    }
+
+    const timeout = setTimeout(onTimeout, timeoutMillis);
+    return () => clearTimeout(timeout);
+};
+
+/**
+ * Destroys the target with an `ETIMEDOUT` error unless the returned function is called in time, once connected.
+ * The error is mapped to `badGatewayStatusCodes.TIMEOUT` and considered an error of the upstream proxy.
+ * The client connection, if any, gets the `closeReason`.
+ */
+export const startConnectTimeout = (sourceSocket: Socket | undefined, target: Destroyable, timeoutMillis: number | undefined): () => void => {
+    return startTimeout(timeoutMillis, () => {
+        const error: NodeJS.ErrnoException = new Error(`Connection timed out after ${timeoutMillis} ms`);
+        error.code = 'ETIMEDOUT';
+
+        if (sourceSocket) {
+            sourceSocket.closeReason = 'connectTimeout';
+        }
+
+        target.destroy(error);
+    });
+};
+
+/**
+ * Destroys the target with a `RequestError` unless the returned function is called in time, once the response arrives.
+ */
+export const startResponseHeadersTimeout = (sourceSocket: Socket | undefined, target: Destroyable, timeoutMillis: number | undefined): () => void => {
+    return startTimeout(timeoutMillis, () => {
+        if (sourceSocket) {
+            sourceSocket.closeReason = 'responseHeadersTimeout';
+        }
+
+        target.destroy(new RequestError(`Response headers timed out after ${timeoutMillis} ms`, badGatewayStatusCodes.TIMEOUT));
+    });
+};
+
+/**
+ * Destroys the client socket unless the returned function is called in time, once the client has sent what the server waits for.
+ * Prevents clients from keeping connections open without ever sending a request.
+ */
+export const startHandshakeTimeout = (socket: Socket, timeoutMillis: number | undefined = DEFAULT_HANDSHAKE_TIMEOUT_MILLIS): () => void => {
+    const clear = startTimeout(timeoutMillis, () => {
+        socket.closeReason = 'handshakeTimeout';
+        socket.destroy();
+    });
+    socket.once('close', clear);
+
+    return clear;
+};
+
+/**
+ * Closes the tunnel after `idleTimeoutMillis` without traffic and after `maxLifetimeMillis`.
+ * All traffic of the tunnel goes through the target socket, so its inactivity is the inactivity of the tunnel.
+ */
+export const setTunnelTimeouts = (sourceSocket: Socket, targetSocket: net.Socket, timeouts: TimeoutOptions | undefined): void => {
+    const close = (reason: CloseReason) => {
+        sourceSocket.closeReason = reason;
+        sourceSocket.destroy();
+        targetSocket.destroy();
+    };
+
+    if (timeouts?.idleTimeoutMillis) {
+        targetSocket.setTimeout(timeouts.idleTimeoutMillis, () => close('idleTimeout'));
+    }
+
+    const clearLifetimeTimeout = startTimeout(timeouts?.maxLifetimeMillis, () => close('maxLifetime'));
+    targetSocket.once('close', clearLifetimeTimeout);
+};
@@ -0,0 +1,103 @@
+import type { Buffer } from 'node:buffer';
+import type net from 'node:net';
+
+import { readSocketPrefix } from './utils/read_socket_prefix';
+
+// https://datatracker.ietf.org/doc/html/rfc8446#section-4.1.2
+// https://datatracker.ietf.org/doc/html/rfc6066#section-3
+
+const TLS_RECORD_HEADER_LENGTH = 5;
+const TLS_RECORD_TYPE_HANDSHAKE = 0x16;
+const TLS_HANDSHAKE_TYPE_CLIENT_HELLO = 0x01;
+const TLS_EXTENSION_SERVER_NAME = 0x0000;
+const SERVER_NAME_TYPE_HOST_NAME = 0x00;
+
+/**
+ * Returns the host name from the Server Name Indication extension of the ClientHello message, if present.
+ * Only the first TLS record is inspected, ClientHello messages fragmented into multiple records are not supported.
+ */
+const parseServerName = (record: Buffer): string | null => {
+    let offset = TLS_RECORD_HEADER_LENGTH;
+
+    if (record[offset] !== TLS_HANDSHAKE_TYPE_CLIENT_HELLO) {
+        return null;
+    }
+
+    // Handshake type (1), length (3), client version (2), random (32)
+    offset += 1 + 3 + 2 + 32;
+
+    // Session ID
+    offset += 1 + record[offset];
+
+    // Cipher suites
+    offset += 2 + record.readUInt16BE(offset);
+
+    // Compression methods
+    offset += 1 + record[offset];
+
+    const extensionsEnd = Math.min(offset + 2 + record.readUInt16BE(offset), record.length);
+    offset += 2;
+
+    while (offset + 4 <= extensionsEnd) {
+        const type = record.readUInt16BE(offset);
+        const length = record.readUInt16BE(offset + 2);
+        offset += 4;
+
+        if (type === TLS_EXTENSION_SERVER_NAME) {
+            const listEnd = Math.min(offset + 2 + record.readUInt16BE(offset), offset + length);
+            let entryOffset = offset + 2;
+
+            while (entryOffset + 3 <= listEnd) {
+                const nameType = record[entryOffset];
+                const nameLength = record.readUInt16BE(entryOffset + 1);
+                entryOffset += 3;
+
+                if (nameType === SERVER_NAME_TYPE_HOST_NAME) {
+                    return record.subarray(entryOffset, entryOffset + nameLength).toString('ascii');
+                }
+
+                entryOffset += nameLength;
+            }
+
+            return null;
+        }
+
+        offset += length;
+    }
+
+    return null;
+};
+
+/**
+ * Reads the server name (SNI) from the ClientHello of a new TLS connection, without consuming any data,
+ * so that the connection can be passed to the target as it is.
+ * Resolves with null if the client didn't send the server name, rejects if the connection is not TLS.
+ */
+export const readTlsServerName = async (socket: net.Socket): Promise<string | null> => readSocketPrefix(
+    socket,
+    (buffer) => {
+        if (buffer.length < TLS_RECORD_HEADER_LENGTH) {
+            return null;
+        }
+
+        if (buffer[0] !== TLS_RECORD_TYPE_HANDSHAKE) {
+            throw new Error('The connection is not TLS');
+        }
+
+        const recordLength = TLS_RECORD_HEADER_LENGTH + buffer.readUInt16BE(3);
+        if (buffer.length < recordLength) {
+            return null;
+        }
+
+        let serverName: string | null;
+        try {
+            serverName = parseServerName(buffer.subarray(0, recordLength));
+        } catch {
+            // The message is truncated or malformed, let the target deal with it.
+            serverName = null;
+        }
+
+        return { length: 0, result: serverName };
+    },
+    'the TLS ClientHello',
+);
@@ -0,0 +1,19 @@
+import type net from 'node:net';
+
+/**
+ * Original destination of a connection redirected to the transparent proxy.
+ */
+export interface OriginalDestination {
+    address: string;
+    port: number;
+}
+
+/**
+ * Options of the transparent proxy mode.
+ */
+export interface TransparentProxyOptions {
+    // Returns the original destination of a connection redirected by the firewall, if it's known.
+    // Node.js can't read the SO_ORIGINAL_DST socket option of connections redirected by iptables REDIRECT,
+    // so it needs to be read by a native addon. With iptables TPROXY, it's the local address of the socket.
+    getOriginalDestination?: (socket: net.Socket) => OriginalDestination | null | undefined;
+}
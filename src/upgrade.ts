@@ -0,0 +1,335 @@
+import type { Buffer } from 'node:buffer';
+import type dns from 'node:dns';
+import type { EventEmitter } from 'node:events';
+import http from 'node:http';
+import https from 'node:https';
+import { URL } from 'node:url';
+
+import { SocksProxyAgent } from 'socks-proxy-agent';
+
+import type { TargetTlsOptions } from './forward';
+import { createConnectionThroughProxy } from './forward';
+import type { ForwardedHeadersOptions } from './forwarded_headers';
+import { applyForwardedHeaders } from './forwarded_headers';
+import type { HeaderPolicy } from './header_policy';
+import { LOOP_DETECTION_HEADER } from './loop_detection';
+import type { RequestError } from './request_error';
+import type { Socket } from './socket';
+import type { SocksAgentPool } from './socks_agent_pool';
+import { badGatewayStatusCodes, createCustomStatusHttpResponse, errorCodeToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { setTunnelTimeouts, startConnectTimeout, startResponseHeadersTimeout } from './timeouts';
+import type { SocketWithPreviousStats } from './utils/count_target_bytes';
+import { countTargetBytes } from './utils/count_target_bytes';
+import { getBasicAuthorizationHeader } from './utils/get_basic';
+import { validHeadersOnly } from './utils/valid_headers_only';
+
+interface Options {
+    method: string;
+    headers: string[];
+    insecureHTTPParser: boolean;
+    path?: string;
+    localAddress?: string;
+    family?: number;
+    lookup?: typeof dns['lookup'];
+    agent?: http.Agent;
+    createConnection?: http.RequestOptions['createConnection'];
+}
+
+export interface HandlerOpts {
+    upstreamProxyUrlParsed: URL | null;
+    upstreamProxyChainParsed?: URL[];
+    ignoreUpstreamProxyCertificate: boolean;
+    localAddress?: string;
+    ipFamily?: number;
+    dnsLookup?: typeof dns['lookup'];
+    httpAgent?: http.Agent;
+    httpsAgent?: https.Agent;
+    socksAgentPool?: SocksAgentPool;
+    headerPolicy?: HeaderPolicy;
+    loopDetectionIds?: string[];
+    timeouts?: TimeoutOptions;
+    targetTlsOptions?: TargetTlsOptions;
+    forwardedHeaders?: ForwardedHeadersOptions;
+    viaPseudonym?: string;
+    // Returns true if the failure was handled by passing the request to another upstream proxy.
+    onUpstreamProxyError?: (error: NodeJS.ErrnoException) => boolean;
+    // Called once the upstream proxy responds.
+    onUpstreamProxyConnected?: () => void;
+}
+
+interface UpgradeOpts {
+    request: http.IncomingMessage;
+    sourceSocket: Socket;
+    head: Buffer;
+    handlerOpts: HandlerOpts;
+    server: EventEmitter & { log: (connectionId: unknown, str: string) => void };
+}
+
+const createResponseHead = (statusCode: number, statusMessage: string, rawHeaders: string[]): string => {
+    let head = `HTTP/1.1 ${statusCode} ${statusMessage}\r\n`;
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        head += `${rawHeaders[i]}: ${rawHeaders[i + 1]}\r\n`;
+    }
+
+    return `${head}\r\n`;
+};
+
+/**
+ * Forwards HTTP Upgrade requests (such as WebSocket handshakes) sent in absolute form
+ * and then pipes the upgraded connection in both directions.
+ *
+ * ```
+ * Client -> Apify (HTTP Upgrade) -> [Upstream (HTTP/SOCKS)] -> Web
+ * Client <- Apify (101 + raw data) <- [Upstream (HTTP/SOCKS)] <- Web
+ * ```
+ *
+ * With a chain of upstream proxies, or an HTTP upstream proxy and an `https:` target, the request is sent through a tunnel,
+ * see forward().
+ */
+export const upgrade = async ({
+    request,
+    sourceSocket,
+    head,
+    handlerOpts,
+    server,
+    // eslint-disable-next-line no-async-promise-executor
+}: UpgradeOpts): Promise<void> => new Promise(async (resolve, reject) => {
+    const { proxyChainId } = sourceSocket;
+    const proxy = handlerOpts.upstreamProxyUrlParsed;
+    const proxyChain = handlerOpts.upstreamProxyChainParsed;
+    const useHttpProxy = proxy && !proxy.protocol.startsWith('socks');
+
+    // Like in forward(), TLS to `https:` targets is originated by us, so the HTTP upstream proxy is only used to open a tunnel.
+    const tunnelProxies = proxyChain ?? (useHttpProxy && request.url!.startsWith('https:') ? [proxy] : null);
+    const origin = useHttpProxy && !tunnelProxies ? proxy.origin : request.url!;
+    const isHttps = origin.startsWith('https:');
+
+    let requestHeaders = validHeadersOnly(request.rawHeaders, handlerOpts.headerPolicy?.request);
+    if (handlerOpts.forwardedHeaders) {
+        requestHeaders = applyForwardedHeaders(requestHeaders, request, handlerOpts.forwardedHeaders, handlerOpts.viaPseudonym!);
+    }
+
+    // Upgrade and Connection are hop-by-hop headers, but they need to be passed along for the upgrade to happen.
+    const headers = [
+        ...requestHeaders,
+        'Connection', 'Upgrade',
+        'Upgrade', request.headers.upgrade!,
+    ];
+
+    const options: Options = {
+        method: request.method!,
+        headers,
+        insecureHTTPParser: true,
+        localAddress: handlerOpts.localAddress,
+        family: handlerOpts.ipFamily,
+        lookup: handlerOpts.dnsLookup,
+    };
+
+    if (tunnelProxies) {
+        options.createConnection = createConnectionThroughProxy(request, handlerOpts, tunnelProxies, new URL(origin));
+    } else if (useHttpProxy) {
+        // In case of proxy the path needs to be an absolute URL
+        options.path = request.url;
+
+        try {
+            if (proxy.username || proxy.password) {
+                headers.push('proxy-authorization', getBasicAuthorizationHeader(proxy));
+            }
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        if (handlerOpts.loopDetectionIds) {
+            headers.push(LOOP_DETECTION_HEADER, handlerOpts.loopDetectionIds.join(', '));
+        }
+
+        options.agent = isHttps ? handlerOpts.httpsAgent : handlerOpts.httpAgent;
+    } else if (proxy) {
+        // The agent ignores these options of the request, it connects to the proxy with the `socketOptions`.
+        const socketOptions = { localAddress: handlerOpts.localAddress, family: handlerOpts.ipFamily, lookup: handlerOpts.dnsLookup };
+        options.agent = (isHttps ? handlerOpts.httpsAgent : handlerOpts.httpAgent)
+            ?? handlerOpts.socksAgentPool?.getAgent(proxy, socketOptions)
+            ?? new SocksProxyAgent(proxy, { socketOptions });
+    } else {
+        options.agent = isHttps ? handlerOpts.httpsAgent : handlerOpts.httpAgent;
+    }
+
+    // We have to force cast `options` because @types/node doesn't support an array.
+    const client = isHttps
+        ? https.request(origin, {
+            ...options as unknown as https.RequestOptions,
+            ...(useHttpProxy && !tunnelProxies
+                ? { rejectUnauthorized: !handlerOpts.ignoreUpstreamProxyCertificate }
+                : handlerOpts.targetTlsOptions),
+        })
+        : http.request(origin, options as unknown as http.RequestOptions);
+
+    let failed = false;
+    const onError = (error: NodeJS.ErrnoException) => {
+        // The connect timeout fails the request before the request itself reports the error.
+        if (failed) {
+            return;
+        }
+        failed = true;
+
+        server.log(proxyChainId, `Failed to forward upgrade request: ${error.stack}`);
+
+        if (handlerOpts.onUpstreamProxyError?.(error)) {
+            resolve();
+            return;
+        }
+
+        if (sourceSocket.readyState === 'open') {
+            let statusCode: number;
+            if (error.name === 'RequestError') {
+                // Errors reported by the upstream proxies when opening a tunnel already have a status code.
+                statusCode = (error as RequestError).statusCode;
+            } else if (!proxy && !proxyChain && error.code === 'ENOTFOUND') {
+                statusCode = 404;
+            } else {
+                statusCode = errorCodeToStatusCode[error.code!] ?? badGatewayStatusCodes.GENERIC_ERROR;
+            }
+
+            sourceSocket.end(createCustomStatusHttpResponse(statusCode, http.STATUS_CODES[statusCode]!));
+        }
+
+        resolve();
+    };
+    client.on('error', onError);
+
+    // The SOCKS agents don't give the request a socket before they connect, so destroying it doesn't fail it right away.
+    const clearConnectTimeout = startConnectTimeout(sourceSocket, {
+        destroy: (error?: Error) => {
+            client.destroy(error);
+            onError(error!);
+        },
+    }, handlerOpts.timeouts?.connectTimeoutMillis);
+    const clearResponseHeadersTimeout = startResponseHeadersTimeout(sourceSocket, client, handlerOpts.timeouts?.responseHeadersTimeoutMillis);
+    const clearTimeouts = () => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
+    };
+    client.once('close', clearTimeouts);
+    client.once('error', clearTimeouts);
+
+    client.once('socket', (socket: SocketWithPreviousStats) => {
+        // Socket can be re-used by multiple requests.
+        // That's why we need to track the previous stats.
+        socket.previousBytesRead = socket.bytesRead;
+        socket.previousBytesWritten = socket.bytesWritten;
+        countTargetBytes(sourceSocket, socket);
+
+        if (socket.connecting) {
+            socket.once('connect', clearConnectTimeout);
+        } else {
+            clearConnectTimeout();
+        }
+    });
+
+    client.on('upgrade', (response, targetSocket, targetHead) => {
+        clearResponseHeadersTimeout();
+        handlerOpts.onUpstreamProxyConnected?.();
+
+        if (sourceSocket.readyState !== 'open') {
+            targetSocket.destroy();
+            resolve();
+            return;
+        }
+
+        sourceSocket.write(createResponseHead(response.statusCode!, response.statusMessage!, [
+            ...validHeadersOnly(response.rawHeaders, handlerOpts.headerPolicy?.response),
+            'Connection', 'Upgrade',
+            'Upgrade', response.headers.upgrade!,
+        ]));
+
+        if (targetHead.length > 0) {
+            sourceSocket.write(targetHead);
+        }
+
+        if (head.length > 0) {
+            targetSocket.write(head);
+        }
+
+        setTunnelTimeouts(sourceSocket, targetSocket, handlerOpts.timeouts);
+
+        sourceSocket.pipe(targetSocket);
+        targetSocket.pipe(sourceSocket);
+
+        // Once target socket closes forcibly, the source socket gets paused.
+        // We need to enable flowing, otherwise the socket would remain open indefinitely.
+        // Nothing would consume the data, we just want to close the socket.
+        targetSocket.on('close', () => {
+            sourceSocket.resume();
+
+            if (sourceSocket.writable) {
+                sourceSocket.end();
+            }
+
+            resolve();
+        });
+
+        // Same here.
+        sourceSocket.on('close', () => {
+            targetSocket.resume();
+
+            if (targetSocket.writable) {
+                targetSocket.end();
+            }
+        });
+
+        targetSocket.on('error', (error) => {
+            server.log(proxyChainId, `Upgrade Destination Socket Error: ${error.stack}`);
+
+            sourceSocket.destroy();
+        });
+
+        sourceSocket.on('error', (error) => {
+            server.log(proxyChainId, `Upgrade Source Socket Error: ${error.stack}`);
+
+            targetSocket.destroy();
+        });
+    });
+
+    // The target refused to upgrade, pass its response to the client and close the connection.
+    client.on('response', (response: http.IncomingMessage) => {
+        clearResponseHeadersTimeout();
+        handlerOpts.onUpstreamProxyConnected?.();
+
+        // 407 is handled separately
+        if (response.statusCode === 407) {
+            response.resume();
+
+            const error = new Error('407 Proxy Authentication Required');
+            if (handlerOpts.onUpstreamProxyError?.(error)) {
+                resolve();
+                return;
+            }
+
+            reject(error);
+            return;
+        }
+
+        // This is necessary to prevent clients from failing to parse the status line
+        let statusCode = response.statusCode!;
+        if (statusCode < 100 || statusCode > 999) {
+            statusCode = badGatewayStatusCodes.STATUS_CODE_OUT_OF_RANGE;
+        }
+
+        // The body is already decoded from the chunked encoding, so the end of the body is marked by closing the connection.
+        sourceSocket.write(createResponseHead(statusCode, response.statusMessage!, [
+            ...validHeadersOnly(response.rawHeaders, handlerOpts.headerPolicy?.response),
+            'Connection', 'close',
+        ]));
+
+        response.pipe(sourceSocket);
+        response.on('end', resolve);
+    });
+
+    sourceSocket.on('close', () => {
+        client.destroy();
+    });
+
+    client.end();
+});
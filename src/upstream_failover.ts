@@ -0,0 +1,56 @@
+import type http from 'node:http';
+
+import { SocksClientError } from 'socks';
+
+import type { RequestError } from './request_error';
+import { badGatewayStatusCodes } from './statuses';
+
+/**
+ * Emitted as `upstreamFailed` by the server for every failed attempt to use an upstream proxy.
+ */
+export interface UpstreamFailedEvent {
+    connectionId: number;
+    request: http.IncomingMessage;
+    // The upstream proxy URL as returned by `prepareRequestFunction`.
+    upstreamProxyUrl: string;
+    error: NodeJS.ErrnoException;
+    // 1 for the first upstream proxy of the list, 2 for the second one, etc.
+    attempt: number;
+    // True if the request is passed to the next upstream proxy of the list.
+    willRetry: boolean;
+    customTag?: unknown;
+}
+
+// Errors of the connection to the upstream proxy itself, as opposed to errors the upstream proxy reports for the target.
+const UPSTREAM_CONNECTION_ERROR_CODES = [
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE',
+];
+
+/**
+ * Returns true if the upstream proxy could not be used at all, either because we failed to connect to it,
+ * it rejected our credentials or its circuit is open. The request can be safely passed to another upstream proxy then.
+ */
+export const isUpstreamProxyError = (error: NodeJS.ErrnoException): boolean => {
+    if (error.name === 'RequestError') {
+        const { statusCode } = error as RequestError;
+        return statusCode === badGatewayStatusCodes.AUTH_FAILED || statusCode === badGatewayStatusCodes.CIRCUIT_OPEN;
+    }
+
+    // SOCKS client errors are about the SOCKS proxy, unless the proxy replied that it can't connect to the target.
+    if (error instanceof SocksClientError) {
+        return !/rejected connection/i.test(error.message);
+    }
+
+    if (error.message === '407 Proxy Authentication Required') {
+        return true;
+    }
+
+    return UPSTREAM_CONNECTION_ERROR_CODES.includes(error.code!);
+};
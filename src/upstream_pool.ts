@@ -0,0 +1,311 @@
+import { EventEmitter } from 'node:events';
+import { URL } from 'node:url';
+
+import { RequestError } from './request_error';
+import { badGatewayStatusCodes } from './statuses';
+import { openUpstreamTunnel, SOCKS_PROTOCOLS } from './upstream_tunnel';
+import { redactUrl } from './utils/redact_url';
+
+export type UpstreamPoolStrategy = 'round-robin' | 'least-connections' | 'weighted';
+
+export interface UpstreamPoolHealthCheckOptions {
+    // Target of the probe CONNECT in the `host:port` format, e.g. `example.com:443`.
+    target: string;
+    // By default 30 seconds.
+    intervalMillis?: number;
+    // By default 5 seconds.
+    timeoutMillis?: number;
+    // Number of consecutive failed checks after which the upstream proxy is taken out. By default 2.
+    unhealthyThreshold?: number;
+}
+
+export interface UpstreamPoolOptions {
+    // Upstream proxy URLs, optionally with a weight for the 'weighted' strategy (by default 1).
+    upstreams: (string | { url: string; weight?: number })[];
+    // By default 'round-robin'.
+    strategy?: UpstreamPoolStrategy;
+    healthCheck?: UpstreamPoolHealthCheckOptions;
+    // Applies to the health checks of HTTPS upstream proxies.
+    ignoreUpstreamProxyCertificate?: boolean;
+}
+
+export interface UpstreamStats {
+    url: string;
+    weight: number;
+    healthy: boolean;
+    // Client connections currently using the upstream proxy.
+    activeConnections: number;
+    totalConnections: number;
+    // Connections that failed because of the upstream proxy, e.g. it refused the connection or the credentials.
+    failedConnections: number;
+    consecutiveFailedHealthChecks: number;
+    lastHealthCheckAt: Date | null;
+    lastError: Error | null;
+}
+
+interface Upstream extends UpstreamStats {
+    parsed: URL;
+    // Used by the smooth weighted round-robin.
+    currentWeight: number;
+}
+
+const STRATEGIES: UpstreamPoolStrategy[] = ['round-robin', 'least-connections', 'weighted'];
+
+const DEFAULT_HEALTH_CHECK_INTERVAL_MILLIS = 30_000;
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MILLIS = 5_000;
+const DEFAULT_UNHEALTHY_THRESHOLD = 2;
+
+const parseUpstreamUrl = (url: string): URL => {
+    // The URL may contain credentials, so it's redacted in the error messages.
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('Invalid upstream proxy URL: the URL could not be parsed');
+    }
+
+    if (!['http:', 'https:', ...SOCKS_PROTOCOLS].includes(parsed.protocol)) {
+        throw new Error(`Invalid upstream proxy URL: must have one of the following protocols: "http", "https", ${SOCKS_PROTOCOLS.map((p) => `"${p.replace(':', '')}"`).join(', ')} (was "${redactUrl(parsed)}")`);
+    }
+
+    return parsed;
+};
+
+const rotate = <T>(items: T[], offset: number): T[] => {
+    const index = offset % items.length;
+    return [...items.slice(index), ...items.slice(0, index)];
+};
+
+/**
+ * A set of upstream proxies that can be returned by `prepareRequestFunction` in place of `upstreamProxyUrl`.
+ * For every request, the pool picks an upstream proxy according to the strategy and the server
+ * fails over to the other upstream proxies of the pool in case it doesn't work.
+ *
+ * If `healthCheck` is set, every upstream proxy is periodically asked to open a tunnel to the probe target.
+ * Upstream proxies that fail the checks are not used until they pass a check again,
+ * unless all of them fail, in which case all of them are used.
+ *
+ * Emits `upstreamUnhealthy` with `{ url, error }` and `upstreamHealthy` with `{ url }` when an upstream proxy
+ * is taken out or returned to the pool.
+ */
+export class UpstreamPool extends EventEmitter {
+    strategy: UpstreamPoolStrategy;
+
+    healthCheck?: Required<UpstreamPoolHealthCheckOptions>;
+
+    ignoreUpstreamProxyCertificate: boolean;
+
+    private upstreams: Upstream[];
+
+    private roundRobinCounter = 0;
+
+    private healthCheckInterval?: NodeJS.Timeout;
+
+    private runningHealthCheck: Promise<void> | null = null;
+
+    constructor(options: UpstreamPoolOptions) {
+        super();
+
+        if (!options.upstreams?.length) {
+            throw new Error('The "upstreams" option must contain at least one upstream proxy URL');
+        }
+
+        this.strategy = options.strategy ?? 'round-robin';
+        if (!STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Invalid "strategy" provided: must be one of ${STRATEGIES.map((s) => `"${s}"`).join(', ')} (was "${this.strategy}")`);
+        }
+
+        this.ignoreUpstreamProxyCertificate = options.ignoreUpstreamProxyCertificate ?? false;
+
+        this.upstreams = options.upstreams.map((upstream) => {
+            const { url, weight = 1 } = typeof upstream === 'string' ? { url: upstream } : upstream;
+
+            if (!(weight > 0)) {
+                throw new Error(`Invalid weight of upstream proxy: must be a positive number (was ${weight})`);
+            }
+
+            return {
+                url,
+                parsed: parseUpstreamUrl(url),
+                weight,
+                currentWeight: 0,
+                healthy: true,
+                activeConnections: 0,
+                totalConnections: 0,
+                failedConnections: 0,
+                consecutiveFailedHealthChecks: 0,
+                lastHealthCheckAt: null,
+                lastError: null,
+            };
+        });
+
+        if (options.healthCheck) {
+            this.healthCheck = {
+                intervalMillis: DEFAULT_HEALTH_CHECK_INTERVAL_MILLIS,
+                timeoutMillis: DEFAULT_HEALTH_CHECK_TIMEOUT_MILLIS,
+                unhealthyThreshold: DEFAULT_UNHEALTHY_THRESHOLD,
+                ...options.healthCheck,
+            };
+
+            // Don't keep the process running just because of the health checks.
+            this.healthCheckInterval = setInterval(() => {
+                void this.checkHealth();
+            }, this.healthCheck.intervalMillis);
+            this.healthCheckInterval.unref();
+        }
+    }
+
+    /**
+     * Returns the URLs of the upstream proxies in the order in which they should be tried,
+     * starting with the one picked by the strategy.
+     */
+    getUpstreamProxyUrls(): string[] {
+        const healthy = this.upstreams.filter((upstream) => upstream.healthy);
+        const candidates = healthy.length > 0 ? healthy : this.upstreams;
+
+        let ordered: Upstream[];
+        switch (this.strategy) {
+            case 'least-connections':
+                // The sort is stable, so the rotation spreads the load among upstream proxies with the same number of connections.
+                ordered = rotate(candidates, this.roundRobinCounter++).sort((a, b) => a.activeConnections - b.activeConnections);
+                break;
+            case 'weighted':
+                ordered = this.pickWeighted(candidates);
+                break;
+            default:
+                ordered = rotate(candidates, this.roundRobinCounter++);
+        }
+
+        return ordered.map((upstream) => upstream.url);
+    }
+
+    /**
+     * Smooth weighted round-robin, as used by nginx: spreads the picks evenly instead of picking one upstream proxy repeatedly.
+     * The others follow in the order of their weights.
+     */
+    private pickWeighted(candidates: Upstream[]): Upstream[] {
+        let totalWeight = 0;
+        let picked = candidates[0];
+
+        for (const upstream of candidates) {
+            upstream.currentWeight += upstream.weight;
+            totalWeight += upstream.weight;
+
+            if (upstream.currentWeight > picked.currentWeight) {
+                picked = upstream;
+            }
+        }
+
+        picked.currentWeight -= totalWeight;
+
+        return [picked, ...candidates.filter((upstream) => upstream !== picked).sort((a, b) => b.weight - a.weight)];
+    }
+
+    private getUpstream(url: string): Upstream {
+        const upstream = this.upstreams.find((item) => item.url === url);
+        if (!upstream) {
+            throw new Error(`Unknown upstream proxy: ${redactUrl(url)}`);
+        }
+
+        return upstream;
+    }
+
+    /**
+     * Counts a new connection of the upstream proxy. Returns a function that must be called once the connection is closed.
+     */
+    acquire(url: string): () => void {
+        const upstream = this.getUpstream(url);
+
+        upstream.activeConnections++;
+        upstream.totalConnections++;
+
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                upstream.activeConnections--;
+            }
+        };
+    }
+
+    /**
+     * Records that a connection failed because of the upstream proxy.
+     */
+    reportFailure(url: string, error: Error): void {
+        const upstream = this.getUpstream(url);
+
+        upstream.failedConnections++;
+        upstream.lastError = error;
+    }
+
+    getStats(): UpstreamStats[] {
+        return this.upstreams.map(({ parsed, currentWeight, ...stats }) => ({ ...stats }));
+    }
+
+    /**
+     * Checks all upstream proxies now. The checks also run periodically if `healthCheck` is set.
+     */
+    async checkHealth(): Promise<void> {
+        if (!this.healthCheck) {
+            throw new Error('The "healthCheck" option is not set');
+        }
+
+        if (!this.runningHealthCheck) {
+            this.runningHealthCheck = Promise.all(this.upstreams.map(async (upstream) => this.checkUpstream(upstream)))
+                .then(() => {
+                    this.runningHealthCheck = null;
+                });
+        }
+
+        return this.runningHealthCheck;
+    }
+
+    private async checkUpstream(upstream: Upstream): Promise<void> {
+        const { target, timeoutMillis, unhealthyThreshold } = this.healthCheck!;
+
+        // The tunnel times out together with the check, so that checks of dead upstream proxies don't leave connections behind.
+        const tunnel = openUpstreamTunnel({
+            proxyUrl: upstream.parsed,
+            target,
+            ignoreProxyCertificate: this.ignoreUpstreamProxyCertificate,
+            timeouts: { connectTimeoutMillis: timeoutMillis, responseHeadersTimeoutMillis: timeoutMillis },
+        });
+
+        let timeout: NodeJS.Timeout | undefined;
+        const timeoutPromise = new Promise<never>((_resolve, reject) => {
+            timeout = setTimeout(() => reject(new RequestError('Health check timed out', badGatewayStatusCodes.TIMEOUT)), timeoutMillis);
+        });
+
+        try {
+            const socket = await Promise.race([tunnel, timeoutPromise]);
+            socket.destroy();
+
+            upstream.consecutiveFailedHealthChecks = 0;
+            if (!upstream.healthy) {
+                upstream.healthy = true;
+                this.emit('upstreamHealthy', { url: upstream.url });
+            }
+        } catch (error) {
+            upstream.consecutiveFailedHealthChecks++;
+            upstream.lastError = error as Error;
+
+            if (upstream.healthy && upstream.consecutiveFailedHealthChecks >= unhealthyThreshold) {
+                upstream.healthy = false;
+                this.emit('upstreamUnhealthy', { url: upstream.url, error });
+            }
+        } finally {
+            clearTimeout(timeout);
+            upstream.lastHealthCheckAt = new Date();
+
+            // The tunnel can be opened after the check timed out.
+            tunnel.then((socket) => socket.destroy(), () => undefined);
+        }
+    }
+
+    /**
+     * Stops the periodic health checks.
+     */
+    close(): void {
+        clearInterval(this.healthCheckInterval);
+    }
+}
@@ -0,0 +1,268 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import tls from 'node:tls';
+import { URL } from 'node:url';
+
+import { SocksClient, type SocksClientError } from 'socks';
+
+import { RequestError } from './request_error';
+import type { Socket } from './socket';
+import { badGatewayStatusCodes, socksErrorMessageToStatusCode } from './statuses';
+import type { TimeoutOptions } from './timeouts';
+import { startConnectTimeout, startResponseHeadersTimeout } from './timeouts';
+import { getBasicAuthorizationHeader } from './utils/get_basic';
+
+export interface UpstreamTunnelOptions {
+    // URL of the upstream proxy, either HTTP, HTTPS or SOCKS.
+    proxyUrl: URL;
+    // Target of the tunnel in the `host:port` format.
+    target: string;
+    // Additional headers of the CONNECT request, HTTP proxies only.
+    headers?: Record<string, string>;
+    ignoreProxyCertificate?: boolean;
+    localAddress?: string;
+    family?: number;
+    lookup?: typeof dns['lookup'];
+    // Existing connection to the proxy, e.g. a tunnel opened by another proxy. By default a new connection is made.
+    socket?: net.Socket;
+    // `connectTimeoutMillis` and `responseHeadersTimeoutMillis` apply to each proxy of a chain.
+    timeouts?: TimeoutOptions;
+    // Client connection the tunnel is opened for, it gets the `closeReason` if the tunnel times out.
+    sourceSocket?: Socket;
+}
+
+export const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+const DEFAULT_PROXY_PORTS: Record<string, number> = {
+    'http:': 80,
+    'https:': 443,
+};
+
+const DEFAULT_SOCKS_PORT = 1080;
+
+const getProxyPort = (proxy: URL): number => Number(proxy.port) || DEFAULT_PROXY_PORTS[proxy.protocol] || DEFAULT_SOCKS_PORT;
+
+/**
+ * SOCKS4 and SOCKS5 clients resolve the target hostname themselves, SOCKS4a and SOCKS5h ones let the proxy resolve it.
+ */
+export const socksProtocolResolvesLocally = (protocol: string): boolean => protocol === 'socks4:' || protocol === 'socks5:';
+
+/**
+ * Resolves the target of a `socks4` or `socks5` upstream proxy, which must be given the address instead of the hostname.
+ * SOCKS4 supports only IPv4 addresses.
+ */
+export const resolveSocksTarget = async (
+    protocol: string,
+    hostname: string,
+    options: { family?: number; lookup?: typeof dns['lookup'] },
+): Promise<string> => new Promise((resolve, reject) => {
+    if (net.isIP(hostname)) {
+        resolve(hostname);
+        return;
+    }
+
+    const family = protocol === 'socks4:' ? 4 : options.family || 0;
+    (options.lookup ?? dns.lookup)(hostname, { family }, (error, address) => {
+        if (error) reject(error);
+        else resolve(address as string);
+    });
+});
+
+export const socksProtocolToVersionNumber = (protocol: string): 4 | 5 => {
+    switch (protocol) {
+        case 'socks4:':
+        case 'socks4a:':
+            return 4;
+        default:
+            return 5;
+    }
+};
+
+const openHttpTunnel = async (options: UpstreamTunnelOptions): Promise<net.Socket> => new Promise((resolve, reject) => {
+    const { proxyUrl: proxy, target } = options;
+
+    const headers: Record<string, string> = {
+        ...options.headers,
+        host: target,
+    };
+
+    if (proxy.username || proxy.password) {
+        headers['proxy-authorization'] = getBasicAuthorizationHeader(proxy);
+    }
+
+    const requestOptions: http.RequestOptions = {
+        method: 'CONNECT',
+        path: target,
+        headers,
+        localAddress: options.localAddress,
+        family: options.family,
+        lookup: options.lookup,
+    };
+
+    const existingSocket = options.socket;
+    if (existingSocket) {
+        requestOptions.createConnection = () => (proxy.protocol === 'https:'
+            ? tls.connect({
+                socket: existingSocket,
+                servername: net.isIP(proxy.hostname) ? undefined : proxy.hostname,
+                rejectUnauthorized: !options.ignoreProxyCertificate,
+            })
+            : existingSocket);
+    }
+
+    const client = proxy.protocol === 'https:'
+        ? https.request(proxy.origin, {
+            ...requestOptions,
+            rejectUnauthorized: !options.ignoreProxyCertificate,
+        })
+        : http.request(proxy.origin, requestOptions);
+
+    const { sourceSocket, timeouts } = options;
+    const clearConnectTimeout = startConnectTimeout(sourceSocket, client, timeouts?.connectTimeoutMillis);
+    const clearResponseHeadersTimeout = startResponseHeadersTimeout(sourceSocket, client, timeouts?.responseHeadersTimeoutMillis);
+    client.once('close', () => {
+        clearConnectTimeout();
+        clearResponseHeadersTimeout();
+    });
+
+    client.once('socket', (socket: net.Socket) => {
+        if (socket.connecting) {
+            socket.once('connect', clearConnectTimeout);
+        } else {
+            clearConnectTimeout();
+        }
+    });
+
+    client.once('connect', (response, socket, head) => {
+        clearResponseHeadersTimeout();
+
+        if (response.statusCode !== 200) {
+            socket.destroy();
+
+            const status = response.statusCode === 401 || response.statusCode === 407
+                ? badGatewayStatusCodes.AUTH_FAILED
+                : badGatewayStatusCodes.NON_200;
+
+            reject(new RequestError(`Upstream proxy responded with status code ${response.statusCode}`, status));
+            return;
+        }
+
+        if (head.length > 0) {
+            // See comment in chain.ts
+            socket.unshift(head);
+        }
+
+        resolve(socket);
+    });
+
+    client.once('error', reject);
+
+    client.end();
+});
+
+const openSocksTunnel = async (options: UpstreamTunnelOptions): Promise<net.Socket> => {
+    const { proxyUrl: proxy, target } = options;
+    const { hostname, port } = new URL(`connect://${target}`);
+
+    let host = hostname[0] === '[' ? hostname.slice(1, -1) : hostname;
+    if (socksProtocolResolvesLocally(proxy.protocol)) {
+        host = await resolveSocksTarget(proxy.protocol, host, options);
+    }
+
+    try {
+        const { socket } = await SocksClient.createConnection({
+            proxy: {
+                host: proxy.hostname,
+                port: getProxyPort(proxy),
+                type: socksProtocolToVersionNumber(proxy.protocol),
+                userId: decodeURIComponent(proxy.username),
+                password: decodeURIComponent(proxy.password),
+            },
+            command: 'connect',
+            destination: {
+                host,
+                port: Number(port),
+            },
+            existing_socket: options.socket,
+            timeout: options.timeouts?.connectTimeoutMillis,
+            // The host and port are always those of the proxy.
+            socket_options: {
+                localAddress: options.localAddress,
+                family: options.family,
+                lookup: options.lookup,
+            } as net.TcpNetConnectOpts,
+        });
+
+        return socket;
+    } catch (error) {
+        const { message } = error as SocksClientError;
+        const statusCode = socksErrorMessageToStatusCode(message);
+        if (statusCode === badGatewayStatusCodes.TIMEOUT && options.sourceSocket) {
+            options.sourceSocket.closeReason = 'connectTimeout';
+        }
+
+        throw new RequestError(message, statusCode);
+    }
+};
+
+/**
+ * Opens a tunnel to the target through an upstream proxy,
+ * using CONNECT for HTTP/HTTPS proxies and SOCKS CONNECT for SOCKS proxies.
+ * Network errors are passed as they are, errors reported by the proxy are converted to `RequestError`
+ * with one of the `badGatewayStatusCodes`.
+ */
+export const openUpstreamTunnel = async (options: UpstreamTunnelOptions): Promise<net.Socket> => {
+    if (options.proxyUrl.protocol.startsWith('socks')) {
+        return openSocksTunnel(options);
+    }
+
+    return openHttpTunnel(options);
+};
+
+/**
+ * Opens a tunnel to the target through a chain of upstream proxies, the first one is connected to directly,
+ * every other one through the tunnel opened by the previous one.
+ * The errors are the same as of `openUpstreamTunnel()`, regardless of which proxy of the chain failed.
+ */
+export const openUpstreamChainTunnel = async (
+    proxyUrls: URL[],
+    options: Omit<UpstreamTunnelOptions, 'proxyUrl' | 'socket'>,
+): Promise<net.Socket> => {
+    let socket: net.Socket | undefined;
+
+    try {
+        for (let i = 0; i < proxyUrls.length; i++) {
+            const nextProxy = proxyUrls[i + 1];
+
+            socket = await openUpstreamTunnel({
+                ...options,
+                proxyUrl: proxyUrls[i],
+                target: nextProxy ? `${nextProxy.hostname}:${getProxyPort(nextProxy)}` : options.target,
+                socket,
+            });
+        }
+    } catch (error) {
+        socket?.destroy();
+        throw error;
+    }
+
+    return socket!;
+};
+
+/**
+ * Returns the `createConnection` option of `http.request()` and `https.request()`, which connects to the target
+ * through a tunnel opened by the chain of upstream proxies. If `tlsOptions` are set, TLS is started over the tunnel.
+ */
+export const createUpstreamTunnelConnection = (
+    proxyUrls: URL[],
+    options: Omit<UpstreamTunnelOptions, 'proxyUrl' | 'socket'>,
+    tlsOptions?: tls.ConnectionOptions,
+) => (_options: unknown, callback: (error: Error | null, socket: net.Socket) => void): undefined => {
+    openUpstreamChainTunnel(proxyUrls, options).then((socket) => {
+        callback(null, tlsOptions ? tls.connect({ ...tlsOptions, socket }) : socket);
+    }, (error) => callback(error, null!));
+
+    return undefined;
+};
@@ -0,0 +1,52 @@
+import { Buffer } from 'node:buffer';
+import type http from 'node:http';
+
+/**
+ * Reads the whole request body, so that the request can be sent more than once.
+ * Returns null if the body is larger than `maxBytes`, the data read so far is then put back to the request.
+ */
+export const bufferRequestBody = async (
+    request: http.IncomingMessage,
+    maxBytes: number,
+): Promise<Buffer | null> => new Promise((resolve, reject) => {
+    const contentLength = Number(request.headers['content-length']);
+    if (contentLength > maxBytes) {
+        resolve(null);
+        return;
+    }
+
+    const chunks: Buffer[] = [];
+    let length = 0;
+
+    const cleanup = () => {
+        request.off('data', onData);
+        request.off('end', onEnd);
+        request.off('error', onError);
+    };
+
+    function onData(chunk: Buffer) {
+        chunks.push(chunk);
+        length += chunk.length;
+
+        if (length > maxBytes) {
+            cleanup();
+            request.pause();
+            request.unshift(Buffer.concat(chunks));
+            resolve(null);
+        }
+    }
+
+    function onEnd() {
+        cleanup();
+        resolve(Buffer.concat(chunks));
+    }
+
+    function onError(error: Error) {
+        cleanup();
+        reject(error);
+    }
+
+    request.on('data', onData);
+    request.on('end', onEnd);
+    request.on('error', onError);
+});
@@ -0,0 +1,32 @@
+import net from 'node:net';
+
+import { normalizeIpAddress } from './normalize_ip_address';
+
+/**
+ * Creates a function that checks whether the address is in one of the ranges,
+ * given as CIDR notation (e.g. `10.0.0.0/8`) or single addresses.
+ * @param description Used in the error message if one of the ranges is invalid.
+ */
+export const createCidrCheck = (ranges: string[], description: string): (address: string) => boolean => {
+    const list = new net.BlockList();
+
+    for (const range of ranges) {
+        const [address, prefix] = range.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        if (!net.isIP(address)) {
+            throw new Error(`Invalid ${description}: ${range}`);
+        }
+
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, Number(prefix), type);
+        }
+    }
+
+    return (address) => {
+        const normalized = normalizeIpAddress(address);
+        return list.check(normalized, net.isIPv6(normalized) ? 'ipv6' : 'ipv4');
+    };
+};
@@ -1,3 +1,5 @@
+import { LOOP_DETECTION_HEADER } from '../loop_detection';
+
 // As per HTTP specification, hop-by-hop headers should be consumed but the proxy, and not forwarded
 const hopByHopHeaders = [
     'connection',
@@ -8,6 +10,8 @@ const hopByHopHeaders = [
     'trailer',
     'transfer-encoding',
     'upgrade',
+    // Added again for the next hop, see `loop_detection.ts`
+    LOOP_DETECTION_HEADER,
 ];
 
 export const isHopByHopHeader = (header: string): boolean => hopByHopHeaders.includes(header.toLowerCase());
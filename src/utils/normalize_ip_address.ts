@@ -0,0 +1,10 @@
+import net from 'node:net';
+
+/**
+ * Converts IPv4-mapped IPv6 addresses such as `::ffff:127.0.0.1` to plain IPv4 addresses.
+ * Servers listening on `::` see such addresses for their IPv4 clients.
+ */
+export const normalizeIpAddress = (address: string): string => {
+    const mapped = address.toLowerCase().startsWith('::ffff:') ? address.slice(7) : null;
+    return mapped && net.isIPv4(mapped) ? mapped : address;
+};
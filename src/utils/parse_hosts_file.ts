@@ -0,0 +1,32 @@
+import type dns from 'node:dns';
+import net from 'node:net';
+
+/**
+ * Parses the content of a hosts file such as `/etc/hosts` to the addresses of each lowercased hostname,
+ * IPv4 addresses first. Lines with an invalid address are ignored.
+ */
+export const parseHostsFile = (content: string): Map<string, dns.LookupAddress[]> => {
+    const hosts = new Map<string, dns.LookupAddress[]>();
+
+    for (const line of content.split(/\r?\n/)) {
+        const [address, ...hostnames] = line.replace(/#.*/, '').trim().split(/\s+/);
+        const family = net.isIP(address);
+        if (!family) {
+            continue;
+        }
+
+        for (const hostname of hostnames.map((name) => name.toLowerCase())) {
+            const addresses = hosts.get(hostname) ?? [];
+            if (!addresses.some((entry) => entry.address === address)) {
+                addresses.push({ address, family });
+            }
+            hosts.set(hostname, addresses);
+        }
+    }
+
+    for (const addresses of hosts.values()) {
+        addresses.sort((a, b) => a.family - b.family);
+    }
+
+    return hosts;
+};
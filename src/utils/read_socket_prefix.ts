@@ -0,0 +1,82 @@
+import { Buffer } from 'node:buffer';
+import type net from 'node:net';
+
+/**
+ * Result of parsing the beginning of a stream.
+ */
+export interface ParsedPrefix<T> {
+    // Number of bytes that are removed from the stream, the rest is put back.
+    length: number;
+    result: T;
+}
+
+/**
+ * Reads the beginning of a new connection until `parse` has enough data,
+ * then puts the data that was not consumed back to the socket, so that other handlers can read it.
+ * @param socket A socket that is not flowing yet.
+ * @param parse Returns null if more data is needed, or throws if the data is invalid.
+ * @param description Used in the error message if the connection is closed too early.
+ */
+export const readSocketPrefix = async <T>(
+    socket: net.Socket,
+    parse: (buffer: Buffer) => ParsedPrefix<T> | null,
+    description: string,
+): Promise<T> => new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+        socket.off('readable', onReadable);
+        socket.off('end', onEnd);
+        socket.off('close', onEnd);
+        socket.off('error', onError);
+    };
+
+    function onReadable() {
+        for (let chunk: Buffer | null = socket.read(); chunk !== null; chunk = socket.read()) {
+            buffer = Buffer.concat([buffer, chunk]);
+        }
+
+        let parsed: ParsedPrefix<T> | null;
+        try {
+            parsed = parse(buffer);
+        } catch (error) {
+            cleanup();
+            reject(error);
+            return;
+        }
+
+        if (!parsed) {
+            return;
+        }
+
+        cleanup();
+
+        const rest = buffer.subarray(parsed.length);
+        if (rest.length > 0) {
+            socket.unshift(rest);
+        }
+
+        resolve(parsed.result);
+    }
+
+    function onEnd() {
+        cleanup();
+        reject(new Error(`Connection closed before ${description} was received`));
+    }
+
+    function onError(error: Error) {
+        cleanup();
+        reject(error);
+    }
+
+    socket.on('readable', onReadable);
+    socket.on('end', onEnd);
+    // Destroyed sockets, e.g. on timeout, emit only 'close'.
+    socket.on('close', onEnd);
+    socket.on('error', onError);
+
+    // The data might have been already buffered by a previous reader, in which case 'readable' is not emitted again.
+    if (socket.readableLength > 0) {
+        onReadable();
+    }
+});
@@ -0,0 +1,46 @@
+import type dns from 'node:dns';
+
+export type LookupCallback = (error: NodeJS.ErrnoException | null, address: string | dns.LookupAddress[], family?: number) => void;
+
+export type LookupOptionsArgument = number | dns.LookupOptions | LookupCallback;
+
+interface ParsedLookupArguments {
+    family: number;
+    all: boolean;
+    callback: LookupCallback;
+}
+
+/**
+ * Normalizes the optional `options` argument of `dns.lookup()`, which can also be the family number.
+ */
+export const parseLookupArguments = (options: LookupOptionsArgument, callback?: LookupCallback): ParsedLookupArguments => {
+    if (typeof options === 'function') {
+        return { family: 0, all: false, callback: options };
+    }
+
+    if (typeof options === 'number') {
+        return { family: options, all: false, callback: callback! };
+    }
+
+    // The family can be also 'IPv4' or 'IPv6'.
+    const family = String(options.family ?? 0).replace(/^IPv/, '');
+    return { family: Number(family) || 0, all: !!options.all, callback: callback! };
+};
+
+/**
+ * Calls the callback of `dns.lookup()` with the addresses of the requested family, all of them or the first one.
+ */
+export const replyToLookup = (hostname: string, addresses: dns.LookupAddress[], { family, all, callback }: ParsedLookupArguments): void => {
+    const matching = family ? addresses.filter((address) => address.family === family) : addresses;
+
+    if (matching.length === 0) {
+        const error: NodeJS.ErrnoException = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+        error.code = 'ENOTFOUND';
+        error.syscall = 'getaddrinfo';
+        callback(error, all ? [] : '');
+    } else if (all) {
+        callback(null, matching);
+    } else {
+        callback(null, matching[0].address, matching[0].family);
+    }
+};
@@ -1,18 +1,61 @@
 import { validateHeaderName, validateHeaderValue } from 'node:http';
 
+import type { HeaderRules } from '../header_policy';
 import { isHopByHopHeader } from './is_hop_by_hop_header';
 
 /**
+ * Returns names of the headers listed in the Connection header, lowercased.
+ * @see https://datatracker.ietf.org/doc/html/rfc7230#section-6.1
+ */
+const getConnectionOptions = (rawHeaders: string[]): string[] => {
+    const options = [];
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i].toLowerCase() === 'connection') {
+            for (const option of rawHeaders[i + 1].split(',')) {
+                const trimmed = option.trim().toLowerCase();
+                if (trimmed) {
+                    options.push(trimmed);
+                }
+            }
+        }
+    }
+
+    return options;
+};
+
+/**
+ * Filters out invalid and hop-by-hop headers, including the ones listed in the Connection header,
+ * and applies the optional header rules.
  * @see https://nodejs.org/api/http.html#http_message_rawheaders
  */
-export const validHeadersOnly = (rawHeaders: string[]): string[] => {
+export const validHeadersOnly = (rawHeaders: string[], rules?: HeaderRules): string[] => {
     const result = [];
 
+    const connectionOptions = getConnectionOptions(rawHeaders);
+    const blocked = rules?.block?.map((name) => name.toLowerCase()) ?? [];
+
     let containsHost = false;
 
     for (let i = 0; i < rawHeaders.length; i += 2) {
         const name = rawHeaders[i];
-        const value = rawHeaders[i + 1];
+        let value = rawHeaders[i + 1];
+        const lowerCaseName = name.toLowerCase();
+
+        if (isHopByHopHeader(name) || connectionOptions.includes(lowerCaseName) || blocked.includes(lowerCaseName)) {
+            continue;
+        }
+
+        if (rules?.transform) {
+            const transformed = rules.transform(name, value);
+            if (transformed === null) {
+                continue;
+            }
+
+            if (transformed !== undefined) {
+                value = transformed;
+            }
+        }
 
         try {
             validateHeaderName(name);
@@ -21,11 +64,7 @@ export const validHeadersOnly = (rawHeaders: string[]): string[] => {
             continue;
         }
 
-        if (isHopByHopHeader(name)) {
-            continue;
-        }
-
-        if (name.toLowerCase() === 'host') {
+        if (lowerCaseName === 'host') {
             if (containsHost) {
                 continue;
             }
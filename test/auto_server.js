@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const { SocksClient } = require('socks');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen } = require('./utils/servers');
+
+const sslKey = fs.readFileSync(path.join(__dirname, 'ssl.key'));
+const sslCrt = fs.readFileSync(path.join(__dirname, 'ssl.crt'));
+
+const readAll = (socket) => new Promise((resolve, reject) => {
+    let data = '';
+    socket.on('data', (chunk) => {
+        data += chunk;
+    });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+});
+
+describe('Server (auto-detected protocol)', () => {
+    let targetServer;
+    let targetPort;
+    let proxyServer;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.end(`Hello from ${request.url}`);
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    beforeEach(async () => {
+        proxyServer = new Server({
+            port: 0,
+            serverType: 'auto',
+            httpsOptions: { key: sslKey, cert: sslCrt },
+        });
+        await proxyServer.listen();
+    });
+
+    afterEach(async () => {
+        await proxyServer.close(true);
+    });
+
+    it('handles plain HTTP requests', async () => {
+        const body = await new Promise((resolve, reject) => {
+            http.get({
+                host: '127.0.0.1',
+                port: proxyServer.port,
+                path: `http://127.0.0.1:${targetPort}/plain`,
+            }, (response) => {
+                readAll(response).then(resolve, reject);
+            }).on('error', reject);
+        });
+
+        expect(body).to.equal('Hello from /plain');
+        expect(proxyServer.stats.httpRequestCount).to.equal(1);
+    });
+
+    it('handles HTTP CONNECT requests', async () => {
+        const socket = await new Promise((resolve, reject) => {
+            http.request({
+                host: '127.0.0.1',
+                port: proxyServer.port,
+                method: 'CONNECT',
+                path: `127.0.0.1:${targetPort}`,
+            }).on('connect', (response, connectSocket) => {
+                expect(response.statusCode).to.equal(200);
+                resolve(connectSocket);
+            }).on('error', reject).end();
+        });
+
+        socket.write('GET /connect HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        expect(await readAll(socket)).to.contain('Hello from /connect');
+    });
+
+    it('handles HTTPS proxy connections', async () => {
+        const closed = new Promise((resolve) => proxyServer.once('connectionClosed', resolve));
+
+        const tlsSocket = tls.connect({ host: '127.0.0.1', port: proxyServer.port, rejectUnauthorized: false });
+        await new Promise((resolve) => tlsSocket.once('secureConnect', resolve));
+
+        tlsSocket.write(`GET http://127.0.0.1:${targetPort}/secure HTTP/1.1\r\nHost: 127.0.0.1:${targetPort}\r\nConnection: close\r\n\r\n`);
+        expect(await readAll(tlsSocket)).to.contain('Hello from /secure');
+
+        const { stats } = await closed;
+        expect(stats.srcRxBytes).to.be.greaterThan(0);
+        expect(stats.trgRxBytes).to.be.greaterThan(0);
+    });
+
+    it('handles SOCKS connections', async () => {
+        const { socket } = await SocksClient.createConnection({
+            proxy: { host: '127.0.0.1', port: proxyServer.port, type: 5 },
+            command: 'connect',
+            destination: { host: '127.0.0.1', port: targetPort },
+        });
+
+        socket.write('GET /socks HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        expect(await readAll(socket)).to.contain('Hello from /socks');
+        expect(proxyServer.stats.connectRequestCount).to.equal(1);
+    });
+
+    it('rejects TLS connections without httpsOptions', async () => {
+        await proxyServer.close(true);
+        proxyServer = new Server({ port: 0, serverType: 'auto' });
+        await proxyServer.listen();
+
+        const tlsSocket = tls.connect({ host: '127.0.0.1', port: proxyServer.port, rejectUnauthorized: false });
+        const error = await new Promise((resolve) => tlsSocket.once('error', resolve));
+
+        expect(error.code).to.be.oneOf(['ECONNRESET', 'EPIPE']);
+        expect(proxyServer.getConnectionIds()).to.have.lengthOf(0);
+    });
+
+    const connectIdle = async () => {
+        const socket = net.connect(proxyServer.port, '127.0.0.1');
+        socket.on('error', () => {});
+        await new Promise((resolve) => socket.once('connect', resolve));
+        return socket;
+    };
+
+    it('closes idle connections on close(true) before the protocol is detected', async () => {
+        const socket = await connectIdle();
+        const closed = new Promise((resolve) => socket.once('close', resolve));
+
+        await proxyServer.close(true);
+        await closed;
+    });
+
+    it('closes connections that send nothing within the handshake timeout', async () => {
+        await proxyServer.close(true);
+        proxyServer = new Server({ port: 0, serverType: 'auto', timeouts: { handshakeTimeoutMillis: 100 } });
+        await proxyServer.listen();
+
+        const start = Date.now();
+        const socket = await connectIdle();
+        await new Promise((resolve) => socket.once('close', resolve));
+
+        expect(Date.now() - start).to.be.within(50, 1000);
+    });
+});
@@ -0,0 +1,85 @@
+const http = require('http');
+const { expect } = require('chai');
+const { anonymizeProxy, closeAnonymizedProxy, Server } = require('../src/index');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+describe('Bypass', () => {
+    let targetServer;
+    let targetPort;
+    let upstream;
+    let upstreamUrl;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.setHeader('connection', 'close');
+            response.end('Hello');
+        });
+        targetPort = await listen(targetServer);
+
+        upstream = new Server({ port: 0, hostOverrides: { '*': '127.0.0.1' } });
+        await upstream.listen();
+        upstreamUrl = `http://127.0.0.1:${upstream.port}`;
+    });
+
+    after(async () => {
+        await upstream.close(true);
+        await closeServer(targetServer);
+    });
+
+    const createProxy = useProxyServers();
+
+    it('validates the entries', () => {
+        expect(() => new Server({ bypass: 'example.com, *.foo*.com' })).to.throw(/Invalid "bypass" provided: "\*.foo\*.com" is not a valid domain/);
+        expect(() => new Server({ bypass: ['example.com/8'] })).to.throw(/Invalid "bypass" provided/);
+    });
+
+    it('connects to the bypassed targets directly', async () => {
+        const server = await createProxy({
+            bypass: `internal.example.com, 127.0.0.0/8:${targetPort}`,
+            hostOverrides: { '*': '127.0.0.1' },
+            prepareRequestFunction: ({ hostname }) => ({
+                upstreamProxyUrl: upstreamUrl,
+                bypass: hostname === 'override.example.com' ? '*' : undefined,
+            }),
+        });
+
+        const expectRoute = async (url, expectedUpstreamRequests) => {
+            const before = upstream.stats.httpRequestCount;
+            expect((await requestThroughProxy(server.port, url)).statusCode).to.equal(200);
+            expect(upstream.stats.httpRequestCount - before).to.equal(expectedUpstreamRequests, url);
+        };
+
+        await expectRoute(`http://internal.example.com:${targetPort}/`, 0);
+        await expectRoute(`http://App.Internal.example.com.:${targetPort}/`, 0);
+        await expectRoute(`http://127.0.0.1:${targetPort}/`, 0);
+        await expectRoute(`http://override.example.com:${targetPort}/`, 0);
+
+        await expectRoute(`http://notinternal.example.com:${targetPort}/`, 1);
+        await expectRoute(`http://example.com:${targetPort}/`, 1);
+        await expectRoute(`http://localhost:${targetPort}/`, 1);
+
+        // CONNECT requests bypass the upstream proxy too.
+        const before = upstream.stats.connectRequestCount;
+        expect((await connectThroughProxy(server.port, `internal.example.com:${targetPort}`)).statusCode).to.equal(200);
+        expect(upstream.stats.connectRequestCount).to.equal(before);
+    });
+
+    it('is supported by anonymizeProxy()', async () => {
+        const proxyUrl = await anonymizeProxy({ url: upstreamUrl, port: 0, bypass: ['127.0.0.1'] });
+        expect(proxyUrl).to.not.equal(upstreamUrl);
+
+        try {
+            const { port } = new URL(proxyUrl);
+            const before = upstream.stats.httpRequestCount;
+
+            expect((await requestThroughProxy(port, `http://127.0.0.1:${targetPort}/`)).statusCode).to.equal(200);
+            expect((await requestThroughProxy(port, `http://localhost:${targetPort}/`)).statusCode).to.equal(200);
+            expect(upstream.stats.httpRequestCount - before).to.equal(1);
+        } finally {
+            await closeAnonymizedProxy(proxyUrl, true);
+        }
+
+        expect(await anonymizeProxy({ url: upstreamUrl, port: 0, bypass: [] })).to.equal(upstreamUrl);
+    });
+});
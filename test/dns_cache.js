@@ -0,0 +1,248 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { DnsCache, Server } = require('../src/index');
+const { closeServer, listen, wait } = require('./utils/servers');
+
+const createNoDataError = () => Object.assign(new Error('No data'), { code: 'ENODATA' });
+
+// Resolves the hostnames to the records, counting the queries.
+const createResolver = (records) => {
+    const queries = [];
+    const resolve = (type) => async (hostname) => {
+        queries.push(`${type} ${hostname}`);
+        await wait(10);
+
+        const found = records[hostname]?.[type];
+        if (!found) throw createNoDataError();
+        return found;
+    };
+
+    return { queries, resolve4: resolve('A'), resolve6: resolve('AAAA') };
+};
+
+// Returns the addresses like `dns.promises.lookup()`.
+const promisifyLookup = (dnsCache) => (hostname, options = {}) => new Promise((resolve, reject) => {
+    dnsCache.lookup(hostname, options, (error, address, family) => {
+        if (error) reject(error);
+        else resolve(Array.isArray(address) ? address : { address, family });
+    });
+});
+
+const notFoundLookup = (hostname, options, callback) => {
+    callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+};
+
+describe('DnsCache', () => {
+    const records = {
+        'example.com': {
+            A: [{ address: '127.0.0.1', ttl: 60 }, { address: '127.0.0.2', ttl: 30 }],
+            AAAA: [{ address: '::1', ttl: 60 }],
+        },
+        'short.example.com': { A: [{ address: '127.0.0.3', ttl: 0 }] },
+    };
+
+    it('caches the addresses', async () => {
+        const resolver = createResolver(records);
+        const dnsCache = new DnsCache({ resolver });
+        const lookup = promisifyLookup(dnsCache);
+
+        expect(await lookup('example.com', { all: true })).to.deep.equal([
+            { address: '127.0.0.1', family: 4 },
+            { address: '127.0.0.2', family: 4 },
+            { address: '::1', family: 6 },
+        ]);
+        expect(await lookup('Example.com')).to.deep.equal({ address: '127.0.0.1', family: 4 });
+        expect(await lookup('example.com', 6)).to.deep.equal({ address: '::1', family: 6 });
+        expect(await lookup('example.com', { family: 6, all: true })).to.deep.equal([{ address: '::1', family: 6 }]);
+        expect(await lookup('127.0.0.5')).to.deep.equal({ address: '127.0.0.5', family: 4 });
+
+        expect(resolver.queries).to.deep.equal(['A example.com', 'AAAA example.com']);
+        expect(dnsCache.stats).to.deep.equal({ hits: 3, misses: 1 });
+        expect(dnsCache.size).to.equal(1);
+
+        try {
+            await lookup('short.example.com', 6);
+            expect.fail('The lookup should fail');
+        } catch (error) {
+            expect(error.code).to.equal('ENOTFOUND');
+        }
+    });
+
+    it('honors the TTL', async () => {
+        const resolver = createResolver(records);
+        const dnsCache = new DnsCache({ resolver, maxTtlMillis: 50 });
+        const lookup = promisifyLookup(dnsCache);
+
+        await lookup('example.com');
+        await lookup('example.com');
+        await wait(60);
+        await lookup('example.com');
+
+        // The TTL of 0 seconds disables the caching.
+        await lookup('short.example.com');
+        await lookup('short.example.com');
+
+        expect(resolver.queries.filter((query) => query.startsWith('A '))).to.deep.equal([
+            'A example.com',
+            'A example.com',
+            'A short.example.com',
+            'A short.example.com',
+        ]);
+        expect(dnsCache.stats).to.deep.equal({ hits: 1, misses: 4 });
+    });
+
+    it('collapses concurrent lookups of the same hostname', async () => {
+        const resolver = createResolver(records);
+        const dnsCache = new DnsCache({ resolver });
+        const lookup = promisifyLookup(dnsCache);
+
+        const results = await Promise.all([lookup('example.com'), lookup('example.com'), lookup('example.com', 6)]);
+        expect(results.map(({ address }) => address)).to.deep.equal(['127.0.0.1', '127.0.0.1', '::1']);
+        expect(resolver.queries).to.have.lengthOf(2);
+        expect(dnsCache.stats).to.deep.equal({ hits: 2, misses: 1 });
+    });
+
+    it('caches hostnames that do not exist briefly', async () => {
+        const resolver = createResolver({});
+        const dnsCache = new DnsCache({ resolver, fallbackLookup: notFoundLookup, negativeTtlMillis: 50 });
+        const lookup = promisifyLookup(dnsCache);
+
+        for (let i = 0; i < 2; i++) {
+            try {
+                await lookup('missing.example.com');
+                expect.fail('The lookup should fail');
+            } catch (error) {
+                expect(error.code).to.equal('ENOTFOUND');
+            }
+        }
+        expect(dnsCache.stats).to.deep.equal({ hits: 1, misses: 1 });
+
+        await wait(60);
+        await lookup('missing.example.com').catch(() => undefined);
+        expect(dnsCache.stats).to.deep.equal({ hits: 1, misses: 2 });
+    });
+
+    it('uses the fallback lookup if there are no records', async () => {
+        const dnsCache = new DnsCache({
+            resolver: createResolver({}),
+            fallbackLookup: (hostname, options, callback) => callback(null, [{ address: '::1', family: 6 }, { address: '127.0.0.1', family: 4 }]),
+        });
+
+        expect(await promisifyLookup(dnsCache)('printer.local', { all: true })).to.deep.equal([
+            { address: '127.0.0.1', family: 4 },
+            { address: '::1', family: 6 },
+        ]);
+    });
+
+    it('resolves the hostnames from the hosts file without querying the resolver', async () => {
+        const hostsFile = path.join(os.tmpdir(), `proxy-chain-hosts-${process.pid}`);
+        fs.writeFileSync(hostsFile, '# Comment\n::1 Example.com\n127.0.0.9 example.com www.example.com # Comment\n\ninvalid other.example.com\n');
+
+        try {
+            const resolver = createResolver(records);
+            const dnsCache = new DnsCache({ resolver, hostsFile });
+            const lookup = promisifyLookup(dnsCache);
+
+            expect(await lookup('example.com', { all: true })).to.deep.equal([
+                { address: '127.0.0.9', family: 4 },
+                { address: '::1', family: 6 },
+            ]);
+            expect(await lookup('www.example.com')).to.deep.equal({ address: '127.0.0.9', family: 4 });
+            expect(resolver.queries).to.deep.equal([]);
+
+            await lookup('other.example.com').catch(() => undefined);
+            expect(resolver.queries).to.deep.equal(['A other.example.com', 'AAAA other.example.com']);
+        } finally {
+            fs.unlinkSync(hostsFile);
+        }
+    });
+
+    it('skips the resolver while it cannot reach the DNS servers', async () => {
+        const queries = [];
+        const unreachable = async (hostname) => {
+            queries.push(hostname);
+            throw Object.assign(new Error('Connection refused'), { code: 'ECONNREFUSED' });
+        };
+
+        const dnsCache = new DnsCache({
+            resolver: { resolve4: unreachable, resolve6: unreachable },
+            fallbackLookup: (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]),
+            fallbackTtlMillis: 50,
+        });
+        const lookup = promisifyLookup(dnsCache);
+
+        expect(await lookup('a.example.com')).to.deep.equal({ address: '127.0.0.1', family: 4 });
+        expect(await lookup('b.example.com')).to.deep.equal({ address: '127.0.0.1', family: 4 });
+        expect(queries).to.deep.equal(['a.example.com', 'a.example.com']);
+
+        await wait(60);
+        await lookup('c.example.com');
+        expect(queries).to.deep.equal(['a.example.com', 'a.example.com', 'c.example.com', 'c.example.com']);
+    });
+
+    it('removes the least recently used hostnames and can be flushed', async () => {
+        const resolver = createResolver({
+            a: { A: [{ address: '127.0.0.1', ttl: 60 }] },
+            b: { A: [{ address: '127.0.0.2', ttl: 60 }] },
+            c: { A: [{ address: '127.0.0.3', ttl: 60 }] },
+        });
+        const dnsCache = new DnsCache({ resolver, maxEntries: 2 });
+        const lookup = promisifyLookup(dnsCache);
+
+        await lookup('a');
+        await lookup('b');
+        await lookup('a');
+        await lookup('c');
+        expect(dnsCache.size).to.equal(2);
+
+        // The "b" hostname was removed.
+        await lookup('a');
+        await lookup('b');
+        expect(dnsCache.stats).to.deep.equal({ hits: 2, misses: 4 });
+
+        dnsCache.flush('b');
+        await lookup('b');
+        dnsCache.flush();
+        expect(dnsCache.size).to.equal(0);
+        expect(dnsCache.stats).to.deep.equal({ hits: 2, misses: 5 });
+    });
+
+    it('can be used by the server', async () => {
+        const targetServer = http.createServer((request, response) => {
+            response.setHeader('connection', 'close');
+            response.end('Hello');
+        });
+        await listen(targetServer);
+
+        const dnsCache = new DnsCache({ resolver: createResolver({ 'target.example.com': { A: [{ address: '127.0.0.1', ttl: 60 }] } }) });
+        const server = new Server({ port: 0, dnsLookup: dnsCache.lookup });
+        await server.listen();
+
+        try {
+            for (let i = 0; i < 2; i++) {
+                const statusCode = await new Promise((resolve, reject) => {
+                    const request = http.request({
+                        host: '127.0.0.1',
+                        port: server.port,
+                        path: `http://target.example.com:${targetServer.address().port}/`,
+                        agent: false,
+                    }, (response) => {
+                        response.resume();
+                        resolve(response.statusCode);
+                    });
+                    request.on('error', reject);
+                    request.end();
+                });
+                expect(statusCode).to.equal(200);
+            }
+
+            expect(dnsCache.stats).to.deep.equal({ hits: 1, misses: 1 });
+        } finally {
+            await server.close(true);
+            await closeServer(targetServer);
+        }
+    });
+});
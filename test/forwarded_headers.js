@@ -0,0 +1,116 @@
+const http = require('http');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen } = require('./utils/servers');
+
+describe('Forwarding headers (Via, Forwarded, X-Forwarded-For)', () => {
+    let targetServer;
+    let targetPort;
+    let receivedHeaders;
+    let proxyServer;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            receivedHeaders = request.headers;
+            response.end('OK');
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        proxyServer = null;
+        receivedHeaders = null;
+    });
+
+    const request = (headers = {}) => new Promise((resolve, reject) => {
+        http.get({
+            host: '127.0.0.1',
+            port: proxyServer.port,
+            path: `http://127.0.0.1:${targetPort}/`,
+            headers: { host: `127.0.0.1:${targetPort}`, ...headers },
+            agent: false,
+        }, (response) => {
+            response.resume();
+            response.on('end', resolve);
+        }).on('error', reject);
+    });
+
+    const incomingHeaders = {
+        via: '1.0 client-proxy',
+        forwarded: 'for=192.0.2.1',
+        'x-forwarded-for': '192.0.2.1',
+        'x-forwarded-proto': 'https',
+    };
+
+    it('does not add any headers by default', async () => {
+        proxyServer = new Server({ port: 0 });
+        await proxyServer.listen();
+
+        await request(incomingHeaders);
+
+        expect(receivedHeaders.via).to.equal('1.0 client-proxy');
+        expect(receivedHeaders.forwarded).to.equal('for=192.0.2.1');
+        expect(receivedHeaders['x-forwarded-for']).to.equal('192.0.2.1');
+        expect(receivedHeaders['x-forwarded-proto']).to.equal('https');
+    });
+
+    it('appends the headers', async () => {
+        proxyServer = new Server({
+            port: 0,
+            authRealm: 'MyProxy',
+            forwardedHeaders: { via: true, forwarded: true, xForwardedFor: true },
+        });
+        await proxyServer.listen();
+
+        await request();
+
+        expect(receivedHeaders.via).to.equal('1.1 MyProxy');
+        expect(receivedHeaders.forwarded).to.equal(`for=127.0.0.1;host="127.0.0.1:${targetPort}";proto=http`);
+        expect(receivedHeaders['x-forwarded-for']).to.equal('127.0.0.1');
+        expect(receivedHeaders['x-forwarded-proto']).to.equal('http');
+
+        await request(incomingHeaders);
+
+        expect(receivedHeaders.via).to.equal('1.0 client-proxy, 1.1 MyProxy');
+        expect(receivedHeaders.forwarded).to.equal(`for=192.0.2.1, for=127.0.0.1;host="127.0.0.1:${targetPort}";proto=http`);
+        expect(receivedHeaders['x-forwarded-for']).to.equal('192.0.2.1, 127.0.0.1');
+        expect(receivedHeaders['x-forwarded-proto']).to.equal('http');
+    });
+
+    it('strips incoming headers', async () => {
+        proxyServer = new Server({
+            port: 0,
+            forwardedHeaders: { stripIncoming: true },
+        });
+        await proxyServer.listen();
+
+        await request({ ...incomingHeaders, 'x-forwarded-host': 'example.com', 'x-kept': 'kept' });
+
+        expect(receivedHeaders.via).to.equal(undefined);
+        expect(receivedHeaders.forwarded).to.equal(undefined);
+        expect(receivedHeaders['x-forwarded-for']).to.equal(undefined);
+        expect(receivedHeaders['x-forwarded-proto']).to.equal(undefined);
+        expect(receivedHeaders['x-forwarded-host']).to.equal(undefined);
+        expect(receivedHeaders['x-kept']).to.equal('kept');
+    });
+
+    it('can be overridden by prepareRequestFunction', async () => {
+        proxyServer = new Server({
+            port: 0,
+            forwardedHeaders: { via: true, xForwardedFor: true },
+            prepareRequestFunction: () => ({ forwardedHeaders: { xForwardedFor: false, stripIncoming: true } }),
+        });
+        await proxyServer.listen();
+
+        await request(incomingHeaders);
+
+        expect(receivedHeaders.via).to.equal('1.1 ProxyChain');
+        expect(receivedHeaders.forwarded).to.equal(undefined);
+        expect(receivedHeaders['x-forwarded-for']).to.equal(undefined);
+    });
+});
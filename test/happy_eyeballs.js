@@ -0,0 +1,121 @@
+const http = require('http');
+const net = require('net');
+const { expect } = require('chai');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+// Resolves every hostname to the addresses, like `dns.lookup()` with the `all` option.
+const createLookup = (addresses) => (hostname, options, callback) => {
+    setTimeout(() => callback(null, addresses.map((address) => ({ address, family: net.isIP(address) }))), 1);
+};
+
+describe('Happy Eyeballs', () => {
+    let targetServer;
+    let targetPort;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.setHeader('connection', 'close');
+            response.end('Hello');
+        });
+        // Only 127.0.0.1 accepts the connections, other loopback addresses refuse them.
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    const startProxy = useProxyServers();
+
+    const createProxy = async (options) => {
+        const server = await startProxy(options);
+
+        const events = [];
+        server.on('targetConnected', (event) => events.push(event));
+        return { server, events };
+    };
+
+    it('falls back to the next address of the target', async () => {
+        const { server, events } = await createProxy({
+            prepareRequestFunction: () => ({ dnsLookup: createLookup(['127.0.0.2', '127.0.0.1']), customTag: 'tag' }),
+        });
+
+        expect((await connectThroughProxy(server.port, `example.com:${targetPort}`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, `http://example.com:${targetPort}/`)).statusCode).to.equal(200);
+
+        expect(events).to.have.lengthOf(2);
+        for (const event of events) {
+            expect(event).to.include({ hostname: 'example.com', port: targetPort, address: '127.0.0.1', family: 4, customTag: 'tag' });
+            expect(event.attemptedAddresses).to.deep.equal(['127.0.0.2', '127.0.0.1']);
+            expect(event.connectionId).to.be.a('number');
+        }
+    });
+
+    it('alternates address families', async () => {
+        const { server, events } = await createProxy({
+            prepareRequestFunction: () => ({ dnsLookup: createLookup(['127.0.0.2', '127.0.0.3', '::1', '127.0.0.1']) }),
+        });
+
+        expect((await connectThroughProxy(server.port, `example.com:${targetPort}`)).statusCode).to.equal(200);
+        expect(events[0].attemptedAddresses).to.deep.equal(['127.0.0.2', '::1', '127.0.0.3', '127.0.0.1']);
+    });
+
+    it('starts the next attempt while the previous one is pending', async () => {
+        const { server, events } = await createProxy({
+            happyEyeballs: { connectionAttemptDelayMillis: 10000 },
+            prepareRequestFunction: () => ({
+                // The discard prefix (RFC 6666), connections to it never finish.
+                dnsLookup: createLookup(['100::1', '127.0.0.1']),
+                happyEyeballs: { connectionAttemptDelayMillis: 50 },
+            }),
+        });
+
+        const startedAt = Date.now();
+        expect((await requestThroughProxy(server.port, `http://example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect(Date.now() - startedAt).to.be.below(5000);
+        expect(events[0].attemptedAddresses).to.deep.equal(['100::1', '127.0.0.1']);
+    });
+
+    it('reports the error of the last attempt', async () => {
+        const { server, events } = await createProxy({
+            prepareRequestFunction: () => ({ dnsLookup: createLookup(['127.0.0.2', '127.0.0.3']) }),
+        });
+
+        expect((await requestThroughProxy(server.port, `http://example.com:${targetPort}/`)).statusCode).to.equal(594);
+        expect(events).to.have.lengthOf(0);
+    });
+
+    it('accepts lookup functions without the all option', async () => {
+        const { server, events } = await createProxy({
+            prepareRequestFunction: () => ({ dnsLookup: (hostname, options, callback) => callback(null, '127.0.0.1', 4) }),
+        });
+
+        expect((await requestThroughProxy(server.port, `http://example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect(events[0].attemptedAddresses).to.deep.equal(['127.0.0.1']);
+    });
+
+    it('keeps the direct connections alive', async () => {
+        const keepAliveServer = http.createServer((request, response) => response.end('Hello'));
+        await listen(keepAliveServer);
+        let connectionCount = 0;
+        keepAliveServer.on('connection', () => connectionCount++);
+
+        try {
+            // Connections made with other lookup functions aren't reused.
+            const dnsLookup = createLookup(['127.0.0.2', '127.0.0.1']);
+            const { server, events } = await createProxy({ prepareRequestFunction: () => ({ dnsLookup }) });
+            const url = `http://example.com:${keepAliveServer.address().port}/`;
+
+            for (let i = 0; i < 5; i++) {
+                expect((await requestThroughProxy(server.port, url)).statusCode).to.equal(200);
+            }
+
+            expect(connectionCount).to.equal(1);
+            expect(events).to.have.lengthOf(1);
+        } finally {
+            keepAliveServer.closeAllConnections();
+            await closeServer(keepAliveServer);
+        }
+    });
+});
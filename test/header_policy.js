@@ -0,0 +1,114 @@
+const http = require('http');
+const net = require('net');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen } = require('./utils/servers');
+
+// Sends a raw request to the proxy and returns the raw response.
+const rawRequest = (port, data) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(data));
+    let response = '';
+    socket.on('data', (chunk) => {
+        response += chunk;
+    });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+});
+
+describe('Forwarded headers', () => {
+    let targetServer;
+    let targetPort;
+    let receivedHeaders;
+    let proxyServer;
+    let upstreamServer;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            receivedHeaders = request.headers;
+            response.setHeader('Connection', 'close, X-Response-Hop');
+            response.setHeader('X-Response-Hop', 'hop');
+            response.setHeader('X-Response-Kept', 'kept');
+            response.setHeader('X-Response-Blocked', 'blocked');
+            response.end('OK');
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        if (upstreamServer) await upstreamServer.close(true);
+        proxyServer = null;
+        upstreamServer = null;
+        receivedHeaders = null;
+    });
+
+    const request = () => rawRequest(proxyServer.port, [
+        `GET http://127.0.0.1:${targetPort}/ HTTP/1.1`,
+        `Host: 127.0.0.1:${targetPort}`,
+        'Connection: close, X-Request-Hop',
+        'X-Request-Hop: hop',
+        'X-Request-Kept: kept',
+        'X-Request-Secret: secret',
+        'X-Request-Rewritten: value',
+        '',
+        '',
+    ].join('\r\n'));
+
+    it('removes headers listed in Connection', async () => {
+        proxyServer = new Server({ port: 0 });
+        await proxyServer.listen();
+
+        const response = await request();
+
+        expect(receivedHeaders['x-request-hop']).to.equal(undefined);
+        expect(receivedHeaders['x-request-kept']).to.equal('kept');
+        expect(response).to.not.contain('X-Response-Hop');
+        expect(response).to.contain('X-Response-Kept: kept');
+    });
+
+    it('removes headers listed in Connection through upstream proxy', async () => {
+        upstreamServer = new Server({ port: 0 });
+        await upstreamServer.listen();
+
+        proxyServer = new Server({
+            port: 0,
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `http://127.0.0.1:${upstreamServer.port}` }),
+        });
+        await proxyServer.listen();
+
+        const response = await request();
+
+        expect(receivedHeaders['x-request-hop']).to.equal(undefined);
+        expect(receivedHeaders['x-request-kept']).to.equal('kept');
+        expect(response).to.not.contain('X-Response-Hop');
+        expect(response).to.contain('X-Response-Kept: kept');
+    });
+
+    it('applies headerPolicy', async () => {
+        proxyServer = new Server({
+            port: 0,
+            headerPolicy: {
+                request: {
+                    block: ['x-request-secret'],
+                    transform: (name, value) => (name.toLowerCase() === 'x-request-rewritten' ? `${value}-rewritten` : undefined),
+                },
+                response: {
+                    block: ['X-Response-Blocked'],
+                },
+            },
+        });
+        await proxyServer.listen();
+
+        const response = await request();
+
+        expect(receivedHeaders['x-request-secret']).to.equal(undefined);
+        expect(receivedHeaders['x-request-rewritten']).to.equal('value-rewritten');
+        expect(receivedHeaders['x-request-kept']).to.equal('kept');
+        expect(response).to.not.contain('X-Response-Blocked');
+        expect(response).to.contain('X-Response-Kept: kept');
+    });
+});
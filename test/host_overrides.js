@@ -0,0 +1,106 @@
+const http = require('http');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+describe('Host overrides', () => {
+    let targetServer;
+    let targetPort;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.setHeader('connection', 'close');
+            response.end('Hello');
+        });
+        // Other loopback addresses refuse the connections.
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    const createProxy = useProxyServers();
+
+    it('validates the addresses', () => {
+        expect(() => new Server({ hostOverrides: { 'example.com': 'localhost' } })).to.throw(/Invalid "hostOverrides" provided/);
+        expect(() => new Server({ hostOverrides: { 'example.com': [] } })).to.throw(/Invalid "hostOverrides" provided/);
+    });
+
+    it('pins hostnames matching the patterns', async () => {
+        const server = await createProxy({
+            // Other hostnames resolve to an address that refuses the connections.
+            dnsLookup: (hostname, options, callback) => callback(null, '127.0.0.3', 4),
+            hostOverrides: {
+                '*.example.com': '127.0.0.2',
+                'app.example.com': '127.0.0.1',
+                '*.test.example.com': ['::1', '127.0.0.1'],
+            },
+        });
+
+        expect((await connectThroughProxy(server.port, `APP.example.com:${targetPort}`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, `http://app.example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, `http://api.test.example.com:${targetPort}/`)).statusCode).to.equal(200);
+
+        // Only the shorter wildcard matches.
+        expect((await requestThroughProxy(server.port, `http://other.example.com:${targetPort}/`)).statusCode).to.equal(594);
+        // The wildcard doesn't match the domain itself.
+        expect((await requestThroughProxy(server.port, `http://example.com:${targetPort}/`)).statusCode).to.equal(594);
+    });
+
+    it('adds the overrides returned by prepareRequestFunction', async () => {
+        const server = await createProxy({
+            hostOverrides: { 'server.example.com': '127.0.0.1' },
+            prepareRequestFunction: ({ hostname }) => ({
+                hostOverrides: hostname === 'request.example.com' ? { '*': '127.0.0.1' } : undefined,
+            }),
+        });
+
+        expect((await requestThroughProxy(server.port, `http://server.example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, `http://request.example.com:${targetPort}/`)).statusCode).to.equal(200);
+    });
+
+    it('reuses the target connections with the overrides returned by prepareRequestFunction', async () => {
+        const keepAliveServer = http.createServer((request, response) => response.end('Hello'));
+        await listen(keepAliveServer);
+
+        let connectionCount = 0;
+        keepAliveServer.on('connection', () => connectionCount++);
+
+        const hostOverrides = { 'keep-alive.example.com': '127.0.0.1' };
+        const server = await createProxy({
+            hostOverrides: { 'server.example.com': '127.0.0.1' },
+            prepareRequestFunction: () => ({ hostOverrides }),
+        });
+
+        try {
+            const url = `http://keep-alive.example.com:${keepAliveServer.address().port}/`;
+            expect((await requestThroughProxy(server.port, url)).statusCode).to.equal(200);
+            expect((await requestThroughProxy(server.port, url)).statusCode).to.equal(200);
+            expect(connectionCount).to.equal(1);
+        } finally {
+            keepAliveServer.closeAllConnections();
+            await closeServer(keepAliveServer);
+        }
+    });
+
+    it('applies to SOCKS upstream proxies that resolve the target locally', async () => {
+        // The upstream proxy can't resolve the hostname, it must get the address.
+        const upstream = await createProxy({ serverType: 'socks' });
+        const server = await createProxy({
+            hostOverrides: { 'socks.example.com': '127.0.0.1' },
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `socks5://127.0.0.1:${upstream.port}` }),
+        });
+
+        const hostnames = [];
+        upstream.prepareRequestFunction = ({ hostname }) => {
+            hostnames.push(hostname);
+            return {};
+        };
+
+        expect((await connectThroughProxy(server.port, `socks.example.com:${targetPort}`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, `http://socks.example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect(hostnames).to.deep.equal(['127.0.0.1', '127.0.0.1']);
+    });
+});
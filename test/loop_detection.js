@@ -0,0 +1,75 @@
+const http = require('http');
+const { expect } = require('chai');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+describe('Proxy loop detection', () => {
+    let targetServer;
+    let targetPort;
+    let receivedHeaders;
+
+    before(async () => {
+        targetServer = http.createServer((req, res) => {
+            receivedHeaders = req.headers;
+            res.end('OK');
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    const startProxy = useProxyServers();
+
+    // Creates a server that uses the upstream proxy returned by the function.
+    const createServer = async (getUpstreamProxyUrl) => startProxy({
+        prepareRequestFunction: () => ({ upstreamProxyUrl: getUpstreamProxyUrl() }),
+    });
+
+    it('rejects HTTP requests looping back to the same server', async () => {
+        const server = await createServer(() => `http://127.0.0.1:${server.port}`);
+
+        const { statusCode } = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`);
+        expect(statusCode).to.equal(508);
+    });
+
+    it('rejects CONNECT requests looping through another server', async () => {
+        const serverA = await createServer(() => `http://127.0.0.1:${serverB.port}`);
+        const serverB = await createServer(() => `http://127.0.0.1:${serverA.port}`);
+
+        const failed = new Promise((resolve) => serverB.once('tunnelConnectFailed', resolve));
+
+        const { statusCode, statusMessage } = await connectThroughProxy(serverA.port, `127.0.0.1:${targetPort}`);
+        expect(statusCode).to.equal(590);
+        expect(statusMessage).to.equal('UPSTREAM590');
+
+        const { response } = await failed;
+        expect(response.statusCode).to.equal(508);
+    });
+
+    it('does not send the identifiers to the target', async () => {
+        const upstream = await createServer(() => null);
+        const server = await createServer(() => `http://127.0.0.1:${upstream.port}`);
+
+        const { statusCode } = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`);
+        expect(statusCode).to.equal(200);
+        expect(receivedHeaders['x-proxy-chain-via']).to.equal(undefined);
+    });
+
+    it('rejects direct requests for the server itself', async () => {
+        const server = await createServer(() => null);
+
+        expect((await requestThroughProxy(server.port, `http://127.0.0.1:${server.port}/`)).statusCode).to.equal(508);
+        expect((await connectThroughProxy(server.port, `localhost:${server.port}`)).statusCode).to.equal(508);
+        // Other ports of the same host are fine.
+        expect((await requestThroughProxy(server.port, `http://localhost:${targetPort}/`)).statusCode).to.equal(200);
+    });
+
+    it('rejects transparent requests with the Host of the server itself', async () => {
+        const server = await startProxy({ transparent: true });
+
+        const { statusCode } = await requestThroughProxy(server.port, '/', { headers: { host: `127.0.0.1:${server.port}` } });
+        expect(statusCode).to.equal(508);
+    });
+});
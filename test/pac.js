@@ -0,0 +1,140 @@
+const http = require('http');
+const { expect } = require('chai');
+const { PacResolver, parsePacResult, Server } = require('../src/index');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { requestThroughProxy } = require('./utils/through_proxy');
+
+describe('PAC', () => {
+    it('evaluates FindProxyForURL with the PAC helpers', async () => {
+        const pac = new PacResolver({
+            script: `
+                function FindProxyForURL(url, host) {
+                    if (isPlainHostName(host) || dnsDomainIs(host, ".local")) return "DIRECT";
+                    if (isInNet(host, "10.0.0.0", "255.0.0.0")) return "PROXY internal.example.com:3128";
+                    if (shExpMatch(url, "https://*.example.com/*") && weekdayRange("SUN", "SAT")) return "HTTPS secure.example.com:443";
+                    if (!isResolvable(host)) return "SOCKS5 127.0.0.1:1080";
+                    return "PROXY proxy.example.com:8080; SOCKS 127.0.0.1:1080; DIRECT";
+                }
+            `,
+        });
+        const lookup = (hostname, options, callback) => {
+            if (hostname === 'intranet.example.com') callback(null, '10.1.2.3', 4);
+            else if (hostname === 'missing.example.com') callback(Object.assign(new Error('Not found'), { code: 'ENOTFOUND' }));
+            else callback(null, '127.0.0.1', 4);
+        };
+
+        expect(await pac.findProxy('http://printer/', 'printer', lookup)).to.equal('DIRECT');
+        expect(await pac.findProxy('http://nas.local/', 'nas.local', lookup)).to.equal('DIRECT');
+        expect(await pac.findProxy('http://intranet.example.com/', 'intranet.example.com', lookup)).to.equal('PROXY internal.example.com:3128');
+        expect(await pac.findProxy('http://10.0.0.1/', '10.0.0.1', lookup)).to.equal('PROXY internal.example.com:3128');
+        expect(await pac.findProxy('https://www.example.com/', 'www.example.com', lookup)).to.equal('HTTPS secure.example.com:443');
+        expect(await pac.findProxy('http://missing.example.com/', 'missing.example.com', lookup)).to.equal('SOCKS5 127.0.0.1:1080');
+
+        const result = await pac.findProxy('http://www.example.org/', 'www.example.org', lookup);
+        expect(parsePacResult(result)).to.deep.equal(['http://proxy.example.com:8080', 'socks4://127.0.0.1:1080', null]);
+        expect(parsePacResult('')).to.deep.equal([]);
+        // Unusable directives are skipped, like in browsers.
+        expect(parsePacResult('FTP ftp.example.com:21; PROXY; SOCKS5 127.0.0.1:1080; DIRECT')).to.deep.equal(['socks5://127.0.0.1:1080', null]);
+        expect(() => parsePacResult('FTP ftp.example.com:21; PROXY')).to.throw(/No valid directive in "FTP ftp.example.com:21; PROXY"/);
+        // Proxies with an invalid host or port are skipped too.
+        expect(parsePacResult(
+            'PROXY bad host:abc; PROXY :80; PROXY example.com; PROXY example.com:abc; PROXY example.com:0; PROXY example.com:65536; '
+            + 'PROXY user@example.com:80; PROXY [::g]:80; PROXY example.com:80/path; PROXY [::1]:3128; HTTPS Proxy.Example.com.:443; DIRECT',
+        )).to.deep.equal(['http://[::1]:3128', 'https://Proxy.Example.com.:443', null]);
+        expect(() => parsePacResult('PROXY :80')).to.throw(/No valid directive/);
+    });
+
+    it('rejects invalid scripts and results', async () => {
+        expect(() => new PacResolver({})).to.throw(/either "script" or "file" must be set/);
+        expect(() => new PacResolver({ script: 'function FindProxyForURL(url, host) {' })).to.throw(/Invalid "pac" provided: SyntaxError/);
+        expect(() => new PacResolver({ script: 'var proxy = "DIRECT";' })).to.throw(/must define the FindProxyForURL/);
+
+        for (const [script, message] of [
+            ['function FindProxyForURL() { return 42; }', /must return a string \(was number\)/],
+            ['function FindProxyForURL() { while (true); }', /timed out/],
+            ['function FindProxyForURL() { return require("fs"); }', /require is not defined/],
+        ]) {
+            try {
+                await new PacResolver({ script, timeoutMillis: 50 }).findProxy('http://example.com/', 'example.com');
+                expect.fail('FindProxyForURL() should fail');
+            } catch (error) {
+                expect(error.message).to.match(message);
+            }
+        }
+    });
+
+    describe('Server', () => {
+        let targetServer;
+        let targetPort;
+        let upstream;
+
+        before(async () => {
+            targetServer = http.createServer((request, response) => {
+                response.setHeader('connection', 'close');
+                response.end('Hello');
+            });
+            targetPort = await listen(targetServer);
+
+            upstream = new Server({ port: 0, hostOverrides: { '*': '127.0.0.1' } });
+            await upstream.listen();
+        });
+
+        after(async () => {
+            await upstream.close(true);
+            await closeServer(targetServer);
+        });
+
+        const createProxy = useProxyServers();
+
+        it('picks the upstream proxies using the PAC script', async () => {
+            const server = await createProxy({
+                pac: {
+                    script: `
+                        function FindProxyForURL(url, host) {
+                            if (dnsDomainIs(host, ".upstream.example.com")) return "PROXY 127.0.0.1:1; PROXY 127.0.0.1:${upstream.port}";
+                            if (host === "broken.example.com") return "GOPHER broken.example.com:70";
+                            return "DIRECT";
+                        }
+                    `,
+                },
+                prepareRequestFunction: ({ hostname }) => (hostname === 'www.override.upstream.example.com' ? { upstreamProxyUrl: null } : {}),
+            });
+            const failedUpstreams = [];
+            server.on('upstreamFailed', ({ upstreamProxyUrl }) => failedUpstreams.push(upstreamProxyUrl));
+
+            expect(await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`)).to.include({ statusCode: 200, body: 'Hello' });
+            expect(upstream.stats.httpRequestCount).to.equal(0);
+
+            expect(await requestThroughProxy(server.port, `http://www.upstream.example.com:${targetPort}/`)).to.include({ statusCode: 200, body: 'Hello' });
+            expect(upstream.stats.httpRequestCount).to.equal(1);
+            expect(failedUpstreams).to.deep.equal(['http://127.0.0.1:1']);
+
+            // The result of prepareRequestFunction takes precedence.
+            const { statusCode } = await requestThroughProxy(server.port, 'http://www.override.upstream.example.com:1/');
+            expect(statusCode).to.not.equal(200);
+            expect(upstream.stats.httpRequestCount).to.equal(1);
+
+            expect((await requestThroughProxy(server.port, 'http://broken.example.com/')).statusCode).to.equal(500);
+        });
+
+        it('serves a PAC file pointing to the server', async () => {
+            const server = await createProxy({ servePac: { bypass: ['*.internal.example.com'] } });
+
+            const response = await requestThroughProxy(server.port, '/proxy.pac?v=1');
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/x-ns-proxy-autoconfig');
+
+            const pac = new PacResolver({ script: response.body });
+            expect(await pac.findProxy('http://www.example.com/', 'www.example.com')).to.equal(`PROXY 127.0.0.1:${server.port}`);
+            expect(await pac.findProxy('http://app.internal.example.com/', 'app.internal.example.com')).to.equal('DIRECT');
+
+            const customServer = await createProxy({ servePac: { path: '/wpad.dat', proxyHost: 'proxy.example.com:8000' } });
+            const customResponse = await requestThroughProxy(customServer.port, '/wpad.dat');
+            expect(await new PacResolver({ script: customResponse.body }).findProxy('http://example.com/', 'example.com'))
+                .to.equal('PROXY proxy.example.com:8000');
+
+            // Other origin-form requests are not served.
+            expect((await requestThroughProxy(customServer.port, '/proxy.pac')).statusCode).to.equal(400);
+        });
+    });
+});
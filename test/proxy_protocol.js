@@ -0,0 +1,349 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { SocksClient } = require('socks');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { createProxyProtocolHeader } = require('../src/proxy_protocol');
+const { closeServer, listen } = require('./utils/servers');
+
+const sslKey = fs.readFileSync(path.join(__dirname, 'ssl.key'));
+const sslCrt = fs.readFileSync(path.join(__dirname, 'ssl.crt'));
+
+const createV2Header = (command, family, addresses) => {
+    const header = Buffer.alloc(16);
+    Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]).copy(header);
+    header[12] = 0x20 + command;
+    header[13] = family;
+    header.writeUInt16BE(addresses.length, 14);
+    return Buffer.concat([header, addresses]);
+};
+
+// Sends the data right after connecting and returns everything received until the connection is closed.
+const sendRaw = (port, data) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(data));
+    let response = '';
+    socket.on('data', (chunk) => {
+        response += chunk;
+    });
+    socket.on('close', () => resolve(response));
+    socket.on('error', reject);
+});
+
+describe('PROXY protocol', () => {
+    let targetServer;
+    let targetPort;
+    let receivedHeaders;
+    let proxyServer;
+    let calls;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            receivedHeaders = request.headers;
+            response.end('Hello');
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        proxyServer = null;
+    });
+
+    const createServer = async (options) => {
+        calls = [];
+        proxyServer = new Server({
+            port: 0,
+            prepareRequestFunction: (opts) => {
+                calls.push(opts);
+            },
+            ...options,
+        });
+        await proxyServer.listen();
+    };
+
+    const httpRequest = () => [
+        `GET http://127.0.0.1:${targetPort}/ HTTP/1.1`,
+        `Host: 127.0.0.1:${targetPort}`,
+        'Connection: close',
+        '',
+        '',
+    ].join('\r\n');
+
+    it('reads v1 header', async () => {
+        await createServer({ proxyProtocol: true, forwardedHeaders: { xForwardedFor: true } });
+
+        const closed = new Promise((resolve) => proxyServer.once('connectionClosed', resolve));
+        const response = await sendRaw(proxyServer.port, `PROXY TCP4 203.0.113.5 198.51.100.1 12345 8000\r\n${httpRequest()}`);
+
+        expect(response).to.contain('Hello');
+        expect(calls[0].clientAddress).to.equal('203.0.113.5');
+        expect(calls[0].clientPort).to.equal(12345);
+        expect(receivedHeaders['x-forwarded-for']).to.equal('203.0.113.5');
+
+        const { clientAddress, clientPort } = await closed;
+        expect(clientAddress).to.equal('203.0.113.5');
+        expect(clientPort).to.equal(12345);
+    });
+
+    it('reads v2 header', async () => {
+        await createServer({ proxyProtocol: true });
+
+        const addresses = Buffer.alloc(36);
+        Buffer.from('20010db8000000000000000000000001', 'hex').copy(addresses, 0);
+        addresses.writeUInt16BE(443, 32);
+        addresses.writeUInt16BE(8000, 34);
+
+        const header = createV2Header(1, 0x21, addresses);
+        const response = await sendRaw(proxyServer.port, Buffer.concat([header, Buffer.from(httpRequest())]));
+
+        expect(response).to.contain('Hello');
+        expect(calls[0].clientAddress).to.equal('2001:db8:0:0:0:0:0:1');
+        expect(calls[0].clientPort).to.equal(443);
+    });
+
+    it('uses the connection address for v2 LOCAL command and without header', async () => {
+        await createServer({ proxyProtocol: true });
+
+        const response = await sendRaw(proxyServer.port, Buffer.concat([createV2Header(0, 0, Buffer.alloc(0)), Buffer.from(httpRequest())]));
+        expect(response).to.contain('Hello');
+        expect(calls[0].clientAddress).to.match(/127\.0\.0\.1$/);
+
+        expect(await sendRaw(proxyServer.port, httpRequest())).to.contain('Hello');
+        expect(calls[1].clientAddress).to.match(/127\.0\.0\.1$/);
+    });
+
+    it('ignores header from untrusted sources', async () => {
+        await createServer({ proxyProtocol: { trustedSources: ['10.0.0.0/8', '192.0.2.1'] } });
+
+        const response = await sendRaw(proxyServer.port, `PROXY TCP4 203.0.113.5 198.51.100.1 12345 8000\r\n${httpRequest()}`);
+        expect(response).to.contain('400 Bad Request');
+        expect(calls).to.have.lengthOf(0);
+    });
+
+    it('accepts header from trusted sources', async () => {
+        await createServer({ proxyProtocol: { trustedSources: ['127.0.0.0/8', '::1'] } });
+
+        const response = await sendRaw(proxyServer.port, `PROXY TCP4 203.0.113.5 198.51.100.1 12345 8000\r\n${httpRequest()}`);
+        expect(response).to.contain('Hello');
+        expect(calls[0].clientAddress).to.equal('203.0.113.5');
+    });
+
+    it('closes connection with malformed header', async () => {
+        await createServer({ proxyProtocol: true });
+
+        const response = await sendRaw(proxyServer.port, `PROXY TCP4 not-an-ip 198.51.100.1 12345 8000\r\n${httpRequest()}`);
+        expect(response).to.equal('');
+        expect(calls).to.have.lengthOf(0);
+    });
+
+    it('trusts only loopback addresses by default', async () => {
+        await createServer({ proxyProtocol: true });
+
+        expect(proxyServer.isTrustedProxyProtocolSource('127.0.0.1')).to.equal(true);
+        expect(proxyServer.isTrustedProxyProtocolSource('::ffff:127.0.0.1')).to.equal(true);
+        expect(proxyServer.isTrustedProxyProtocolSource('::1')).to.equal(true);
+        expect(proxyServer.isTrustedProxyProtocolSource('203.0.113.5')).to.equal(false);
+    });
+
+    it('closes connections waiting for the header on close(true) and after the handshake timeout', async () => {
+        await createServer({ proxyProtocol: true, timeouts: { handshakeTimeoutMillis: 100 } });
+
+        const start = Date.now();
+        expect(await sendRaw(proxyServer.port, '')).to.equal('');
+        expect(Date.now() - start).to.be.within(50, 1000);
+
+        await proxyServer.close(true);
+        await createServer({ proxyProtocol: true });
+
+        const idle = sendRaw(proxyServer.port, 'PROXY TCP4');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await proxyServer.close(true);
+        expect(await idle).to.equal('');
+        proxyServer = null;
+    });
+
+    it('works with HTTPS server', async () => {
+        await createServer({ serverType: 'https', httpsOptions: { key: sslKey, cert: sslCrt }, proxyProtocol: true });
+
+        const response = await new Promise((resolve, reject) => {
+            const rawSocket = net.connect(proxyServer.port, '127.0.0.1', () => {
+                rawSocket.write('PROXY TCP4 203.0.113.5 198.51.100.1 12345 8000\r\n');
+
+                const socket = tls.connect({ socket: rawSocket, rejectUnauthorized: false }, () => socket.write(httpRequest()));
+                let data = '';
+                socket.on('data', (chunk) => {
+                    data += chunk;
+                });
+                socket.on('close', () => resolve(data));
+                socket.on('error', reject);
+            });
+        });
+
+        expect(response).to.contain('Hello');
+        expect(calls[0].clientAddress).to.equal('203.0.113.5');
+        expect(calls[0].clientPort).to.equal(12345);
+    });
+
+    it('works with SOCKS server', async () => {
+        await createServer({ serverType: 'socks', proxyProtocol: true });
+
+        const header = createV2Header(1, 0x11, Buffer.from([203, 0, 113, 5, 198, 51, 100, 1, 0x30, 0x39, 0x1f, 0x40]));
+
+        const socket = net.connect(proxyServer.port, '127.0.0.1');
+        await new Promise((resolve) => socket.once('connect', resolve));
+        socket.write(header);
+
+        const { socket: tunnel } = await SocksClient.createConnection({
+            proxy: { host: '127.0.0.1', port: proxyServer.port, type: 5 },
+            command: 'connect',
+            destination: { host: '127.0.0.1', port: targetPort },
+            existing_socket: socket,
+        });
+        tunnel.destroy();
+
+        expect(calls[0].clientAddress).to.equal('203.0.113.5');
+        expect(calls[0].clientPort).to.equal(12345);
+    });
+});
+
+describe('PROXY protocol on outbound connections', () => {
+    let targetServer;
+    let targetPort;
+    let receivedData;
+    let proxyServer;
+    let upstreamServer;
+    let upstreamCalls;
+
+    before(async () => {
+        // Records the data received on each connection until the end of the HTTP request head.
+        targetServer = net.createServer((socket) => {
+            let data = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                data = Buffer.concat([data, chunk]);
+                if (data.includes('\r\n\r\n')) {
+                    receivedData = data;
+                    socket.end('HTTP/1.1 200 OK\r\nContent-Length: 0\r\n\r\n');
+                }
+            });
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        if (upstreamServer) await upstreamServer.close(true);
+        proxyServer = null;
+        upstreamServer = null;
+        receivedData = null;
+    });
+
+    const createUpstreamServer = async (options) => {
+        upstreamCalls = [];
+        upstreamServer = new Server({
+            port: 0,
+            proxyProtocol: true,
+            prepareRequestFunction: (opts) => {
+                upstreamCalls.push(opts);
+            },
+            ...options,
+        });
+        await upstreamServer.listen();
+    };
+
+    const connect = () => new Promise((resolve, reject) => {
+        http.request({
+            host: '127.0.0.1',
+            port: proxyServer.port,
+            method: 'CONNECT',
+            path: `127.0.0.1:${targetPort}`,
+            agent: false,
+        }).on('connect', (response, socket) => {
+            socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+            socket.once('data', () => {
+                socket.destroy();
+                resolve(response.statusCode);
+            });
+        }).on('error', reject).end();
+    });
+
+    it('creates headers for unknown and mixed family addresses', () => {
+        expect(createProxyProtocolHeader(1, {}, { address: '127.0.0.1', port: 80 }).toString()).to.equal('PROXY UNKNOWN\r\n');
+        expect(createProxyProtocolHeader(1, { address: '::ffff:10.0.0.1', port: 1 }, { address: '::1', port: 2 }).toString())
+            .to.equal('PROXY TCP6 ::ffff:10.0.0.1 ::1 1 2\r\n');
+
+        const header = createProxyProtocolHeader(2, { address: '10.0.0.1', port: 1 }, { address: '2001:db8::1', port: 2 });
+        expect(header.subarray(12, 16).toString('hex')).to.equal('21210024');
+        expect(header.subarray(16, 32).toString('hex')).to.equal('00000000000000000000ffff0a000001');
+        expect(header.subarray(32, 48).toString('hex')).to.equal('20010db8000000000000000000000001');
+        expect(header.readUInt16BE(48)).to.equal(1);
+        expect(header.readUInt16BE(50)).to.equal(2);
+    });
+
+    it('sends v1 header to the target in direct()', async () => {
+        proxyServer = new Server({ port: 0, prepareRequestFunction: () => ({ proxyProtocolVersion: 1 }) });
+        await proxyServer.listen();
+
+        expect(await connect()).to.equal(200);
+        expect(receivedData.toString()).to.match(
+            new RegExp(`^PROXY TCP4 127\\.0\\.0\\.1 127\\.0\\.0\\.1 \\d+ ${proxyServer.port}\r\nGET / HTTP/1\\.1\r\n`),
+        );
+    });
+
+    it('sends v2 header to the upstream HTTP proxy in chain()', async () => {
+        await createUpstreamServer();
+
+        proxyServer = new Server({
+            port: 0,
+            proxyProtocol: true,
+            prepareRequestFunction: () => ({
+                upstreamProxyUrl: `http://127.0.0.1:${upstreamServer.port}`,
+                proxyProtocolVersion: 2,
+            }),
+        });
+        await proxyServer.listen();
+
+        // The client address of the inbound PROXY protocol header is passed on.
+        const response = await new Promise((resolve, reject) => {
+            const socket = net.connect(proxyServer.port, '127.0.0.1', () => {
+                socket.write(`PROXY TCP4 203.0.113.5 198.51.100.1 12345 8000\r\nCONNECT 127.0.0.1:${targetPort} HTTP/1.1\r\n\r\n`);
+            });
+            socket.once('data', (data) => {
+                socket.destroy();
+                resolve(data.toString());
+            });
+            socket.on('error', reject);
+        });
+
+        expect(response).to.contain('200 Connection Established');
+        expect(upstreamCalls[0].clientAddress).to.equal('203.0.113.5');
+        expect(upstreamCalls[0].clientPort).to.equal(12345);
+    });
+
+    it('sends v2 header to the upstream SOCKS proxy in chainSocks()', async () => {
+        await createUpstreamServer({ serverType: 'socks' });
+
+        proxyServer = new Server({
+            port: 0,
+            prepareRequestFunction: () => ({
+                upstreamProxyUrl: `socks5://127.0.0.1:${upstreamServer.port}`,
+                proxyProtocolVersion: 2,
+            }),
+        });
+        await proxyServer.listen();
+
+        expect(await connect()).to.equal(200);
+        expect(upstreamCalls[0].clientAddress).to.equal('127.0.0.1');
+        expect(receivedData.toString()).to.match(/^GET \//);
+    });
+});
@@ -0,0 +1,118 @@
+const http = require('http');
+const net = require('net');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, getFreePort, listen, useProxyServers } = require('./utils/servers');
+const { requestThroughProxy } = require('./utils/through_proxy');
+
+describe('Retries of HTTP requests', () => {
+    let targetServer;
+    let targetPort;
+    // Number of the next connections the target resets right away.
+    let resetCount;
+
+    before(async () => {
+        const httpServer = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', (chunk) => {
+                body += chunk;
+            });
+            // The next request must make a new connection.
+            response.setHeader('connection', 'close');
+            request.on('end', () => response.end(`${request.method} ${request.url} ${body}`));
+        });
+
+        targetServer = net.createServer((socket) => {
+            if (resetCount > 0) {
+                resetCount--;
+                socket.resetAndDestroy();
+                return;
+            }
+
+            httpServer.emit('connection', socket);
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    const createServer = useProxyServers();
+
+    const createProxy = async (retry, prepareRequestFunction) => {
+        const server = await createServer({ retry, prepareRequestFunction });
+
+        const events = [];
+        server.on('requestRetry', (event) => events.push(event));
+        return { server, events };
+    };
+
+    it('validates the methods', () => {
+        expect(() => new Server({ retry: { methods: ['GET', 'POST'] } })).to.throw(/Invalid "retry.methods" provided/);
+    });
+
+    it('retries idempotent requests with backoff', async () => {
+        const { server, events } = await createProxy({ backoffMillis: 20, maxBackoffMillis: 30 }, () => ({ customTag: 'tag' }));
+
+        resetCount = 2;
+        const response = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/hello`);
+
+        expect(response).to.include({ statusCode: 200, body: 'GET /hello ' });
+        expect(events.map((event) => [event.attempt, event.delayMillis, event.error.code])).to.deep.equal([
+            [1, 20, 'ECONNRESET'],
+            [2, 30, 'ECONNRESET'],
+        ]);
+        expect(events.every((event) => event.upstreamProxyUrl === null && event.customTag === 'tag')).to.equal(true);
+
+        resetCount = 3;
+        const failedResponse = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/hello`);
+
+        expect(failedResponse.statusCode).to.equal(595);
+        expect(events).to.have.lengthOf(4);
+        resetCount = 0;
+    });
+
+    it('replays buffered request bodies of the allowed methods', async () => {
+        const { server, events } = await createProxy({ methods: ['PUT'], backoffMillis: 1, maxBodyBytes: 10 });
+
+        resetCount = 1;
+        const response = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`, { method: 'PUT', body: 'data' });
+        expect(response).to.include({ statusCode: 200, body: 'PUT / data' });
+
+        resetCount = 1;
+        const largeResponse = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`, { method: 'PUT', body: 'a lot of data' });
+        expect(largeResponse.statusCode).to.equal(595);
+
+        resetCount = 1;
+        const getResponse = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`);
+        expect(getResponse.statusCode).to.equal(595);
+
+        expect(events).to.have.lengthOf(1);
+        resetCount = 0;
+    });
+
+    it('can switch to another upstream proxy', async () => {
+        const upstream = await createServer();
+        const deadUrl = `http://127.0.0.1:${await getFreePort()}`;
+        const upstreamUrl = `http://127.0.0.1:${upstream.port}`;
+
+        const contexts = [];
+        const { server, events } = await createProxy({
+            backoffMillis: 1,
+            getUpstreamProxyUrl: (context) => {
+                contexts.push(context);
+                return upstreamUrl;
+            },
+        }, () => ({ upstreamProxyUrl: deadUrl }));
+
+        const response = await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/hello`);
+
+        expect(response).to.include({ statusCode: 200, body: 'GET /hello ' });
+        expect(contexts.map((context) => [context.attempt, context.upstreamProxyUrl, context.error.code])).to.deep.equal([
+            [1, deadUrl, 'ECONNREFUSED'],
+        ]);
+        expect(events).to.have.lengthOf(1);
+        expect(upstream.stats.httpRequestCount).to.equal(1);
+    });
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen, useProxyServers } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+const proxyAuthorization = (username) => ({ 'proxy-authorization': `Basic ${Buffer.from(`${username}:pass`).toString('base64')}` });
+
+describe('Routes', () => {
+    let targetServer;
+    let targetPort;
+    let upstream;
+    let upstreamUrl;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.setHeader('connection', 'close');
+            response.end('Hello');
+        });
+        targetPort = await listen(targetServer);
+
+        upstream = new Server({ port: 0, hostOverrides: { '*': '127.0.0.1' } });
+        await upstream.listen();
+        upstreamUrl = `http://127.0.0.1:${upstream.port}`;
+    });
+
+    after(async () => {
+        await upstream.close(true);
+        await closeServer(targetServer);
+    });
+
+    const createProxy = useProxyServers();
+
+    it('validates the routes', () => {
+        expect(() => new Server({ routes: [{ action: 'reject' }] })).to.throw(/Invalid "routes" provided/);
+        expect(() => new Server({ routes: [{ cidrs: ['example.com/8'], action: 'direct' }] })).to.throw(/Invalid CIDR in route 0/);
+        expect(() => new Server({ routes: [{ action: 'upstream', upstreamProxyUrl: 'ftp://proxy' }] })).to.throw(/Invalid "upstreamProxyUrl" provided/);
+    });
+
+    it('applies the action of the first matching route', async () => {
+        const server = await createProxy({
+            routes: [
+                { hosts: ['blocked.example.com'], action: 'block', statusCode: 451, message: 'Unavailable' },
+                { hosts: [/^custom\./], action: 'customResponse', customResponseFunction: () => ({ statusCode: 200, body: 'Custom' }) },
+                { hosts: ['*.upstream.example.com'], ports: [targetPort], action: 'upstream', upstreamProxyUrl: upstreamUrl },
+                { cidrs: ['127.0.0.0/8'], ports: [targetPort], action: 'direct' },
+                { action: 'block' },
+            ],
+        });
+
+        expect(await requestThroughProxy(server.port, 'http://Blocked.example.com/')).to.include({ statusCode: 451, body: 'Unavailable' });
+        expect(await requestThroughProxy(server.port, 'http://custom.example.com/')).to.include({ statusCode: 200, body: 'Custom' });
+        // Custom responses are only for HTTP requests.
+        expect((await connectThroughProxy(server.port, 'custom.example.com:443')).statusCode).to.equal(403);
+
+        expect(await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`)).to.include({ statusCode: 200, body: 'Hello' });
+        expect((await connectThroughProxy(server.port, `127.0.0.1:${targetPort}`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, 'http://127.0.0.1:1/')).statusCode).to.equal(403);
+
+        expect((await requestThroughProxy(server.port, `http://app.upstream.example.com:${targetPort}/`)).statusCode).to.equal(200);
+        expect((await requestThroughProxy(server.port, 'http://upstream.example.com/')).statusCode).to.equal(403);
+        expect(upstream.stats.httpRequestCount).to.equal(1);
+    });
+
+    it('matches usernames and lets prepareRequestFunction override the route', async () => {
+        const routes = [
+            { usernames: ['alice'], action: 'upstream', upstreamProxyUrl: upstreamUrl },
+            { hosts: ['*'], action: 'block' },
+        ];
+        const matchedRoutes = [];
+        const server = await createProxy({
+            routes,
+            prepareRequestFunction: ({ username, route }) => {
+                matchedRoutes.push(route);
+                return username === 'admin' ? { upstreamProxyUrl: null } : {};
+            },
+        });
+
+        const url = `http://127.0.0.1:${targetPort}/`;
+        const upstreamCount = upstream.stats.httpRequestCount;
+
+        expect((await requestThroughProxy(server.port, url, { headers: proxyAuthorization('alice') })).statusCode).to.equal(200);
+        expect(upstream.stats.httpRequestCount).to.equal(upstreamCount + 1);
+        expect((await requestThroughProxy(server.port, url, { headers: proxyAuthorization('bob') })).statusCode).to.equal(403);
+        expect((await requestThroughProxy(server.port, url, { headers: proxyAuthorization('admin') })).statusCode).to.equal(200);
+        expect(upstream.stats.httpRequestCount).to.equal(upstreamCount + 1);
+
+        expect(matchedRoutes).to.deep.equal([routes[0], routes[1], routes[1]]);
+    });
+});
@@ -0,0 +1,113 @@
+const http = require('http');
+const { expect } = require('chai');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { Server } = require('../src/index');
+const { closeServer, listen, wait } = require('./utils/servers');
+const { requestThroughProxy } = require('./utils/through_proxy');
+
+describe('SOCKS agent pool', () => {
+    let targetServer;
+    let targetUrl;
+    let upstream;
+    let upstreamUrl;
+    let upstreamConnectionCount;
+    let proxy;
+    let closedStats;
+
+    before(async () => {
+        // Keeps the connections alive, so that the pooled SOCKS connections can be reused.
+        targetServer = http.createServer((request, response) => response.end('Hello'));
+        targetUrl = `http://127.0.0.1:${await listen(targetServer)}/`;
+
+        upstream = new Server({
+            port: 0,
+            serverType: 'socks',
+            prepareRequestFunction: () => {
+                upstreamConnectionCount++;
+                return {};
+            },
+        });
+        await upstream.listen();
+        upstreamUrl = `socks5://127.0.0.1:${upstream.port}`;
+    });
+
+    after(async () => {
+        await upstream.close(true);
+        targetServer.closeAllConnections();
+        await closeServer(targetServer);
+    });
+
+    beforeEach(() => {
+        upstreamConnectionCount = 0;
+        closedStats = [];
+    });
+
+    afterEach(async () => {
+        if (proxy) await proxy.close(true);
+        proxy = null;
+    });
+
+    const createProxy = async (options) => {
+        proxy = new Server({ port: 0, prepareRequestFunction: () => ({ upstreamProxyUrl: upstreamUrl }), ...options });
+        proxy.on('connectionClosed', ({ stats }) => closedStats.push(stats));
+        await proxy.listen();
+        return proxy;
+    };
+
+    const waitForClosedConnections = async (count) => {
+        while (closedStats.length < count) await wait(10);
+    };
+
+    it('opens a new SOCKS connection for each request by default', async () => {
+        await createProxy();
+
+        expect(await requestThroughProxy(proxy.port, targetUrl)).to.include({ statusCode: 200, body: 'Hello' });
+        expect(await requestThroughProxy(proxy.port, targetUrl)).to.include({ statusCode: 200, body: 'Hello' });
+        expect(upstreamConnectionCount).to.equal(2);
+    });
+
+    it('reuses the SOCKS connections and counts the bytes of each request', async () => {
+        // The agents are cached by the lookup function too, which includes the host overrides.
+        await createProxy({ socksAgentPool: true, hostOverrides: { 'target.example.com': '127.0.0.1' } });
+        const url = targetUrl.replace('127.0.0.1', 'target.example.com');
+
+        expect(await requestThroughProxy(proxy.port, url)).to.include({ statusCode: 200, body: 'Hello' });
+        expect(await requestThroughProxy(proxy.port, url)).to.include({ statusCode: 200, body: 'Hello' });
+        expect(upstreamConnectionCount).to.equal(1);
+        expect(proxy.socksAgentPool.size).to.equal(1);
+
+        await waitForClosedConnections(2);
+        const [first, second] = closedStats;
+        // Only the first request counts the SOCKS handshake.
+        expect(second.trgRxBytes).to.be.above(0);
+        expect(second.trgRxBytes).to.be.below(first.trgRxBytes);
+        expect(second.trgTxBytes).to.be.below(first.trgTxBytes);
+    });
+
+    it('closes the idle SOCKS connections and removes the agents', async () => {
+        await createProxy({ socksAgentPool: { idleTimeoutMillis: 100 } });
+
+        await requestThroughProxy(proxy.port, targetUrl);
+        expect(proxy.socksAgentPool.size).to.equal(1);
+
+        await wait(300);
+        expect(proxy.socksAgentPool.size).to.equal(0);
+
+        await requestThroughProxy(proxy.port, targetUrl);
+        expect(upstreamConnectionCount).to.equal(2);
+    });
+
+    it('uses a custom agent from prepareRequestFunction', async () => {
+        const httpAgent = new SocksProxyAgent(upstreamUrl, { keepAlive: true });
+        await createProxy({ prepareRequestFunction: () => ({ upstreamProxyUrl: upstreamUrl, httpAgent }) });
+
+        try {
+            await requestThroughProxy(proxy.port, targetUrl);
+            await requestThroughProxy(proxy.port, targetUrl);
+            expect(upstreamConnectionCount).to.equal(1);
+            expect(Object.keys(httpAgent.freeSockets)).to.have.lengthOf(1);
+        } finally {
+            httpAgent.destroy();
+        }
+    });
+});
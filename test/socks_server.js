@@ -0,0 +1,212 @@
+const http = require('http');
+const net = require('net');
+const { SocksClient } = require('socks');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen } = require('./utils/servers');
+
+const httpGetOverSocket = (socket, host) => new Promise((resolve, reject) => {
+    let data = '';
+    socket.on('data', (chunk) => {
+        data += chunk;
+    });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+    socket.write(`GET /hello HTTP/1.1\r\nHost: ${host}\r\nConnection: close\r\n\r\n`);
+});
+
+describe('Server (SOCKS -> Target)', () => {
+    let targetServer;
+    let targetPort;
+    let proxyServer;
+    let upstreamServer;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.end(`Hello from ${request.url}`);
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        if (upstreamServer) await upstreamServer.close(true);
+        proxyServer = null;
+        upstreamServer = null;
+    });
+
+    const connect = (type, options = {}) => SocksClient.createConnection({
+        proxy: { host: '127.0.0.1', port: proxyServer.port, type, ...options },
+        command: 'connect',
+        destination: { host: '127.0.0.1', port: targetPort },
+    });
+
+    it('uses "socks" server type when specified', async () => {
+        proxyServer = new Server({ port: 0, serverType: 'socks' });
+        await proxyServer.listen();
+
+        expect(proxyServer.serverType).to.equal('socks');
+    });
+
+    it('works with SOCKS5 without auth', async () => {
+        proxyServer = new Server({ port: 0, serverType: 'socks' });
+        await proxyServer.listen();
+
+        const { socket } = await connect(5);
+        const response = await httpGetOverSocket(socket, `127.0.0.1:${targetPort}`);
+
+        expect(response).to.contain('Hello from /hello');
+    });
+
+    it('works with SOCKS4 and SOCKS4a', async () => {
+        proxyServer = new Server({ port: 0, serverType: 'socks' });
+        await proxyServer.listen();
+
+        const { socket } = await connect(4);
+        expect(await httpGetOverSocket(socket, 'localhost')).to.contain('Hello from /hello');
+
+        const { socket: socket4a } = await SocksClient.createConnection({
+            proxy: { host: '127.0.0.1', port: proxyServer.port, type: 4 },
+            command: 'connect',
+            destination: { host: 'localhost', port: targetPort },
+        });
+        expect(await httpGetOverSocket(socket4a, 'localhost')).to.contain('Hello from /hello');
+    });
+
+    it('passes SOCKS5 credentials and target to prepareRequestFunction', async () => {
+        const calls = [];
+
+        proxyServer = new Server({
+            port: 0,
+            serverType: 'socks',
+            prepareRequestFunction: (opts) => {
+                calls.push(opts);
+                return { requestAuthentication: opts.username !== 'user:name' || opts.password !== 'pass' };
+            },
+        });
+        await proxyServer.listen();
+
+        const { socket } = await connect(5, { userId: 'user:name', password: 'pass' });
+        expect(await httpGetOverSocket(socket, 'localhost')).to.contain('Hello from /hello');
+
+        expect(calls).to.have.lengthOf(1);
+        expect(calls[0].username).to.equal('user:name');
+        expect(calls[0].password).to.equal('pass');
+        expect(calls[0].hostname).to.equal('127.0.0.1');
+        expect(calls[0].port).to.equal(targetPort);
+        expect(calls[0].isHttp).to.equal(false);
+        expect(calls[0].request.method).to.equal('CONNECT');
+
+        try {
+            await connect(5, { userId: 'user:name', password: 'bad' });
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error.message).to.contain('Socks5 proxy rejected connection - NotAllowed');
+        }
+    });
+
+    it('rejects SOCKS4 when prepareRequestFunction throws', async () => {
+        proxyServer = new Server({
+            port: 0,
+            serverType: 'socks',
+            prepareRequestFunction: () => {
+                throw new Error('Not today');
+            },
+        });
+        await proxyServer.listen();
+
+        const failed = new Promise((resolve) => proxyServer.once('requestFailed', resolve));
+
+        try {
+            await connect(4);
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error.message).to.contain('Socks4 Proxy rejected connection');
+        }
+
+        const { error } = await failed;
+        expect(error.message).to.equal('Not today');
+    });
+
+    it('chains SOCKS clients through an upstream HTTP proxy', async () => {
+        upstreamServer = new Server({ port: 0 });
+        await upstreamServer.listen();
+
+        proxyServer = new Server({
+            port: 0,
+            serverType: 'socks',
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `http://127.0.0.1:${upstreamServer.port}` }),
+        });
+        await proxyServer.listen();
+
+        const closed = new Promise((resolve) => proxyServer.once('connectionClosed', resolve));
+
+        const { socket } = await connect(5);
+        expect(await httpGetOverSocket(socket, 'localhost')).to.contain('Hello from /hello');
+
+        const { stats } = await closed;
+        expect(stats.trgRxBytes).to.be.greaterThan(0);
+        expect(upstreamServer.stats.connectRequestCount).to.equal(1);
+    });
+
+    it('fails with SOCKS5 reply when target refuses connection', async () => {
+        upstreamServer = new Server({ port: 0 });
+        await upstreamServer.listen();
+        const { port } = upstreamServer;
+        await upstreamServer.close(true);
+        upstreamServer = null;
+
+        proxyServer = new Server({
+            port: 0,
+            serverType: 'socks',
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `http://127.0.0.1:${port}` }),
+        });
+        await proxyServer.listen();
+
+        try {
+            await connect(5);
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error.message).to.contain('ConnectionRefused');
+        }
+    });
+
+    // Resolves to the time the server took to close the connection.
+    const sendAndWaitForClose = (data) => new Promise((resolve) => {
+        const start = Date.now();
+        const socket = net.connect(proxyServer.port, '127.0.0.1', () => socket.write(data));
+        socket.on('error', () => {});
+        socket.on('close', () => resolve(Date.now() - start));
+        socket.resume();
+    });
+
+    it('rejects SOCKS4 user IDs and hostnames longer than 255 bytes', async () => {
+        proxyServer = new Server({ port: 0, serverType: 'socks' });
+        await proxyServer.listen();
+
+        const head = Buffer.from([4, 1, 0, 80, 0, 0, 0, 1]);
+        expect(await sendAndWaitForClose(Buffer.concat([head, Buffer.alloc(256, 'a')]))).to.be.below(1000);
+        expect(await sendAndWaitForClose(Buffer.concat([head, Buffer.from([0]), Buffer.alloc(256, 'a')]))).to.be.below(1000);
+    });
+
+    it('closes connections that do not complete the handshake in time', async () => {
+        const closeReasons = [];
+        proxyServer = new Server({ port: 0, serverType: 'socks', timeouts: { handshakeTimeoutMillis: 200 } });
+        proxyServer.on('connectionClosed', ({ closeReason }) => closeReasons.push(closeReason));
+        await proxyServer.listen();
+
+        const elapsed = await sendAndWaitForClose(Buffer.from([5, 1]));
+        expect(elapsed).to.be.within(150, 1000);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(closeReasons).to.deep.equal(['handshakeTimeout']);
+
+        // Connected clients are not affected.
+        const { socket } = await connect(5);
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        expect(await httpGetOverSocket(socket, `127.0.0.1:${targetPort}`)).to.contain('Hello from /hello');
+    });
+});
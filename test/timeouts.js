@@ -0,0 +1,123 @@
+const http = require('http');
+const net = require('net');
+const { expect } = require('chai');
+const { closeServer, listen, useProxyServers, wait } = require('./utils/servers');
+const { connectThroughProxy, requestThroughProxy } = require('./utils/through_proxy');
+
+describe('Timeouts', () => {
+    let targetServer;
+    let targetPort;
+    // Accepts connections and never responds.
+    let silentServer;
+    let silentPort;
+
+    before(async () => {
+        targetServer = net.createServer((socket) => {
+            socket.on('data', (data) => {
+                if (data.toString().startsWith('GET')) {
+                    socket.end('HTTP/1.1 200 OK\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+                    return;
+                }
+                socket.write(data);
+            });
+        });
+        targetPort = await listen(targetServer);
+
+        silentServer = net.createServer((socket) => socket.resume());
+        silentPort = await listen(silentServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+        await closeServer(silentServer);
+    });
+
+    const startProxy = useProxyServers();
+
+    const createProxy = async (options) => {
+        const server = await startProxy(options);
+
+        const closeReasons = [];
+        server.on('connectionClosed', ({ closeReason }) => closeReasons.push(closeReason));
+        return { server, closeReasons };
+    };
+
+    it('reports connect timeouts with 504', async () => {
+        const { server, closeReasons } = await createProxy({
+            timeouts: { connectTimeoutMillis: 100 },
+            // The DNS lookup never finishes, so the connection is never made.
+            prepareRequestFunction: () => ({ dnsLookup: () => undefined }),
+        });
+
+        const { statusCode, socket } = await connectThroughProxy(server.port, 'example.com:443', { keepOpen: true });
+        expect(statusCode).to.equal(504);
+        await new Promise((resolve) => socket.once('close', resolve));
+
+        expect((await requestThroughProxy(server.port, 'http://example.com/')).statusCode).to.equal(504);
+
+        await wait(50);
+        expect(closeReasons).to.deep.equal(['connectTimeout', 'connectTimeout']);
+    });
+
+    it('reports response headers timeouts with 504', async () => {
+        const { server, closeReasons } = await createProxy({
+            timeouts: { responseHeadersTimeoutMillis: 100 },
+            prepareRequestFunction: ({ hostname }) => ({
+                upstreamProxyUrl: hostname === 'upstream' ? `http://127.0.0.1:${silentPort}` : null,
+            }),
+        });
+
+        expect((await requestThroughProxy(server.port, `http://127.0.0.1:${silentPort}/`)).statusCode).to.equal(504);
+
+        const { statusCode, socket } = await connectThroughProxy(server.port, 'upstream:443', { keepOpen: true });
+        expect(statusCode).to.equal(504);
+        socket.destroy();
+
+        await wait(50);
+        expect(closeReasons).to.deep.equal(['responseHeadersTimeout', 'responseHeadersTimeout']);
+        expect((await requestThroughProxy(server.port, `http://127.0.0.1:${targetPort}/`)).statusCode).to.equal(200);
+    });
+
+    it('closes idle tunnels', async () => {
+        const { server, closeReasons } = await createProxy({
+            timeouts: { idleTimeoutMillis: 10000 },
+            prepareRequestFunction: () => ({ timeouts: { idleTimeoutMillis: 150 } }),
+        });
+
+        const { statusCode, socket } = await connectThroughProxy(server.port, `127.0.0.1:${targetPort}`, { keepOpen: true });
+        expect(statusCode).to.equal(200);
+
+        // The traffic keeps the tunnel open.
+        for (let i = 0; i < 3; i++) {
+            await wait(100);
+            socket.write('ping');
+            await new Promise((resolve) => socket.once('data', resolve));
+        }
+
+        expect(socket.destroyed).to.equal(false);
+        await new Promise((resolve) => socket.once('close', resolve));
+        await wait(50);
+        expect(closeReasons).to.deep.equal(['idleTimeout']);
+    });
+
+    it('closes tunnels after the maximum lifetime', async () => {
+        const upstream = await createProxy({ serverType: 'socks' });
+        const { server, closeReasons } = await createProxy({
+            timeouts: { maxLifetimeMillis: 200 },
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `socks5://127.0.0.1:${upstream.server.port}` }),
+        });
+
+        const startedAt = Date.now();
+        const { statusCode, socket } = await connectThroughProxy(server.port, `127.0.0.1:${targetPort}`, { keepOpen: true });
+        expect(statusCode).to.equal(200);
+
+        socket.on('error', () => undefined);
+        const interval = setInterval(() => socket.write('ping'), 50);
+        await new Promise((resolve) => socket.once('close', resolve));
+        clearInterval(interval);
+
+        expect(Date.now() - startedAt).to.be.within(200, 1000);
+        await wait(50);
+        expect(closeReasons).to.deep.equal(['maxLifetime']);
+    });
+});
@@ -1,6 +1,7 @@
 const { expect } = require('chai');
 const { redactUrl } = require('../src/utils/redact_url');
 const { isHopByHopHeader } = require('../src/utils/is_hop_by_hop_header');
+const { validHeadersOnly } = require('../src/utils/valid_headers_only');
 const { parseAuthorizationHeader } = require('../src/utils/parse_authorization_header');
 const { nodeify } = require('../src/utils/nodeify');
 
@@ -47,6 +48,47 @@ const authStr = (type, usernameAndPassword) => {
     return `${type} ${Buffer.from(usernameAndPassword).toString('base64')}`;
 };
 
+describe('tools.validHeadersOnly()', () => {
+    it('removes hop-by-hop headers and headers listed in Connection', () => {
+        expect(validHeadersOnly([
+            'Host', 'example.com',
+            'Connection', 'keep-alive, X-Hop',
+            'connection', 'x-other-hop',
+            'X-Hop', 'a',
+            'X-Other-Hop', 'b',
+            'X-End-To-End', 'c',
+            'Keep-Alive', 'timeout=5',
+            'Host', 'duplicate.example.com',
+        ])).to.eql([
+            'Host', 'example.com',
+            'X-End-To-End', 'c',
+        ]);
+    });
+
+    it('applies header rules', () => {
+        const rules = {
+            block: ['x-blocked'],
+            transform: (name, value) => {
+                if (name.toLowerCase() === 'x-drop') return null;
+                if (name.toLowerCase() === 'x-rewrite') return value.toUpperCase();
+                if (name.toLowerCase() === 'x-invalid') return 'line\nbreak';
+                return undefined;
+            },
+        };
+
+        expect(validHeadersOnly([
+            'X-Blocked', 'a',
+            'X-Drop', 'b',
+            'X-Rewrite', 'c',
+            'X-Invalid', 'd',
+            'X-Keep', 'e',
+        ], rules)).to.eql([
+            'X-Rewrite', 'C',
+            'X-Keep', 'e',
+        ]);
+    });
+});
+
 describe('tools.parseAuthorizationHeader()', () => {
     it('works with valid input', () => {
         const parse = parseAuthorizationHeader;
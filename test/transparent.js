@@ -0,0 +1,205 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { expect } = require('chai');
+const { Server } = require('../src/index');
+const { closeServer, listen } = require('./utils/servers');
+
+const sslKey = fs.readFileSync(path.join(__dirname, 'ssl.key'));
+const sslCrt = fs.readFileSync(path.join(__dirname, 'ssl.crt'));
+
+const sendRaw = (port, data) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(data));
+    let response = '';
+    socket.on('data', (chunk) => {
+        response += chunk;
+    });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+});
+
+describe('Server (transparent proxy)', () => {
+    let targetServer;
+    let targetPort;
+    let httpsTargetServer;
+    let httpsTargetPort;
+    let proxyServer;
+    let upstreamServer;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.end(`Hello from ${request.headers.host}${request.url}`);
+        });
+        targetPort = await listen(targetServer);
+
+        httpsTargetServer = https.createServer({ key: sslKey, cert: sslCrt }, (request, response) => {
+            response.end(`Hello over TLS from ${request.url}`);
+        });
+        httpsTargetPort = await listen(httpsTargetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+        await closeServer(httpsTargetServer);
+    });
+
+    afterEach(async () => {
+        if (proxyServer) await proxyServer.close(true);
+        if (upstreamServer) await upstreamServer.close(true);
+        proxyServer = null;
+        upstreamServer = null;
+    });
+
+    it('forwards origin-form requests to the Host header', async () => {
+        const calls = [];
+
+        proxyServer = new Server({
+            port: 0,
+            transparent: true,
+            prepareRequestFunction: (opts) => {
+                calls.push(opts);
+            },
+        });
+        await proxyServer.listen();
+
+        const response = await sendRaw(
+            proxyServer.port,
+            `GET /hello?a=1 HTTP/1.1\r\nHost: 127.0.0.1:${targetPort}\r\nConnection: close\r\n\r\n`,
+        );
+
+        expect(response).to.contain('200 OK');
+        expect(response).to.contain(`Hello from 127.0.0.1:${targetPort}/hello?a=1`);
+        expect(calls[0].hostname).to.equal('127.0.0.1');
+        expect(calls[0].port).to.equal(targetPort);
+        expect(calls[0].isHttp).to.equal(true);
+    });
+
+    it('forwards origin-form requests through an upstream proxy', async () => {
+        upstreamServer = new Server({ port: 0 });
+        await upstreamServer.listen();
+
+        proxyServer = new Server({
+            port: 0,
+            transparent: true,
+            prepareRequestFunction: () => ({ upstreamProxyUrl: `http://127.0.0.1:${upstreamServer.port}` }),
+        });
+        await proxyServer.listen();
+
+        const response = await sendRaw(
+            proxyServer.port,
+            `GET /hello HTTP/1.1\r\nHost: 127.0.0.1:${targetPort}\r\nConnection: close\r\n\r\n`,
+        );
+
+        expect(response).to.contain(`Hello from 127.0.0.1:${targetPort}/hello`);
+        expect(upstreamServer.stats.httpRequestCount).to.equal(1);
+    });
+
+    it('uses the original destination when Host header is missing', async () => {
+        proxyServer = new Server({
+            port: 0,
+            transparent: {
+                getOriginalDestination: () => ({ address: '127.0.0.1', port: targetPort }),
+            },
+        });
+        await proxyServer.listen();
+
+        const response = await sendRaw(proxyServer.port, 'GET /hello HTTP/1.0\r\n\r\n');
+
+        expect(response).to.contain(`Hello from 127.0.0.1:${targetPort}/hello`);
+    });
+
+    it('responds 400 when the target is unknown', async () => {
+        proxyServer = new Server({ port: 0, transparent: true });
+        await proxyServer.listen();
+
+        const response = await sendRaw(proxyServer.port, 'GET /hello HTTP/1.0\r\n\r\n');
+
+        expect(response).to.contain('400 Bad Request');
+    });
+
+    it('tunnels raw TLS connections to the SNI server name', async () => {
+        const calls = [];
+
+        proxyServer = new Server({
+            port: 0,
+            transparent: {
+                getOriginalDestination: () => ({ address: '127.0.0.1', port: httpsTargetPort }),
+            },
+            prepareRequestFunction: (opts) => {
+                calls.push(opts);
+            },
+        });
+        await proxyServer.listen();
+
+        const response = await new Promise((resolve, reject) => {
+            const socket = tls.connect({
+                host: '127.0.0.1',
+                port: proxyServer.port,
+                servername: 'localhost',
+                rejectUnauthorized: false,
+            }, () => {
+                socket.write('GET /secret HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+            });
+            let data = '';
+            socket.on('data', (chunk) => {
+                data += chunk;
+            });
+            socket.on('end', () => resolve(data));
+            socket.on('error', reject);
+        });
+
+        expect(response).to.contain('Hello over TLS from /secret');
+        expect(calls[0].hostname).to.equal('localhost');
+        expect(calls[0].port).to.equal(httpsTargetPort);
+        expect(calls[0].isHttp).to.equal(false);
+        expect(calls[0].request.method).to.equal('CONNECT');
+    });
+
+    it('closes raw TLS connections when the tunnel is rejected', async () => {
+        proxyServer = new Server({
+            port: 0,
+            transparent: true,
+            prepareRequestFunction: () => ({ requestAuthentication: true }),
+        });
+        await proxyServer.listen();
+
+        const error = await new Promise((resolve) => {
+            const socket = tls.connect({
+                host: '127.0.0.1',
+                port: proxyServer.port,
+                servername: 'localhost',
+                rejectUnauthorized: false,
+            });
+            socket.on('secureConnect', () => resolve(null));
+            socket.on('error', resolve);
+            socket.on('close', () => resolve(null));
+        });
+
+        expect(error).to.be.an('error');
+    });
+
+    it('closes idle connections on close(true) and after the handshake timeout', async () => {
+        proxyServer = new Server({ port: 0, transparent: true, timeouts: { handshakeTimeoutMillis: 100 } });
+        await proxyServer.listen();
+
+        // Nothing is sent, and a partial ClientHello.
+        for (const data of ['', Buffer.from([0x16, 0x03, 0x01, 0x00, 0x50])]) {
+            const start = Date.now();
+            expect(await sendRaw(proxyServer.port, data)).to.equal('');
+            expect(Date.now() - start).to.be.within(50, 1000);
+        }
+
+        await proxyServer.close(true);
+        proxyServer = new Server({ port: 0, transparent: true });
+        await proxyServer.listen();
+
+        const idle = sendRaw(proxyServer.port, '');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await proxyServer.close(true);
+        expect(await idle).to.equal('');
+        proxyServer = null;
+    });
+});
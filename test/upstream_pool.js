@@ -0,0 +1,172 @@
+const http = require('http');
+const net = require('net');
+const { expect } = require('chai');
+const { UpstreamPool } = require('../src/index');
+const { closeServer, getFreePort, listen, useProxyServers, wait } = require('./utils/servers');
+const { requestThroughProxy } = require('./utils/through_proxy');
+
+const countPicks = (pool, times) => {
+    const counts = {};
+    for (let i = 0; i < times; i++) {
+        const [url] = pool.getUpstreamProxyUrls();
+        counts[url] = (counts[url] || 0) + 1;
+    }
+    return counts;
+};
+
+describe('UpstreamPool', () => {
+    let targetServer;
+    let targetPort;
+    let pool;
+
+    before(async () => {
+        targetServer = http.createServer((request, response) => {
+            response.end(`Hello from ${request.url}`);
+        });
+        targetPort = await listen(targetServer);
+    });
+
+    after(async () => {
+        await closeServer(targetServer);
+    });
+
+    afterEach(() => {
+        if (pool) pool.close();
+        pool = null;
+    });
+
+    const createServer = useProxyServers();
+
+    it('validates options', () => {
+        expect(() => new UpstreamPool({ upstreams: [] })).to.throw(/at least one upstream/);
+        expect(() => new UpstreamPool({ upstreams: ['http://a:1'], strategy: 'random' })).to.throw(/Invalid "strategy"/);
+        expect(() => new UpstreamPool({ upstreams: [{ url: 'http://a:1', weight: 0 }] })).to.throw(/positive number/);
+        expect(() => new UpstreamPool({ upstreams: ['ftp://a:1'] })).to.throw(/Invalid upstream proxy URL: must have one of the following protocols/);
+        expect(() => new UpstreamPool({ upstreams: ['not a url'] })).to.throw(/Invalid upstream proxy URL/);
+    });
+
+    it('supports round-robin strategy', () => {
+        pool = new UpstreamPool({ upstreams: ['http://a:1', 'http://b:1', 'http://c:1'] });
+
+        expect(pool.getUpstreamProxyUrls()).to.deep.equal(['http://a:1', 'http://b:1', 'http://c:1']);
+        expect(pool.getUpstreamProxyUrls()).to.deep.equal(['http://b:1', 'http://c:1', 'http://a:1']);
+        expect(pool.getUpstreamProxyUrls()).to.deep.equal(['http://c:1', 'http://a:1', 'http://b:1']);
+        expect(pool.getUpstreamProxyUrls()[0]).to.equal('http://a:1');
+    });
+
+    it('supports least-connections strategy', () => {
+        pool = new UpstreamPool({ upstreams: ['http://a:1', 'http://b:1'], strategy: 'least-connections' });
+
+        const releaseA = pool.acquire('http://a:1');
+        pool.acquire('http://a:1');
+
+        expect(pool.getUpstreamProxyUrls()).to.deep.equal(['http://b:1', 'http://a:1']);
+        pool.acquire('http://b:1');
+        expect(pool.getUpstreamProxyUrls()[0]).to.equal('http://b:1');
+
+        releaseA();
+        releaseA();
+        expect(pool.getStats()[0].activeConnections).to.equal(1);
+        expect(pool.getStats()[0].totalConnections).to.equal(2);
+    });
+
+    it('supports weighted strategy', () => {
+        pool = new UpstreamPool({
+            upstreams: [{ url: 'http://a:1', weight: 3 }, 'http://b:1'],
+            strategy: 'weighted',
+        });
+
+        expect(countPicks(pool, 8)).to.deep.equal({ 'http://a:1': 6, 'http://b:1': 2 });
+        expect(pool.getUpstreamProxyUrls()).to.have.lengthOf(2);
+    });
+
+    it('takes out upstream proxies that fail health checks', async () => {
+        let down = true;
+        const flakyUpstream = await createServer({
+            prepareRequestFunction: () => ({ requestAuthentication: down }),
+        });
+        const upstream = await createServer();
+        const deadUrl = `http://127.0.0.1:${await getFreePort()}`;
+        const flakyUrl = `http://127.0.0.1:${flakyUpstream.port}`;
+        const upstreamUrl = `http://127.0.0.1:${upstream.port}`;
+
+        pool = new UpstreamPool({
+            upstreams: [deadUrl, flakyUrl, upstreamUrl],
+            healthCheck: { target: `127.0.0.1:${targetPort}`, unhealthyThreshold: 1 },
+        });
+
+        const events = [];
+        pool.on('upstreamUnhealthy', ({ url }) => events.push(['unhealthy', url]));
+        pool.on('upstreamHealthy', ({ url }) => events.push(['healthy', url]));
+
+        await pool.checkHealth();
+
+        expect(events).to.deep.equal([['unhealthy', deadUrl], ['unhealthy', flakyUrl]]);
+        expect(pool.getUpstreamProxyUrls()).to.deep.equal([upstreamUrl]);
+
+        const stats = pool.getStats();
+        expect(stats.map((item) => item.healthy)).to.deep.equal([false, false, true]);
+        expect(stats[0].lastError.code).to.equal('ECONNREFUSED');
+        expect(stats[1].lastError.statusCode).to.equal(597);
+        expect(stats[2].lastHealthCheckAt).to.be.an.instanceOf(Date);
+
+        down = false;
+        await pool.checkHealth();
+
+        expect(events[2]).to.deep.equal(['healthy', flakyUrl]);
+        expect(pool.getUpstreamProxyUrls()).to.have.members([flakyUrl, upstreamUrl]);
+    });
+
+    it('closes the connections of health checks that time out', async () => {
+        // Accepts the connections, but never responds.
+        const silentSockets = [];
+        const silentServer = net.createServer((socket) => {
+            silentSockets.push(socket);
+            socket.resume();
+        });
+        const silentPort = await listen(silentServer);
+
+        try {
+            pool = new UpstreamPool({
+                upstreams: [`http://127.0.0.1:${silentPort}`, `socks5://127.0.0.1:${silentPort}`],
+                healthCheck: { target: `127.0.0.1:${targetPort}`, timeoutMillis: 100, unhealthyThreshold: 1 },
+            });
+
+            await pool.checkHealth();
+            expect(pool.getStats().map((item) => item.healthy)).to.deep.equal([false, false]);
+
+            await wait(100);
+            expect(silentSockets).to.have.lengthOf(2);
+            expect(silentSockets.map((socket) => socket.destroyed)).to.deep.equal([true, true]);
+        } finally {
+            for (const socket of silentSockets) socket.destroy();
+            await closeServer(silentServer);
+        }
+    });
+
+    it('can be returned by prepareRequestFunction', async () => {
+        const upstreams = [await createServer(), await createServer()];
+        const deadUrl = `http://127.0.0.1:${await getFreePort()}`;
+
+        pool = new UpstreamPool({
+            upstreams: [...upstreams.map((server) => `http://127.0.0.1:${server.port}`), deadUrl],
+        });
+
+        const proxyServer = await createServer({
+            prepareRequestFunction: () => ({ upstreamProxyUrl: pool }),
+        });
+
+        for (let i = 0; i < 3; i++) {
+            const response = await requestThroughProxy(proxyServer.port, `http://127.0.0.1:${targetPort}/hello`);
+            expect(response.body).to.equal('Hello from /hello');
+        }
+
+        // The third request went to the dead upstream proxy first, then failed over to the first one.
+        expect(upstreams.map((server) => server.stats.httpRequestCount)).to.deep.equal([2, 1]);
+
+        const stats = pool.getStats();
+        expect(stats.map((item) => item.totalConnections)).to.deep.equal([2, 1, 1]);
+        expect(stats.map((item) => item.failedConnections)).to.deep.equal([0, 0, 1]);
+        expect(stats.map((item) => item.activeConnections)).to.deep.equal([0, 0, 0]);
+    });
+});
@@ -0,0 +1,56 @@
+const net = require('net');
+const { Server } = require('../../src/index');
+
+/**
+ * Starts the server on a random port of 127.0.0.1.
+ * @param {net.Server} server HTTP, HTTPS or TCP server
+ * @returns {Promise<number>} The port
+ */
+const listen = async (server) => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+};
+
+/**
+ * Stops the server, waiting for its connections to end.
+ * @param {net.Server} server HTTP, HTTPS or TCP server
+ */
+const closeServer = (server) => new Promise((resolve) => server.close(resolve));
+
+/**
+ * Returns a port of 127.0.0.1 that nothing listens on, so the connections to it are refused.
+ */
+const getFreePort = async () => {
+    const server = net.createServer();
+    const port = await listen(server);
+    await closeServer(server);
+    return port;
+};
+
+/**
+ * Registers an `afterEach()` hook that closes the proxy servers created by the returned function.
+ * @returns {(options?: object) => Promise<Server>} Creates and starts a proxy server on a random port
+ */
+const useProxyServers = () => {
+    let servers = [];
+
+    afterEach(async () => {
+        await Promise.all(servers.map((server) => server.close(true)));
+        servers = [];
+    });
+
+    return async (options) => {
+        const server = new Server({ port: 0, ...options });
+        await server.listen();
+        servers.push(server);
+        return server;
+    };
+};
+
+const wait = (millis) => new Promise((resolve) => setTimeout(resolve, millis));
+
+exports.listen = listen;
+exports.closeServer = closeServer;
+exports.getFreePort = getFreePort;
+exports.useProxyServers = useProxyServers;
+exports.wait = wait;
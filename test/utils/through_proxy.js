@@ -0,0 +1,46 @@
+const http = require('http');
+
+/**
+ * Sends a request with an absolute URL to the proxy, without keeping the connection alive.
+ * @param {number} proxyPort Port of the proxy on 127.0.0.1
+ * @param {string} url Target URL
+ * @param {object} [options] The `method`, request `headers` and request `body`
+ * @returns {Promise<{ statusCode: number, headers: object, body: string }>}
+ */
+const requestThroughProxy = (proxyPort, url, { method = 'GET', headers, body } = {}) => new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port: proxyPort, path: url, method, headers, agent: false }, (response) => {
+        let responseBody = '';
+        response.on('data', (chunk) => {
+            responseBody += chunk;
+        });
+        response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: responseBody }));
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+/**
+ * Sends a CONNECT request to the proxy. The tunnel is closed right away, unless `keepOpen` is set.
+ * @param {number} proxyPort Port of the proxy on 127.0.0.1
+ * @param {string} target The `host:port` of the target
+ * @param {object} [options] With `keepOpen`, the socket of the tunnel is returned as `socket`
+ * @returns {Promise<{ statusCode: number, statusMessage: string, socket?: net.Socket }>}
+ */
+const connectThroughProxy = (proxyPort, target, { keepOpen = false } = {}) => new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: target, agent: false });
+    request.on('connect', (response, socket) => {
+        const { statusCode, statusMessage } = response;
+        if (keepOpen) {
+            resolve({ statusCode, statusMessage, socket });
+            return;
+        }
+
+        socket.destroy();
+        resolve({ statusCode, statusMessage });
+    });
+    request.on('error', reject);
+    request.end();
+});
+
+exports.requestThroughProxy = requestThroughProxy;
+exports.connectThroughProxy = connectThroughProxy;